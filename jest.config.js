@@ -1,5 +1,6 @@
 export default {
   testEnvironment: 'node',
+  setupFiles: ['<rootDir>/src/__tests__/testUtils/setupEnv.js'],
   transform: {
     '^.+\\.[tj]sx?$': [
       'babel-jest',
@@ -12,6 +12,7 @@ jest.mock('../db.js', () => {
 import { pool } from '../db.js';
 import { requirePermissions } from '../middleware/authorization.js';
 import { router as allowedPermissionsRouter } from '../routes/allowedPermissions.js';
+import { registerGuardedRoutes } from '../lib/permissionCatalog.js';
 import { performRequest, resetPoolMocks } from './testUtils/requestUtils.js';
 
 function createTestApp(user = { user_id: 960 }) {
@@ -129,3 +130,209 @@ describe('Allowed permissions routes', () => {
     errorSpy.mockRestore();
   });
 });
+
+describe('Access explanations', () => {
+  beforeAll(() => {
+    registerGuardedRoutes([
+      ['/location', null, { read: 'view locations', manage: 'manage locations', scope: 'location' }],
+      ['/role', null, { read: 'manage users', manage: 'manage users', actions: { 'DELETE /:role_id': 'delete roles' } }],
+    ]);
+  });
+
+  /**
+   * Queues the subject lookup plus the permission, org-wide, location grant
+   * and permission source queries run for the explained user.
+   */
+  function mockSubject({ user, permissions, orgWide = permissions, grants = [], sources = [] }) {
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }))
+      .mockImplementationOnce(async (sql) => {
+        expect(sql).toContain('FROM in_kind_tracker.user_account');
+        return { rows: user ? [user] : [] };
+      });
+    if (!user) return;
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: permissions.map((permission) => ({ permission })) }))
+      .mockImplementationOnce(async () => ({ rows: orgWide.map((permission) => ({ permission })) }))
+      .mockImplementationOnce(async () => ({ rows: grants }))
+      .mockImplementationOnce(async (sql) => {
+        expect(sql).toContain('source_role_name');
+        return { rows: sources };
+      });
+  }
+
+  const jane = { user_id: 31, username: 'jane@example.com', name: 'Jane', status: 'active' };
+
+  test('GET /allowed-permissions/explain reports a missing custom action permission', async () => {
+    mockSubject({
+      user: jane,
+      permissions: ['manage users'],
+      sources: [{
+        permission: 'manage users',
+        role_id: 2,
+        role_name: 'Office Manager',
+        org_wide: true,
+        location_id: null,
+        source_role_id: 2,
+        source_role_name: 'Office Manager',
+      }],
+    });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'GET',
+      path: '/allowed-permissions/explain?username=jane@example.com&method=delete&path=/role/4',
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      route: { mount: '/role', sub_path: '/4', scope: null },
+      action: 'custom',
+      rule: 'DELETE /:role_id',
+      required: ['delete roles'],
+      allowed: false,
+      decision: 'denied',
+      via: [],
+    });
+    expect(res.body.trace).toContain('Matched action rule "DELETE /:role_id" on /role.');
+  });
+
+  test('GET /allowed-permissions/explain names the granting role for location routes', async () => {
+    mockSubject({
+      user: jane,
+      permissions: ['manage locations'],
+      orgWide: [],
+      grants: [{ location_id: 7, permission: 'manage locations' }],
+      sources: [{
+        permission: 'manage locations',
+        role_id: 5,
+        role_name: 'Site Lead',
+        org_wide: false,
+        location_id: null,
+        source_role_id: 3,
+        source_role_name: 'Front Desk',
+      }],
+    });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'GET',
+      path: '/allowed-permissions/explain?user_id=31&method=PATCH&path=/location/4',
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.required).toEqual(['manage locations']);
+    expect(res.body.locations).toEqual([7]);
+    expect(res.body.via).toEqual([
+      expect.objectContaining({ role_name: 'Site Lead', inherited_from: { role_id: 3, role_name: 'Front Desk' } }),
+    ]);
+    expect(res.body.trace).toContain('Location 4 is outside that list, so the router answers 404 or 403.');
+  });
+
+  test('GET /allowed-permissions/explain treats a role with NULL org_wide as org-wide', async () => {
+    mockSubject({
+      user: jane,
+      permissions: ['manage locations'],
+      sources: [{
+        permission: 'manage locations',
+        role_id: 6,
+        role_name: 'Legacy Manager',
+        org_wide: null,
+        location_id: null,
+        source_role_id: 6,
+        source_role_name: 'Legacy Manager',
+      }],
+    });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'GET',
+      path: '/allowed-permissions/explain?user_id=31&method=PATCH&path=/location/4',
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.locations).toBeNull();
+    expect(res.body.via).toEqual([expect.objectContaining({ role_id: 6, org_wide: true })]);
+    expect(res.body.trace).toContain('"manage locations" comes from role "Legacy Manager".');
+  });
+
+  test('GET /allowed-permissions/explain lets pending users through authentication like login does', async () => {
+    const managerSource = {
+      permission: 'manage users',
+      role_id: 2,
+      role_name: 'Office Manager',
+      org_wide: true,
+      location_id: null,
+      source_role_id: 2,
+      source_role_name: 'Office Manager',
+    };
+    mockSubject({ user: { ...jane, status: 'pending' }, permissions: ['manage users'], sources: [managerSource] });
+    const pending = await performRequest(createTestApp(), {
+      method: 'GET',
+      path: '/allowed-permissions/explain?user_id=31&method=GET&path=/role',
+    });
+
+    mockSubject({ user: { ...jane, status: 'inactive' }, permissions: ['manage users'], sources: [managerSource] });
+    const inactive = await performRequest(createTestApp(), {
+      method: 'GET',
+      path: '/allowed-permissions/explain?user_id=31&method=GET&path=/role',
+    });
+
+    expect(pending.body).toMatchObject({ allowed: true, decision: 'allowed' });
+    expect(pending.body.trace.join(' ')).not.toContain('authentication rejects');
+    expect(inactive.body).toMatchObject({ allowed: false, decision: 'denied' });
+    expect(inactive.body.trace[0]).toBe(
+      'User status is "inactive" (User account is inactive), so authentication rejects the request before permissions are checked.',
+    );
+  });
+
+  test('GET /allowed-permissions/explain handles unguarded paths and unknown users', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }))
+      .mockImplementationOnce(async () => ({ rows: [jane] }));
+
+    const unguarded = await performRequest(createTestApp(), {
+      method: 'GET',
+      path: '/allowed-permissions/explain?username=jane@example.com&path=/auth/me',
+    });
+    expect(unguarded.status).toBe(200);
+    expect(unguarded.body).toMatchObject({ route: null, decision: 'not_guarded' });
+
+    mockSubject({ user: null, permissions: [] });
+    const missing = await performRequest(createTestApp(), {
+      method: 'GET',
+      path: '/allowed-permissions/explain?username=ghost@example.com&path=/role',
+    });
+    expect(missing.status).toBe(404);
+  });
+
+  test('GET /allowed-permissions/explain validates its parameters', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }));
+
+    const res = await performRequest(createTestApp(), {
+      method: 'GET',
+      path: '/allowed-permissions/explain?username=jane@example.com&method=TRACE&path=/role',
+    });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('GET /allowed-permissions/matrix lists every route and action', async () => {
+    mockSubject({ user: jane, permissions: ['manage users'] });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'GET',
+      path: '/allowed-permissions/matrix?username=jane@example.com',
+    });
+
+    expect(res.status).toBe(200);
+    const summary = res.body.routes.map(({ method, path, allowed }) => `${method} ${path} ${allowed}`);
+    expect(summary).toEqual([
+      'GET /location false',
+      'POST /location false',
+      'PATCH /location/:id false',
+      'DELETE /location/:id false',
+      'GET /role true',
+      'POST /role true',
+      'PATCH /role/:id true',
+      'DELETE /role/:role_id false',
+    ]);
+  });
+});
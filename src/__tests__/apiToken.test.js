@@ -0,0 +1,152 @@
+import express from 'express';
+
+jest.mock('../db.js', () => {
+  const query = jest.fn();
+  const connect = jest.fn();
+  return {
+    pool: { query, connect },
+    assertDbConnection: jest.fn(),
+  };
+});
+
+import { pool } from '../db.js';
+import { requirePermissions } from '../middleware/authorization.js';
+import { router as apiTokenRouter } from '../routes/apiToken.js';
+import { passClientQueriesToPool, performRequest, resetPoolMocks } from './testUtils/requestUtils.js';
+
+function createTestApp({ user = { user_id: 40 }, apiToken } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.user = user;
+    if (apiToken) {
+      req.apiToken = apiToken;
+    }
+    next();
+  });
+  app.use('/auth/tokens', apiTokenRouter);
+  app.get('/reports', requirePermissions({ read: 'view reports', manage: 'manage reports' }), (_req, res) => {
+    res.json({ ok: true });
+  });
+  return app;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  resetPoolMocks(pool);
+});
+
+describe('API token routes', () => {
+  test('POST /auth/tokens creates a scoped token and returns the secret once', async () => {
+    const { audit } = passClientQueriesToPool(pool);
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'view users' }, { permission: 'view locations' }],
+      }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('INSERT INTO in_kind_tracker.api_token');
+        expect(params[0]).toBe(40);
+        expect(params[1]).toBe('Nightly export');
+        expect(params[2]).toMatch(/^[0-9a-f]{64}$/);
+        expect(params[4]).toEqual(['view users']);
+        expect(params[5]).toBe(30);
+        return {
+          rows: [
+            {
+              api_token_id: 3,
+              user_id: 40,
+              name: 'Nightly export',
+              token_prefix: params[3],
+              permissions: ['view users'],
+              expires_at: '2024-07-01T00:00:00.000Z',
+            },
+          ],
+        };
+      });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/auth/tokens',
+      body: { name: ' Nightly export ', expires_in_days: 30, permissions: ['View Users'] },
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.token).toMatch(/^ppat_[A-Za-z0-9_-]+$/);
+    expect(res.body.token.startsWith(res.body.token_prefix)).toBe(true);
+    expect(res.body.permissions).toEqual(['view users']);
+    expect(audit).toHaveLength(1);
+    const [actor, , action, resource, resourceId, , after] = audit[0];
+    expect([actor, action, resource, resourceId]).toEqual([40, 'create_token', 'user', '40']);
+    expect(JSON.parse(after)).toMatchObject({ api_token_id: 3, name: 'Nightly export' });
+    expect(after).not.toContain(res.body.token);
+  });
+
+  test('POST /auth/tokens rejects permissions the owner does not hold', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'view users' }] }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/auth/tokens',
+      body: { name: 'Escalation', permissions: ['manage users'] },
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: "Token permissions must be a subset of the owner's permissions: manage users" });
+  });
+
+  test('POST /auth/tokens refuses to mint tokens from a token', async () => {
+    const app = createTestApp({ apiToken: { api_token_id: 1, permissions: null } });
+    const res = await performRequest(app, { method: 'POST', path: '/auth/tokens', body: { name: 'chain' } });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('interactive_session_required');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('DELETE /auth/tokens/:id revokes the token and records it in the audit log', async () => {
+    const { client, audit } = passClientQueriesToPool(pool);
+    pool.query.mockImplementationOnce(async (sql, params) => {
+      expect(sql).toContain('SET revoked_at = NOW()');
+      expect(params).toEqual([5, 40]);
+      return { rowCount: 1, rows: [] };
+    });
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'DELETE', path: '/auth/tokens/5' });
+
+    expect(res.status).toBe(204);
+    expect(audit).toHaveLength(1);
+    expect(audit[0].slice(2, 6)).toEqual(['revoke_token', 'user', '40', JSON.stringify({ api_token_id: 5 })]);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  test('DELETE /auth/tokens/:id returns 404 for tokens the caller does not own', async () => {
+    const { audit } = passClientQueriesToPool(pool);
+    pool.query.mockImplementationOnce(async (sql, params) => {
+      expect(sql).toContain('SET revoked_at = NOW()');
+      expect(params).toEqual([9, 40]);
+      return { rowCount: 0, rows: [] };
+    });
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'DELETE', path: '/auth/tokens/9' });
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'API token not found' });
+    expect(audit).toHaveLength(0);
+  });
+
+  test('requirePermissions only honors the permissions a scoped token carries', async () => {
+    pool.query.mockImplementationOnce(async () => ({
+      rows: [{ permission: 'view reports' }, { permission: 'view users' }],
+    }));
+
+    const app = createTestApp({ apiToken: { api_token_id: 2, permissions: ['view users'] } });
+    const res = await performRequest(app, { method: 'GET', path: '/reports' });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ error: 'Forbidden' });
+  });
+});
@@ -0,0 +1,132 @@
+import express from 'express';
+
+jest.mock('../db.js', () => {
+  const query = jest.fn();
+  const connect = jest.fn();
+  return {
+    pool: { query, connect },
+    assertDbConnection: jest.fn(),
+  };
+});
+
+import { pool } from '../db.js';
+import { requirePermissions } from '../middleware/authorization.js';
+import { router as auditRouter } from '../routes/audit.js';
+import { recordAudit } from '../lib/audit.js';
+import { performRequest, resetPoolMocks } from './testUtils/requestUtils.js';
+
+function createTestApp(user = { user_id: 40 }) {
+  const app = express();
+  app.use((req, _res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/audit', requirePermissions({ read: 'view audit log', manage: 'view audit log' }), auditRouter);
+  return app;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  resetPoolMocks(pool);
+});
+
+describe('Audit log routes', () => {
+  test('GET /audit requires the view audit log permission', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }));
+
+    const res = await performRequest(createTestApp(), { method: 'GET', path: '/audit' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('GET /audit filters and paginates entries', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'view audit log' }] }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('FROM in_kind_tracker.audit_log');
+        expect(sql).toContain('ORDER BY created_at DESC');
+        expect(params).toEqual([7, 'update', 'role', '3', new Date('2026-01-01T00:00:00Z'), null, 2, 4]);
+        return {
+          rows: [
+            { audit_id: 12, action: 'update', resource: 'role', resource_id: '3', total_count: '5' },
+          ],
+        };
+      });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'GET',
+      path: '/audit?actor_user_id=7&action=Update&resource=role&resource_id=3&from=2026-01-01T00:00:00Z&limit=2&offset=4',
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      entries: [{ audit_id: 12, action: 'update', resource: 'role', resource_id: '3' }],
+      total: 5,
+      limit: 2,
+      offset: 4,
+    });
+  });
+
+  test('GET /audit still reports the total past the last page', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'view audit log' }] }))
+      .mockImplementationOnce(async () => ({ rows: [] }))
+      .mockImplementationOnce(async (sql) => {
+        expect(sql).toContain('SELECT COUNT(*)');
+        return { rows: [{ total_count: '3' }] };
+      });
+
+    const res = await performRequest(createTestApp(), { method: 'GET', path: '/audit?offset=50' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ entries: [], total: 3, limit: 50, offset: 50 });
+  });
+
+  test('GET /audit rejects invalid filters before querying', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'view audit log' }] }));
+
+    const res = await performRequest(createTestApp(), { method: 'GET', path: '/audit?limit=500' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'limit must be an integer between 1 and 200.' });
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('recordAudit', () => {
+  test('writes request metadata and redacts secrets from snapshots', async () => {
+    const client = { query: jest.fn(async () => ({ rows: [] })) };
+    const req = {
+      method: 'PATCH',
+      originalUrl: '/user/3?expand=roles',
+      ip: '10.0.0.1',
+      user: { user_id: 5 },
+      impersonator: { user_id: 1 },
+      get: (name) => (name === 'user-agent' ? 'jest' : undefined),
+    };
+
+    await recordAudit(client, req, {
+      action: 'update',
+      resource: 'user',
+      resourceId: 3,
+      before: { name: 'Old', password_hash: 'hash', totp_secret: 'secret' },
+      after: { name: 'New', password_hash: 'hash2' },
+    });
+
+    const [sql, params] = client.query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO in_kind_tracker.audit_log');
+    expect(params).toEqual([
+      5,
+      1,
+      'update',
+      'user',
+      '3',
+      JSON.stringify({ name: 'Old' }),
+      JSON.stringify({ name: 'New' }),
+      'PATCH',
+      '/user/3',
+      '10.0.0.1',
+      'jest',
+    ]);
+  });
+});
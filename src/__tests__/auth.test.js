@@ -20,15 +20,47 @@ jest.mock('../middleware/authorization.js', () => {
 import { pool } from '../db.js';
 import { listUserPermissions } from '../middleware/authorization.js';
 import { router as authRouter } from '../routes/auth.js';
-import { performRequest, resetPoolMocks } from './testUtils/requestUtils.js';
+import { hashPassword } from '../lib/passwords.js';
+import { hashToken } from '../lib/tokens.js';
+import { publicSessionId } from '../lib/sessions.js';
+import { generateTotp } from '../lib/totp.js';
+import * as authCache from '../lib/authCache.js';
+import { passClientQueriesToPool, performRequest, resetPoolMocks } from './testUtils/requestUtils.js';
 
-function createTestApp() {
+const PASSWORD = 'correct horse battery';
+let passwordHash;
+
+function createTestApp(user, { apiToken } = {}) {
   const app = express();
   app.use(express.json());
+  if (user) {
+    app.use((req, _res, next) => {
+      req.user = user;
+      if (apiToken) {
+        req.apiToken = apiToken;
+      } else {
+        req.sessionId = 'current-session';
+      }
+      next();
+    });
+  }
   app.use('/auth', authRouter);
   return app;
 }
 
+/**
+ * Answers the login throttle queries as if no failures had been recorded.
+ */
+function loginThrottleResult(sql) {
+  if (sql.includes('INSERT INTO in_kind_tracker.login_throttle')) return { rows: [{ failures: 1 }], rowCount: 1 };
+  if (sql.includes('login_throttle') || sql.includes('login_event')) return { rows: [], rowCount: 0 };
+  return null;
+}
+
+beforeAll(async () => {
+  passwordHash = await hashPassword(PASSWORD);
+});
+
 beforeEach(() => {
   jest.clearAllMocks();
   resetPoolMocks(pool);
@@ -44,11 +76,26 @@ describe('Auth routes', () => {
     });
 
     expect(res.status).toBe(400);
-    expect(res.body).toEqual({ error: 'user_id is required.' });
+    expect(res.body).toEqual({ error: 'username or user_id is required.' });
   });
 
-  test('POST /auth/login returns 404 when user not found', async () => {
+  test('POST /auth/login requires a password', async () => {
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/auth/login',
+      body: { username: 'user@example.com' },
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'password is required.' });
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('POST /auth/login returns 401 when user not found', async () => {
     const clientQuery = jest.fn(async (sql) => {
+      const throttleResult = loginThrottleResult(sql);
+      if (throttleResult) return throttleResult;
       if (sql.trim().toUpperCase() === 'BEGIN') return { rows: [] };
       if (sql.includes('SELECT ua.*, r.role_name')) return { rows: [] };
       if (sql.trim().toUpperCase() === 'ROLLBACK') return { rows: [] };
@@ -61,17 +108,19 @@ describe('Auth routes', () => {
     const res = await performRequest(app, {
       method: 'POST',
       path: '/auth/login',
-      body: { user_id: 99 },
+      body: { user_id: 99, password: PASSWORD },
     });
 
-    expect(res.status).toBe(404);
-    expect(res.body).toEqual({ error: 'User not found' });
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Invalid credentials' });
     expect(clientQuery).toHaveBeenCalled();
     expect(release).toHaveBeenCalled();
   });
 
   test('POST /auth/login rejects inactive users', async () => {
     const clientQuery = jest.fn(async (sql) => {
+      const throttleResult = loginThrottleResult(sql);
+      if (throttleResult) return throttleResult;
       const normalized = sql.trim().toUpperCase();
       if (normalized === 'BEGIN') return { rows: [] };
       if (normalized === 'ROLLBACK') return { rows: [] };
@@ -83,6 +132,7 @@ describe('Auth routes', () => {
               username: 'inactive@example.com',
               name: 'Inactive User',
               status: 'inactive',
+              password_hash: passwordHash,
               role_id: 2,
               role_name: 'Associate',
               default_route: '/dashboard',
@@ -99,7 +149,7 @@ describe('Auth routes', () => {
     const res = await performRequest(app, {
       method: 'POST',
       path: '/auth/login',
-      body: { user_id: 10 },
+      body: { user_id: 10, password: PASSWORD },
     });
 
     expect(res.status).toBe(403);
@@ -111,11 +161,16 @@ describe('Auth routes', () => {
   test('POST /auth/login succeeds and sets cookie', async () => {
     listUserPermissions.mockResolvedValue(['manage users']);
     const clientQuery = jest.fn(async (sql, params) => {
+      const throttleResult = loginThrottleResult(sql);
+      if (throttleResult) return throttleResult;
       const normalized = sql.trim().toUpperCase();
       if (normalized === 'BEGIN' || normalized === 'COMMIT') {
         return { rows: [] };
       }
       if (sql.includes('SELECT ua.*, r.role_name')) {
+        if (sql.includes('ua.username = $1')) {
+          expect(params).toEqual(['user@example.com']);
+        }
         return {
           rows: [
             {
@@ -123,6 +178,7 @@ describe('Auth routes', () => {
               username: 'user@example.com',
               name: 'User',
               status: 'active',
+              password_hash: passwordHash,
               role_id: 2,
               role_name: 'Admin',
               default_route: '/Dashboard',
@@ -138,6 +194,10 @@ describe('Auth routes', () => {
         expect(params[1]).toBe(3);
         return { rowCount: 1, rows: [] };
       }
+      if (sql.includes('INSERT INTO in_kind_tracker.audit_log')) {
+        expect(params.slice(0, 5)).toEqual([3, null, 'login', 'user', '3']);
+        return { rowCount: 1, rows: [] };
+      }
       throw new Error(`Unexpected SQL: ${sql}`);
     });
     const release = jest.fn();
@@ -147,21 +207,719 @@ describe('Auth routes', () => {
     const res = await performRequest(app, {
       method: 'POST',
       path: '/auth/login',
-      body: { user_id: 3 },
+      body: { username: 'User@Example.com', password: PASSWORD },
     });
 
     expect(res.status).toBe(200);
     expect(res.body.username).toBe('user@example.com');
+    expect(res.body).not.toHaveProperty('password_hash');
     expect(res.body.permissions).toEqual(['manage users']);
     expect(res.cookies).toHaveProperty('pp_session');
     expect(res.cookies.pp_session.value).toBeDefined();
+    expect(res.cookies.pp_csrf.value).toBe(res.body.csrf_token);
+    expect(res.cookies.pp_csrf.options.httpOnly).toBe(false);
     expect(release).toHaveBeenCalled();
   });
 
+  test('POST /auth/login rejects a wrong password without touching the session table', async () => {
+    const clientQuery = jest.fn(async (sql) => {
+      const throttleResult = loginThrottleResult(sql);
+      if (throttleResult) return throttleResult;
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'ROLLBACK') return { rows: [] };
+      if (sql.includes('SELECT ua.*, r.role_name')) {
+        return {
+          rows: [{ user_id: 3, username: 'user@example.com', status: 'pending', password_hash: passwordHash }],
+        };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    const release = jest.fn();
+    pool.connect.mockResolvedValue({ query: clientQuery, release });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/auth/login',
+      body: { username: 'user@example.com', password: 'not the password' },
+    });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Invalid credentials' });
+    expect(res.cookies).not.toHaveProperty('pp_session');
+    expect(release).toHaveBeenCalled();
+  });
+
+  test('POST /auth/login answers 429 with Retry-After while the account is blocked', async () => {
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'ROLLBACK') return { rows: [] };
+      if (sql.includes('SELECT ua.*, r.role_name')) {
+        return {
+          rows: [{ user_id: 3, username: 'user@example.com', status: 'active', password_hash: passwordHash }],
+        };
+      }
+      if (sql.includes('FROM in_kind_tracker.login_throttle')) {
+        expect(params).toEqual(['user:3', '127.0.0.1']);
+        return { rows: [{ scope: 'account', failures: 5, retry_after_seconds: 840 }] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    const release = jest.fn();
+    pool.connect.mockResolvedValue({ query: clientQuery, release });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/auth/login',
+      body: { username: 'user@example.com', password: PASSWORD },
+    });
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('840');
+    expect(res.body).toMatchObject({ code: 'login_locked', retry_after: 840 });
+    expect(res.cookies).not.toHaveProperty('pp_session');
+    expect(release).toHaveBeenCalled();
+  });
+
+  test('POST /auth/login locks the account and records events after repeated failures', async () => {
+    const events = [];
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'ROLLBACK') return { rows: [] };
+      if (sql.includes('SELECT ua.*, r.role_name')) return { rows: [] };
+      if (sql.includes('FROM in_kind_tracker.login_throttle')) return { rows: [] };
+      if (sql.includes('INSERT INTO in_kind_tracker.login_throttle')) {
+        return { rows: [{ failures: params[0] === 'account' ? 5 : 1 }] };
+      }
+      if (sql.includes('UPDATE in_kind_tracker.login_throttle')) {
+        if (params[0] === 'account') {
+          expect(params).toEqual(['account', 'username:nobody@example.com', 15 * 60]);
+        }
+        return { rowCount: 1 };
+      }
+      if (sql.includes('INSERT INTO in_kind_tracker.login_event')) {
+        events.push({ type: params[0], detail: params[6] });
+        return { rowCount: 1 };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/auth/login',
+      body: { username: 'nobody@example.com', password: PASSWORD },
+    });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Invalid credentials' });
+    expect(events).toEqual([
+      { type: 'failed', detail: { reason: 'unknown_user', failures: 5 } },
+      { type: 'locked', detail: { scope: 'account', minutes: 15 } },
+    ]);
+  });
+
+  test('POST /auth/login issues a two-factor challenge instead of a session when 2FA is enabled', async () => {
+    const executed = [];
+    const clientQuery = jest.fn(async (sql, params) => {
+      const throttleResult = loginThrottleResult(sql);
+      if (throttleResult) return throttleResult;
+      executed.push(sql);
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'COMMIT') return { rows: [] };
+      if (sql.includes('SELECT ua.*, r.role_name')) {
+        return {
+          rows: [
+            {
+              user_id: 3,
+              username: 'user@example.com',
+              status: 'active',
+              password_hash: passwordHash,
+              totp_secret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ',
+              totp_enabled_at: '2024-01-01T00:00:00.000Z',
+              role_requires_2fa: false,
+            },
+          ],
+        };
+      }
+      if (sql.includes('INSERT INTO in_kind_tracker.login_challenge')) {
+        expect(params[1]).toBe(3);
+        return { rowCount: 1, rows: [] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/auth/login',
+      body: { username: 'user@example.com', password: PASSWORD },
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      mfa_required: true,
+      mfa_enrollment_required: false,
+      mfa_token: expect.any(String),
+    });
+    expect(res.cookies).not.toHaveProperty('pp_session');
+    expect(executed.some((sql) => sql.includes('user_session'))).toBe(false);
+    // The password alone does not reset the failure counter.
+    expect(clientQuery.mock.calls.some(([sql]) => sql.includes('DELETE FROM in_kind_tracker.login_throttle'))).toBe(false);
+  });
+
+  test('POST /auth/login asks users of a 2FA-required role to enroll', async () => {
+    const clientQuery = jest.fn(async (sql) => {
+      const throttleResult = loginThrottleResult(sql);
+      if (throttleResult) return throttleResult;
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'COMMIT') return { rows: [] };
+      if (sql.includes('SELECT ua.*, r.role_name')) {
+        return {
+          rows: [{ user_id: 3, status: 'active', password_hash: passwordHash, role_requires_2fa: true }],
+        };
+      }
+      if (sql.includes('INSERT INTO in_kind_tracker.login_challenge')) return { rowCount: 1, rows: [] };
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/auth/login',
+      body: { user_id: 3, password: PASSWORD },
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.mfa_enrollment_required).toBe(true);
+  });
+
+  test('POST /auth/login/2fa completes the login with a valid code', async () => {
+    listUserPermissions.mockResolvedValue(['view users']);
+    const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+    const clientQuery = jest.fn(async (sql, params) => {
+      const throttleResult = loginThrottleResult(sql);
+      if (throttleResult) return throttleResult;
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'COMMIT') return { rows: [] };
+      if (sql.includes('FROM in_kind_tracker.login_challenge')) {
+        expect(params[0]).toBe(hashToken('challenge-token'));
+        return { rows: [{ challenge_hash: params[0], user_id: 3, attempts: 0 }] };
+      }
+      if (sql.includes('ua.totp_secret')) {
+        return {
+          rows: [{ totp_secret: secret, totp_enabled_at: '2024-01-01T00:00:00.000Z', totp_last_used_step: null }],
+        };
+      }
+      if (sql.includes('SET totp_last_used_step = $1')) return { rowCount: 1, rows: [] };
+      if (sql.includes('SELECT ua.*, r.role_name')) {
+        return { rows: [{ user_id: 3, username: 'user@example.com', status: 'active', totp_secret: secret }] };
+      }
+      if (sql.includes('DELETE FROM in_kind_tracker.login_challenge')) return { rowCount: 1, rows: [] };
+      if (sql.includes('UPDATE in_kind_tracker.user_account')) return { rowCount: 1, rows: [] };
+      if (sql.includes('INSERT INTO in_kind_tracker.user_session')) return { rowCount: 1, rows: [] };
+      if (sql.includes('INSERT INTO in_kind_tracker.audit_log')) return { rowCount: 1, rows: [] };
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/auth/login/2fa',
+      body: { mfa_token: 'challenge-token', code: generateTotp(secret) },
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.username).toBe('user@example.com');
+    expect(res.body).not.toHaveProperty('totp_secret');
+    expect(res.body.permissions).toEqual(['view users']);
+    expect(res.cookies.pp_session.value).toBeDefined();
+    expect(clientQuery).toHaveBeenCalledWith(
+      "DELETE FROM in_kind_tracker.login_throttle WHERE scope = 'account' AND key = $1",
+      ['user:3'],
+    );
+  });
+
+  test('POST /auth/login/2fa counts failed attempts against the challenge and the login throttle', async () => {
+    const clientQuery = jest.fn(async (sql, params) => {
+      const throttleResult = loginThrottleResult(sql);
+      if (throttleResult) return throttleResult;
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'COMMIT') return { rows: [] };
+      if (sql.includes('FROM in_kind_tracker.login_challenge')) {
+        return { rows: [{ challenge_hash: 'hash', user_id: 3, attempts: 1 }] };
+      }
+      if (sql.includes('ua.totp_secret')) {
+        return {
+          rows: [{ totp_secret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', totp_enabled_at: '2024-01-01T00:00:00.000Z' }],
+        };
+      }
+      if (sql.includes('SET attempts = attempts + 1')) {
+        expect(params).toEqual(['hash']);
+        return { rowCount: 1, rows: [] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/auth/login/2fa',
+      body: { mfa_token: 'challenge-token', code: '000000' },
+    });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Invalid two-factor code' });
+    expect(res.cookies).not.toHaveProperty('pp_session');
+    const counted = clientQuery.mock.calls
+      .filter(([sql]) => sql.includes('INSERT INTO in_kind_tracker.login_throttle'))
+      .map(([, params]) => params.slice(0, 2));
+    expect(counted).toEqual([['account', 'user:3'], ['ip', '127.0.0.1']]);
+    expect(clientQuery).toHaveBeenCalledWith('COMMIT');
+  });
+
+  test('POST /auth/login/2fa refuses codes while the account is locked', async () => {
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'ROLLBACK') return { rows: [] };
+      if (sql.includes('FROM in_kind_tracker.login_challenge')) {
+        return { rows: [{ challenge_hash: 'hash', user_id: 3, attempts: 0 }] };
+      }
+      if (sql.includes('FROM in_kind_tracker.login_throttle')) {
+        expect(params[0]).toBe('user:3');
+        return { rows: [{ scope: 'account', failures: 5, retry_after_seconds: 600 }] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/auth/login/2fa',
+      body: { mfa_token: 'challenge-token', code: '000000' },
+    });
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('login_locked');
+    expect(res.headers['retry-after']).toBe('600');
+  });
+
+  test('POST /auth/2fa/enroll returns an otpauth URI', async () => {
+    const { audit } = passClientQueriesToPool(pool);
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ totp_secret: null, totp_enabled_at: null }] }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('SET totp_pending_secret = $1');
+        expect(params[1]).toBe(3);
+        return { rowCount: 1, rows: [] };
+      });
+
+    const app = createTestApp({ user_id: 3, username: 'user@example.com' });
+    const res = await performRequest(app, { method: 'POST', path: '/auth/2fa/enroll' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(res.body.otpauth_uri).toBe(
+      `otpauth://totp/Practice%20Pulse%3Auser%40example.com?secret=${res.body.secret}`
+        + '&issuer=Practice+Pulse&algorithm=SHA1&digits=6&period=30',
+    );
+    expect(audit).toHaveLength(1);
+    expect(audit[0].slice(0, 5)).toEqual([3, null, 'start_2fa_enrollment', 'user', '3']);
+  });
+
+  test('DELETE /auth/2fa refuses when the role requires 2FA', async () => {
+    const clientQuery = jest.fn(async (sql) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'ROLLBACK') return { rows: [] };
+      if (sql.includes('ua.totp_secret')) {
+        return {
+          rows: [{ totp_secret: 'SECRET', totp_enabled_at: '2024-01-01T00:00:00.000Z', role_requires_2fa: true }],
+        };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp({ user_id: 3 });
+    const res = await performRequest(app, { method: 'DELETE', path: '/auth/2fa', body: { code: '123456' } });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ error: 'Your role requires two-factor authentication' });
+  });
+
+  test('DELETE /auth/2fa turns 2FA off with a recovery code and records it in the audit log', async () => {
+    const { client, audit } = passClientQueriesToPool(pool);
+    pool.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('ua.totp_secret')) {
+        return {
+          rows: [{ totp_secret: 'SECRET', totp_enabled_at: '2024-01-01T00:00:00.000Z', role_requires_2fa: false }],
+        };
+      }
+      if (sql.includes('UPDATE in_kind_tracker.user_recovery_code')) {
+        expect(params[0]).toBe(3);
+        return { rowCount: 1, rows: [] };
+      }
+      if (sql.includes('SET totp_secret = NULL') || sql.includes('DELETE FROM in_kind_tracker.user_recovery_code')) {
+        return { rowCount: 1, rows: [] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+
+    const app = createTestApp({ user_id: 3 });
+    const res = await performRequest(app, {
+      method: 'DELETE',
+      path: '/auth/2fa',
+      body: { recovery_code: 'abcd-efgh-ijkl' },
+    });
+
+    expect(res.status).toBe(204);
+    expect(audit).toHaveLength(1);
+    expect(audit[0].slice(0, 5)).toEqual([3, null, 'disable_2fa', 'user', '3']);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  test('POST /auth/password requires the current password', async () => {
+    const clientQuery = jest.fn(async (sql) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'ROLLBACK') return { rows: [] };
+      if (sql.includes('SELECT username, password_hash')) {
+        return { rows: [{ username: 'user@example.com', password_hash: passwordHash }] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    const release = jest.fn();
+    pool.connect.mockResolvedValue({ query: clientQuery, release });
+
+    const app = createTestApp({ user_id: 3 });
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/auth/password',
+      body: { current_password: 'wrong', new_password: 'a brand new passphrase' },
+    });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Current password is incorrect' });
+    expect(release).toHaveBeenCalled();
+  });
+
+  test('POST /auth/password enforces the password policy', async () => {
+    const clientQuery = jest.fn(async (sql) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'ROLLBACK') return { rows: [] };
+      if (sql.includes('SELECT username, password_hash')) {
+        return { rows: [{ username: 'user@example.com', password_hash: null }] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp({ user_id: 3 });
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/auth/password',
+      body: { new_password: 'short' },
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'password must be at least 12 characters long' });
+  });
+
+  test('POST /auth/password stores a new hash and revokes other sessions', async () => {
+    const executed = [];
+    const clientQuery = jest.fn(async (sql, params) => {
+      executed.push({ sql, params });
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'COMMIT') return { rows: [] };
+      if (sql.includes('SELECT username, password_hash')) {
+        return { rows: [{ username: 'user@example.com', password_hash: passwordHash }] };
+      }
+      if (sql.includes('SET password_hash = $1')) {
+        expect(params[0]).toMatch(/^scrypt\$/);
+        expect(params[1]).toBe(3);
+        return { rowCount: 1, rows: [] };
+      }
+      if (sql.includes('DELETE FROM in_kind_tracker.user_session')) {
+        expect(params).toEqual([3, 'current-session']);
+        return { rowCount: 2, rows: [] };
+      }
+      if (sql.includes('INSERT INTO in_kind_tracker.audit_log')) {
+        expect(params.slice(0, 5)).toEqual([3, null, 'change_password', 'user', '3']);
+        return { rowCount: 1, rows: [] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp({ user_id: 3 });
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/auth/password',
+      body: { current_password: PASSWORD, new_password: 'a brand new passphrase' },
+    });
+
+    expect(res.status).toBe(204);
+    expect(executed.map(({ sql }) => sql.trim().toUpperCase())).toContain('COMMIT');
+    expect(executed.some(({ sql }) => sql.includes('INSERT INTO in_kind_tracker.audit_log'))).toBe(true);
+  });
+
+  test('POST /auth/password/reset rejects unknown or expired tokens', async () => {
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'ROLLBACK') return { rows: [] };
+      if (sql.includes('password_reset_token_hash = $1')) {
+        expect(params).toEqual([hashToken('stale-token')]);
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/auth/password/reset',
+      body: { token: 'stale-token', new_password: 'a brand new passphrase' },
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Reset token is invalid or has expired' });
+  });
+
+  test('POST /auth/password/reset sets the password and revokes every session', async () => {
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'COMMIT') return { rows: [] };
+      if (sql.includes('password_reset_token_hash = $1')) {
+        return { rows: [{ user_id: 8, username: 'reset@example.com' }] };
+      }
+      if (sql.includes('SET password_hash = $1')) {
+        return { rowCount: 1, rows: [] };
+      }
+      if (sql.includes('DELETE FROM in_kind_tracker.user_session')) {
+        expect(params).toEqual([8, null]);
+        return { rowCount: 1, rows: [] };
+      }
+      if (sql.includes('INSERT INTO in_kind_tracker.audit_log')) {
+        expect(params.slice(0, 5)).toEqual([8, null, 'complete_password_reset', 'user', '8']);
+        return { rowCount: 1, rows: [] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/auth/password/reset',
+      body: { token: 'fresh-token', new_password: 'a brand new passphrase' },
+    });
+
+    expect(res.status).toBe(204);
+    expect(clientQuery).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO in_kind_tracker.audit_log'), expect.any(Array));
+  });
+
+  test('POST /auth/password/reset answers 500 when the database is unavailable', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    pool.connect.mockRejectedValueOnce(new Error('connection refused'));
+
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/auth/password/reset',
+      body: { token: 'fresh-token', new_password: 'a brand new passphrase' },
+    });
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: 'Internal server error, connection refused' });
+    errorSpy.mockRestore();
+  });
+
+  test('POST /auth/logout answers 500 when the database is unavailable', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    pool.connect.mockRejectedValueOnce(new Error('connection refused'));
+
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/auth/logout',
+      headers: { Cookie: 'pp_session=session-value' },
+    });
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: 'Internal server error, connection refused' });
+    errorSpy.mockRestore();
+  });
+
+  test('POST /auth/password reports the original error when the rollback also fails', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const release = jest.fn();
+    const clientQuery = jest.fn(async (sql) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN') return { rows: [] };
+      if (normalized === 'ROLLBACK') throw new Error('connection lost');
+      throw new Error('lock timeout');
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release });
+
+    const res = await performRequest(createTestApp({ user_id: 3 }), {
+      method: 'POST',
+      path: '/auth/password',
+      body: { current_password: PASSWORD, new_password: 'a brand new passphrase' },
+    });
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: 'Internal server error, lock timeout' });
+    expect(release).toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+
+  test('credential and session changes refuse API tokens', async () => {
+    const app = createTestApp({ user_id: 3 }, { apiToken: { api_token_id: 1, permissions: null } });
+    const attempts = [
+      { method: 'POST', path: '/auth/password', body: { new_password: 'a brand new passphrase' } },
+      { method: 'POST', path: '/auth/2fa/enroll' },
+      { method: 'POST', path: '/auth/2fa/activate', body: { code: '123456' } },
+      { method: 'DELETE', path: '/auth/2fa', body: { code: '123456' } },
+      { method: 'DELETE', path: '/auth/sessions' },
+      { method: 'DELETE', path: '/auth/sessions/abc' },
+      { method: 'POST', path: '/auth/tokens', body: { name: 'chain' } },
+      { method: 'DELETE', path: '/auth/tokens/4' },
+    ];
+
+    for (const attempt of attempts) {
+      const res = await performRequest(app, attempt);
+      expect([attempt.path, res.status, res.body.code]).toEqual([attempt.path, 403, 'interactive_session_required']);
+    }
+    expect(pool.connect).not.toHaveBeenCalled();
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('GET /auth/sessions lists active sessions without exposing session secrets', async () => {
+    pool.query.mockImplementationOnce(async (sql, params) => {
+      expect(sql).toContain('FROM in_kind_tracker.user_session');
+      expect(params[0]).toBe(3);
+      return {
+        rows: [
+          {
+            session_id: 'current-session',
+            created_at: '2024-06-01T00:00:00.000Z',
+            last_seen_at: '2024-06-02T00:00:00.000Z',
+            user_agent: 'Firefox',
+            ip_address: '10.0.0.1',
+            expires_at: '2024-06-08T00:00:00.000Z',
+          },
+          {
+            session_id: 'other-session',
+            created_at: '2024-05-30T00:00:00.000Z',
+            last_seen_at: null,
+            user_agent: 'curl',
+            ip_address: '10.0.0.2',
+            expires_at: '2024-06-06T00:00:00.000Z',
+          },
+        ],
+      };
+    });
+
+    const app = createTestApp({ user_id: 3 });
+    const res = await performRequest(app, { method: 'GET', path: '/auth/sessions' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(2);
+    expect(res.body[0]).toEqual({
+      id: publicSessionId('current-session'),
+      created_at: '2024-06-01T00:00:00.000Z',
+      last_seen_at: '2024-06-02T00:00:00.000Z',
+      user_agent: 'Firefox',
+      ip_address: '10.0.0.1',
+      expires_at: '2024-06-08T00:00:00.000Z',
+      current: true,
+    });
+    expect(res.body[1].current).toBe(false);
+    expect(JSON.stringify(res.body)).not.toContain('other-session');
+  });
+
+  test('DELETE /auth/sessions/:id revokes only a session owned by the caller', async () => {
+    const { audit } = passClientQueriesToPool(pool);
+    pool.query
+      .mockImplementationOnce(async (sql, params) => {
+        expect(params).toEqual([3]);
+        return { rows: [{ session_id: 'current-session' }, { session_id: 'other-session' }] };
+      })
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('DELETE FROM in_kind_tracker.user_session');
+        expect(params).toEqual(['other-session']);
+        return { rowCount: 1, rows: [] };
+      });
+
+    const app = createTestApp({ user_id: 3 });
+    const res = await performRequest(app, {
+      method: 'DELETE',
+      path: `/auth/sessions/${publicSessionId('other-session')}`,
+    });
+
+    expect(res.status).toBe(204);
+    expect(res.cookies).not.toHaveProperty('pp_session');
+    expect(audit).toHaveLength(1);
+    expect(audit[0].slice(0, 6)).toEqual([
+      3, null, 'revoke_session', 'user', '3', JSON.stringify({ session: publicSessionId('other-session') }),
+    ]);
+  });
+
+  test('DELETE /auth/sessions/:id returns 404 for unknown ids', async () => {
+    const { audit } = passClientQueriesToPool(pool);
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ session_id: 'current-session' }] }));
+
+    const app = createTestApp({ user_id: 3 });
+    const res = await performRequest(app, { method: 'DELETE', path: '/auth/sessions/not-mine' });
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Session not found' });
+    expect(audit).toHaveLength(0);
+  });
+
+  test('DELETE /auth/sessions logs out every other session', async () => {
+    const { client, audit } = passClientQueriesToPool(pool);
+    const invalidateUser = jest.spyOn(authCache, 'invalidateUser');
+    pool.query.mockImplementationOnce(async (sql, params) => {
+      expect(sql).toContain('DELETE FROM in_kind_tracker.user_session');
+      expect(params).toEqual([3, 'current-session']);
+      return { rowCount: 4, rows: [] };
+    });
+
+    const app = createTestApp({ user_id: 3 });
+    const res = await performRequest(app, { method: 'DELETE', path: '/auth/sessions' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ revoked: 4 });
+    expect(audit).toHaveLength(1);
+    expect(audit[0].slice(2, 7)).toEqual(['revoke_sessions', 'user', '3', null, JSON.stringify({ revoked: 4 })]);
+    // Cached sessions are dropped only once the delete is committed.
+    expect(invalidateUser).toHaveBeenCalledWith(3);
+    const commitIndex = client.query.mock.calls.findIndex(([sql]) => sql === 'COMMIT');
+    const commitOrder = client.query.mock.invocationCallOrder[commitIndex];
+    expect(invalidateUser.mock.invocationCallOrder[0]).toBeGreaterThan(commitOrder);
+    invalidateUser.mockRestore();
+  });
+
   test('POST /auth/logout clears session cookie', async () => {
-    pool.query.mockImplementationOnce(async () => ({
-      rows: [],
-    }));
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'COMMIT') return { rows: [] };
+      if (sql.includes('DELETE FROM in_kind_tracker.user_session')) {
+        expect(params).toEqual(['session-value']);
+        return { rowCount: 1, rows: [{ user_id: 3 }] };
+      }
+      if (sql.includes('INSERT INTO in_kind_tracker.audit_log')) {
+        expect(params.slice(0, 5)).toEqual([3, null, 'logout', 'user', '3']);
+        return { rowCount: 1, rows: [] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
 
     const app = createTestApp();
     const res = await performRequest(app, {
@@ -180,6 +938,8 @@ describe('Auth routes', () => {
         path: '/',
       },
     });
+    expect(res.cookies.pp_csrf.cleared).toBe(true);
+    expect(clientQuery).toHaveBeenCalledWith('COMMIT');
   });
 
   test('GET /auth/users resists SQL injection in status filter', async () => {
@@ -0,0 +1,202 @@
+import { EventEmitter } from 'node:events';
+
+jest.mock('../db.js', () => {
+  const query = jest.fn();
+  const connect = jest.fn();
+  return {
+    pool: { query, connect },
+    assertDbConnection: jest.fn(),
+  };
+});
+
+import { pool } from '../db.js';
+import { createTtlCache } from '../lib/authCache.js';
+import { resetPoolMocks } from './testUtils/requestUtils.js';
+
+let authCache;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  resetPoolMocks(pool);
+  // setupEnv.js turns caching off for route tests; load a fresh copy with it on.
+  process.env.AUTH_CACHE_TTL_SECONDS = '30';
+  jest.isolateModules(() => {
+    authCache = require('../lib/authCache.js');
+  });
+});
+
+afterEach(async () => {
+  await authCache.stopAuthCache();
+  process.env.AUTH_CACHE_TTL_SECONDS = '0';
+});
+
+const activeSession = (userId, extra = {}) => ({
+  status: 'active',
+  user: { user_id: userId },
+  expiresAt: new Date(Date.now() + 60_000).toISOString(),
+  impersonator: null,
+  ...extra,
+});
+
+describe('createTtlCache', () => {
+  test('expires entries after the TTL', () => {
+    let now = 1_000;
+    const cache = createTtlCache({ ttlSeconds: 10, maxEntries: 5, now: () => now });
+    cache.set('a', 1);
+    expect(cache.get('a')).toBe(1);
+    now += 10_000;
+    expect(cache.get('a')).toBeUndefined();
+  });
+
+  test('drops the oldest entry when full', () => {
+    const cache = createTtlCache({ ttlSeconds: 10, maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('c', 3);
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.get('c')).toBe(3);
+    expect(cache.size).toBe(2);
+  });
+
+  test('stores nothing when the TTL is 0', () => {
+    const cache = createTtlCache({ ttlSeconds: 0, maxEntries: 2 });
+    cache.set('a', 1);
+    expect(cache.get('a')).toBeUndefined();
+  });
+});
+
+describe('auth cache', () => {
+  test('reuses permissions until the user is invalidated', async () => {
+    const load = jest.fn(async () => ['view users']);
+
+    await authCache.cachedUserPermissions(7, load);
+    await authCache.cachedUserPermissions(7, load);
+    expect(load).toHaveBeenCalledTimes(1);
+
+    authCache.invalidateUser(7);
+    await authCache.cachedUserPermissions(7, load);
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+
+  test('caches active sessions only', async () => {
+    const expired = jest.fn(async () => ({ status: 'expired', reason: 'idle_timeout' }));
+    await authCache.cachedSession('sess-expired', expired);
+    await authCache.cachedSession('sess-expired', expired);
+    expect(expired).toHaveBeenCalledTimes(2);
+
+    const active = jest.fn(async () => activeSession(3));
+    await authCache.cachedSession('sess-active', active);
+    const second = await authCache.cachedSession('sess-active', active);
+    expect(active).toHaveBeenCalledTimes(1);
+    expect(second.user.user_id).toBe(3);
+  });
+
+  test('drops cached sessions on session, user and global invalidation', async () => {
+    const load = jest.fn(async () => activeSession(3));
+
+    await authCache.cachedSession('sess-1', load);
+    authCache.invalidateSession('sess-1');
+    await authCache.cachedSession('sess-1', load);
+    expect(load).toHaveBeenCalledTimes(2);
+
+    authCache.invalidateUser(3);
+    await authCache.cachedSession('sess-1', load);
+    expect(load).toHaveBeenCalledTimes(3);
+
+    authCache.invalidateAllAuthCache();
+    await authCache.cachedSession('sess-1', load);
+    expect(load).toHaveBeenCalledTimes(4);
+  });
+
+  test('invalidating an impersonator drops their impersonation sessions', async () => {
+    const load = jest.fn(async () => activeSession(3, { impersonator: { user_id: 1 } }));
+
+    await authCache.cachedSession('sess-imp', load);
+    authCache.invalidateUser(1);
+    await authCache.cachedSession('sess-imp', load);
+
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+
+  test('applies and publishes invalidations through a custom backend', async () => {
+    let deliver;
+    const backend = {
+      name: 'memory',
+      publish: jest.fn(async () => {}),
+      subscribe: jest.fn(async (onMessage) => {
+        deliver = onMessage;
+      }),
+      close: jest.fn(async () => {}),
+    };
+    await authCache.startAuthCache(backend);
+
+    const load = jest.fn(async () => ['view users']);
+    await authCache.cachedUserPermissions(9, load);
+
+    deliver({ scope: 'user', userId: '9', origin: 'another-instance' });
+    await authCache.cachedUserPermissions(9, load);
+    expect(load).toHaveBeenCalledTimes(2);
+
+    authCache.invalidateUser(9);
+    expect(backend.publish).toHaveBeenCalledWith(expect.objectContaining({ scope: 'user', userId: '9' }));
+    const [message] = backend.publish.mock.calls[0];
+    expect(message.origin).toEqual(expect.any(String));
+
+    await authCache.stopAuthCache();
+    expect(backend.close).toHaveBeenCalled();
+  });
+
+  test('the Postgres backend uses LISTEN and pg_notify without leaking session ids', async () => {
+    const listener = Object.assign(new EventEmitter(), {
+      query: jest.fn(async () => ({ rows: [] })),
+      release: jest.fn(),
+    });
+    pool.connect.mockResolvedValue(listener);
+    pool.query.mockImplementation(async () => ({ rows: [] }));
+
+    await authCache.startAuthCache(authCache.createPostgresCacheBackend({ channel: 'auth_cache_test' }));
+    expect(listener.query).toHaveBeenCalledWith('LISTEN auth_cache_test');
+
+    const load = jest.fn(async () => activeSession(4));
+    await authCache.cachedSession('secret-session', load);
+    listener.emit('notification', {
+      channel: 'auth_cache_test',
+      payload: JSON.stringify({ scope: 'user', userId: '4', origin: 'another-instance' }),
+    });
+    await authCache.cachedSession('secret-session', load);
+    expect(load).toHaveBeenCalledTimes(2);
+
+    authCache.invalidateSession('secret-session');
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toBe('SELECT pg_notify($1, $2)');
+    expect(params[0]).toBe('auth_cache_test');
+    expect(params[1]).not.toContain('secret-session');
+
+    await authCache.stopAuthCache();
+    expect(listener.query).toHaveBeenCalledWith('UNLISTEN auth_cache_test');
+    expect(listener.release).toHaveBeenCalled();
+  });
+
+  test('the Postgres backend releases the listener connection when LISTEN fails', async () => {
+    const listener = Object.assign(new EventEmitter(), {
+      query: jest.fn(async () => {
+        throw new Error('permission denied');
+      }),
+      release: jest.fn(),
+    });
+    pool.connect.mockResolvedValue(listener);
+
+    await expect(
+      authCache.startAuthCache(authCache.createPostgresCacheBackend({ channel: 'auth_cache_test' })),
+    ).rejects.toThrow('permission denied');
+    expect(listener.release).toHaveBeenCalledTimes(1);
+    expect(listener.release).toHaveBeenCalledWith(expect.any(Error));
+
+    await authCache.stopAuthCache();
+    expect(listener.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects unsafe channel names', () => {
+    expect(() => authCache.createPostgresCacheBackend({ channel: 'bad; DROP' })).toThrow('AUTH_CACHE_CHANNEL');
+  });
+});
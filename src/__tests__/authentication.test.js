@@ -0,0 +1,239 @@
+import express from 'express';
+
+jest.mock('../db.js', () => {
+  const query = jest.fn();
+  const connect = jest.fn();
+  return {
+    pool: { query, connect },
+    assertDbConnection: jest.fn(),
+  };
+});
+
+import { pool } from '../db.js';
+import { authenticateRequest, isAuthExemptPath } from '../middleware/authentication.js';
+import { hashToken } from '../lib/tokens.js';
+import { performRequest, resetPoolMocks } from './testUtils/requestUtils.js';
+
+function createTestApp() {
+  const app = express();
+  app.use(authenticateRequest);
+  app.get('/protected', (req, res) => res.json({
+    user_id: req.user.user_id,
+    sessionId: req.sessionId,
+    ...(req.apiToken ? { apiToken: req.apiToken } : {}),
+    ...(req.impersonator ? { impersonator: req.impersonator } : {}),
+  }));
+  app.post('/auth/login', (_req, res) => res.json({ ok: true }));
+  return app;
+}
+
+function sessionRow(overrides = {}) {
+  return {
+    session_id: 'abc',
+    session_absolute_expired: false,
+    session_idle_expired: false,
+    session_expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    user_id: 7,
+    username: 'user@example.com',
+    status: 'active',
+    role_id: 1,
+    role_name: 'Admin',
+    default_route: '/Dashboard',
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  resetPoolMocks(pool);
+});
+
+describe('Authentication middleware', () => {
+  test('isAuthExemptPath matches exempt paths with or without a trailing slash', () => {
+    expect(isAuthExemptPath('/auth/login')).toBe(true);
+    expect(isAuthExemptPath('/auth/login/')).toBe(true);
+    expect(isAuthExemptPath('/auth/me')).toBe(false);
+    expect(isAuthExemptPath('/myauth/login')).toBe(false);
+  });
+
+  test('skips exempt paths without touching the database', async () => {
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'POST', path: '/auth/login' });
+
+    expect(res.status).toBe(200);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('rejects requests without a session cookie', async () => {
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'GET', path: '/protected' });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Not authenticated' });
+    expect(res.cookies.pp_session.cleared).toBe(true);
+  });
+
+  test('rejects unknown sessions', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [] }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'GET',
+      path: '/protected',
+      headers: { cookie: 'pp_session=missing' },
+    });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Not authenticated' });
+  });
+
+  test.each([
+    ['idle_timeout', { session_idle_expired: true }],
+    ['absolute_timeout', { session_absolute_expired: true }],
+  ])('returns a session_expired reason of %s and deletes the session', async (reason, overrides) => {
+    pool.query
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('FROM in_kind_tracker.user_session s');
+        expect(params[0]).toBe('abc');
+        return { rows: [sessionRow(overrides)] };
+      })
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('DELETE FROM in_kind_tracker.user_session');
+        expect(params).toEqual(['abc']);
+        return { rowCount: 1, rows: [] };
+      });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'GET',
+      path: '/protected',
+      headers: { cookie: 'pp_session=abc' },
+    });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Session expired', code: 'session_expired', reason });
+    expect(res.cookies.pp_session.cleared).toBe(true);
+  });
+
+  test('accepts active sessions, records activity and slides the cookie', async () => {
+    const row = sessionRow();
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [row] }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('SET last_seen_at = NOW()');
+        expect(params).toEqual(['abc']);
+        return { rowCount: 1, rows: [] };
+      });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'GET',
+      path: '/protected',
+      headers: { cookie: 'pp_session=abc' },
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ user_id: 7, sessionId: 'abc' });
+    expect(res.cookies.pp_session.value).toBe('abc');
+    const { maxAge } = res.cookies.pp_session.options;
+    expect(maxAge).toBeGreaterThan(59 * 60 * 1000);
+    expect(maxAge).toBeLessThanOrEqual(60 * 60 * 1000);
+    expect(pool.query).toHaveBeenCalledTimes(2);
+  });
+
+  test('resolves impersonation sessions to the target user and exposes the admin', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [sessionRow({
+          user_id: 12,
+          impersonator_user_id: 7,
+          impersonator_username: 'admin@example.com',
+          impersonator_name: 'Admin',
+          impersonator_status: 'active',
+        })],
+      }))
+      .mockImplementationOnce(async () => ({ rowCount: 1, rows: [] }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'GET',
+      path: '/protected',
+      headers: { cookie: 'pp_session=abc' },
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      user_id: 12,
+      sessionId: 'abc',
+      impersonator: { user_id: 7, username: 'admin@example.com', name: 'Admin' },
+    });
+  });
+
+  test('rejects impersonation sessions whose admin is no longer active', async () => {
+    pool.query.mockImplementationOnce(async () => ({
+      rows: [sessionRow({ user_id: 12, impersonator_user_id: 7, impersonator_status: 'inactive' })],
+    }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'GET',
+      path: '/protected',
+      headers: { cookie: 'pp_session=abc' },
+    });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('accepts a bearer API token without consulting the session cookie', async () => {
+    pool.query
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('FROM in_kind_tracker.api_token t');
+        expect(params).toEqual([hashToken('ppat_secret')]);
+        return {
+          rows: [
+            {
+              token_api_token_id: 12,
+              token_name: 'nightly export',
+              token_permissions: ['view users'],
+              user_id: 7,
+              username: 'svc@example.com',
+              status: 'active',
+            },
+          ],
+        };
+      })
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('SET last_used_at = NOW()');
+        expect(params).toEqual([12]);
+        return { rowCount: 1, rows: [] };
+      });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'GET',
+      path: '/protected',
+      headers: { authorization: 'Bearer ppat_secret', cookie: 'pp_session=ignored' },
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      user_id: 7,
+      apiToken: { api_token_id: 12, name: 'nightly export', permissions: ['view users'] },
+    });
+    expect(res.cookies).not.toHaveProperty('pp_session');
+  });
+
+  test('rejects unknown, revoked or expired API tokens', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [] }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'GET',
+      path: '/protected',
+      headers: { authorization: 'Bearer ppat_revoked' },
+    });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Invalid or expired API token', code: 'invalid_token' });
+  });
+});
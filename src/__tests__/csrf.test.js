@@ -0,0 +1,71 @@
+import express from 'express';
+
+jest.mock('../db.js', () => {
+  const query = jest.fn();
+  const connect = jest.fn();
+  return {
+    pool: { query, connect },
+    assertDbConnection: jest.fn(),
+  };
+});
+
+import { verifyCsrfToken } from '../middleware/csrf.js';
+import { csrfTokenForSession } from '../routes/auth.js';
+import { performRequest } from './testUtils/requestUtils.js';
+
+function createTestApp({ sessionId = 'session-1', apiToken = null } = {}) {
+  const app = express();
+  app.use((req, _res, next) => {
+    req.sessionId = sessionId;
+    req.apiToken = apiToken;
+    next();
+  });
+  app.use(verifyCsrfToken);
+  app.get('/thing', (_req, res) => res.json({ ok: true }));
+  app.post('/thing', (_req, res) => res.json({ ok: true }));
+  return app;
+}
+
+describe('CSRF middleware', () => {
+  test('allows safe methods without a token', async () => {
+    const res = await performRequest(createTestApp(), { method: 'GET', path: '/thing' });
+
+    expect(res.status).toBe(200);
+  });
+
+  test('rejects cookie-authenticated mutations without a token', async () => {
+    const res = await performRequest(createTestApp(), { method: 'POST', path: '/thing', body: {} });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ error: 'CSRF token missing or invalid', code: 'csrf_failed' });
+  });
+
+  test('rejects a token issued for a different session', async () => {
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/thing',
+      body: {},
+      headers: { 'X-CSRF-Token': csrfTokenForSession('session-2') },
+    });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('accepts the token derived from the current session', async () => {
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/thing',
+      body: {},
+      headers: { 'X-CSRF-Token': csrfTokenForSession('session-1') },
+    });
+
+    expect(res.status).toBe(200);
+  });
+
+  test('does not require a token for bearer-authenticated requests', async () => {
+    const app = createTestApp({ sessionId: null, apiToken: { api_token_id: 1 } });
+    const res = await performRequest(app, { method: 'POST', path: '/thing', body: {} });
+
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,240 @@
+import express from 'express';
+
+jest.mock('../db.js', () => {
+  const query = jest.fn();
+  const connect = jest.fn();
+  return {
+    pool: { query, connect },
+    assertDbConnection: jest.fn(),
+  };
+});
+
+import { pool } from '../db.js';
+import { router as impersonationRouter } from '../routes/impersonation.js';
+import {
+  blockImpersonatedActions,
+  isBlockedWhileImpersonating,
+  parseBlockedActions,
+} from '../middleware/impersonation.js';
+import { performRequest, resetPoolMocks } from './testUtils/requestUtils.js';
+
+const ADMIN = { user_id: 1, username: 'admin@example.com', name: 'Admin' };
+
+function createTestApp({ user = ADMIN, impersonator = null } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.user = user;
+    req.sessionId = 'admin-session';
+    if (impersonator) {
+      req.impersonator = impersonator;
+    }
+    next();
+  });
+  app.use(blockImpersonatedActions);
+  app.use('/auth/impersonate', impersonationRouter);
+  app.post('/auth/password', (_req, res) => res.status(204).send());
+  return app;
+}
+
+function sessionRow(overrides = {}) {
+  return {
+    session_id: 'new-session',
+    session_absolute_expired: false,
+    session_idle_expired: false,
+    session_expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    impersonator_user_id: null,
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  resetPoolMocks(pool);
+});
+
+describe('Impersonation', () => {
+  test('blocked action rules match methods and single path segments', () => {
+    const rules = parseBlockedActions('POST /auth/password, * /user/*/tokens');
+
+    expect(isBlockedWhileImpersonating('POST', '/auth/password', rules)).toBe(true);
+    expect(isBlockedWhileImpersonating('GET', '/auth/password', rules)).toBe(false);
+    expect(isBlockedWhileImpersonating('DELETE', '/user/12/tokens/', rules)).toBe(true);
+    expect(isBlockedWhileImpersonating('DELETE', '/user/12/tokens/3', rules)).toBe(false);
+  });
+
+  test('blocked action rules ignore method and path case', () => {
+    const rules = parseBlockedActions('POST /auth/password, * /auth/tokens');
+
+    expect(isBlockedWhileImpersonating('post', '/AUTH/PASSWORD', rules)).toBe(true);
+    expect(isBlockedWhileImpersonating('POST', '/Auth/Tokens/', rules)).toBe(true);
+  });
+
+  test('refuses blocked actions while impersonating', async () => {
+    const app = createTestApp({ user: { user_id: 7 }, impersonator: ADMIN });
+    const res = await performRequest(app, { method: 'POST', path: '/auth/password', body: {} });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('impersonation_blocked');
+  });
+
+  test('refuses blocked actions sent in another case', async () => {
+    const app = createTestApp({ user: { user_id: 7 }, impersonator: ADMIN });
+    const res = await performRequest(app, { method: 'POST', path: '/AUTH/PASSWORD', body: {} });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('impersonation_blocked');
+  });
+
+  test('POST /auth/impersonate requires the impersonation permission', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'view users' }] }));
+
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/auth/impersonate',
+      body: { user_id: 7 },
+    });
+
+    expect(res.status).toBe(403);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('POST /auth/impersonate refuses targets with permissions the caller lacks', async () => {
+    pool.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('SELECT user_id, status, is_service_account')) {
+        return { rows: [{ user_id: 7, status: 'active', is_service_account: false }] };
+      }
+      const permissions = params[0] === 1 ? ['manage users'] : ['manage users', 'view audit log'];
+      return { rows: permissions.map((permission) => ({ permission })) };
+    });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/auth/impersonate',
+      body: { user_id: 7 },
+    });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({
+      code: 'permission_escalation',
+      error: 'You cannot impersonate a user with permissions you do not hold: view audit log',
+      permissions: ['view audit log'],
+    });
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('POST /auth/impersonate swaps in a session for the target user and records the event', async () => {
+    const events = [];
+    const audits = [];
+    pool.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM in_kind_tracker.user_account ua')) {
+        const permissions = params[0] === 1 ? ['manage users', 'view locations'] : ['view locations'];
+        return { rows: permissions.map((permission) => ({ permission })) };
+      }
+      if (sql.includes('SELECT user_id, status, is_service_account')) {
+        return { rows: [{ user_id: 7, status: 'active', is_service_account: false }] };
+      }
+      if (sql.includes('DELETE FROM in_kind_tracker.user_session')) {
+        expect(params).toEqual(['admin-session']);
+        return { rowCount: 1 };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'COMMIT') return { rows: [] };
+      if (sql.includes('INSERT INTO in_kind_tracker.user_session')) {
+        expect(params.slice(1, 3)).toEqual([1, 7]);
+        return { rowCount: 1 };
+      }
+      if (sql.includes('INSERT INTO in_kind_tracker.login_event')) {
+        events.push(params);
+        return { rowCount: 1 };
+      }
+      if (sql.includes('INSERT INTO in_kind_tracker.audit_log')) {
+        audits.push(params);
+        return { rowCount: 1 };
+      }
+      if (sql.includes('FROM in_kind_tracker.user_session s')) {
+        return {
+          rows: [sessionRow({
+            user_id: 7,
+            username: 'clinician@example.com',
+            status: 'active',
+            impersonator_user_id: 1,
+            impersonator_username: 'admin@example.com',
+            impersonator_name: 'Admin',
+            impersonator_status: 'active',
+          })],
+        };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/auth/impersonate',
+      body: { user_id: 7 },
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      user_id: 7,
+      permissions: ['view locations'],
+      impersonating: true,
+      impersonator: { user_id: 1, username: 'admin@example.com', name: 'Admin' },
+    });
+    expect(res.body.csrf_token).toBeDefined();
+    expect(res.cookies.pp_session.value).toEqual(expect.any(String));
+    expect(events).toHaveLength(1);
+    expect(events[0].slice(0, 2)).toEqual(['impersonation_started', 7]);
+    expect(events[0][5]).toBe(1);
+    expect(audits).toHaveLength(1);
+    expect(audits[0].slice(0, 5)).toEqual([1, null, 'start_impersonation', 'user', '7']);
+  });
+
+  test('POST /auth/impersonate/stop returns to the admin identity', async () => {
+    const audits = [];
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM in_kind_tracker.user_account ua')) return { rows: [{ permission: 'manage users' }] };
+      if (sql.includes('DELETE FROM in_kind_tracker.user_session')) return { rowCount: 1 };
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'COMMIT') return { rows: [] };
+      if (sql.includes('INSERT INTO in_kind_tracker.user_session')) {
+        expect(params.slice(1, 3)).toEqual([1, null]);
+        return { rowCount: 1 };
+      }
+      if (sql.includes('INSERT INTO in_kind_tracker.login_event')) {
+        expect(params.slice(0, 2)).toEqual(['impersonation_stopped', 7]);
+        return { rowCount: 1 };
+      }
+      if (sql.includes('INSERT INTO in_kind_tracker.audit_log')) {
+        audits.push(params);
+        return { rowCount: 1 };
+      }
+      if (sql.includes('FROM in_kind_tracker.user_session s')) {
+        return { rows: [sessionRow({ user_id: 1, username: 'admin@example.com', status: 'active' })] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp({ user: { user_id: 7 }, impersonator: ADMIN });
+    const res = await performRequest(app, { method: 'POST', path: '/auth/impersonate/stop' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ user_id: 1, impersonating: false, impersonator: null });
+    expect(audits).toHaveLength(1);
+    expect(audits[0].slice(0, 5)).toEqual([1, 1, 'stop_impersonation', 'user', '7']);
+  });
+
+  test('POST /auth/impersonate/stop is a conflict without an active impersonation', async () => {
+    const res = await performRequest(createTestApp(), { method: 'POST', path: '/auth/impersonate/stop' });
+
+    expect(res.status).toBe(409);
+  });
+});
@@ -0,0 +1,48 @@
+import { parseListQuery, LIST_PAGE_SIZE } from '../lib/listQuery.js';
+
+const spec = {
+  defaultSort: '-created_at',
+  tieBreaker: 'page.id',
+  sort: { name: 'page.name', created_at: 'page.created_at' },
+  filters: {
+    name: { type: 'contains', sql: (param) => `page.name ILIKE ${param}` },
+    active: { type: 'boolean', sql: (param) => `page.active = ${param}` },
+  },
+};
+
+describe('parseListQuery', () => {
+  test('uses the default page and sort', () => {
+    expect(parseListQuery({}, spec)).toEqual({
+      limit: LIST_PAGE_SIZE,
+      offset: 0,
+      sort: [{ field: 'created_at', descending: true }],
+      filters: [],
+      includeArchived: false,
+    });
+  });
+
+  test('parses sort terms once each and ignores unknown parameters', () => {
+    const parsed = parseListQuery({ sort: 'name,-created_at,-name', active: 'TRUE', other: 'x' }, spec);
+
+    expect(parsed.sort).toEqual([
+      { field: 'name', descending: false },
+      { field: 'created_at', descending: true },
+    ]);
+    expect(parsed.filters).toEqual([{ key: 'active', value: true }]);
+  });
+
+  test('escapes LIKE wildcards in contains filters', () => {
+    expect(parseListQuery({ name: ' 50%_off ' }, spec).filters).toEqual([
+      { key: 'name', value: '%50\\%\\_off%' },
+    ]);
+  });
+
+  test('rejects out-of-range pages and invalid values', () => {
+    expect(parseListQuery({ limit: '0' }, spec).error).toMatch(/^limit must be an integer/);
+    expect(parseListQuery({ offset: '-1' }, spec).error).toBe('offset must be a non-negative integer.');
+    expect(parseListQuery({ active: 'maybe' }, spec).error).toBe('active must be true or false.');
+    expect(parseListQuery({ sort: 'secret' }, spec).error).toBe(
+      'Cannot sort by "secret". Sortable fields: name, created_at.',
+    );
+  });
+});
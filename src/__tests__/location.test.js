@@ -12,7 +12,7 @@ jest.mock('../db.js', () => {
 import { pool } from '../db.js';
 import { requirePermissions } from '../middleware/authorization.js';
 import { router as locationRouter } from '../routes/location.js';
-import { performRequest, resetPoolMocks } from './testUtils/requestUtils.js';
+import { performRequest, resetPoolMocks, passClientQueriesToPool } from './testUtils/requestUtils.js';
 
 function createTestApp(user = { user_id: 830 }) {
   const app = express();
@@ -29,9 +29,46 @@ function createTestApp(user = { user_id: 830 }) {
   return app;
 }
 
+function createScopedApp(user = { user_id: 831 }) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use(
+    '/location',
+    requirePermissions({ read: 'view locations', manage: 'manage locations', scope: 'location' }),
+    locationRouter,
+  );
+  return app;
+}
+
+/**
+ * Queues the permission, org-wide permission and per-location grant lookups
+ * done by getLocationScope.
+ */
+function mockLocationScope({ permissions, orgWide, grants = [] }) {
+  const rows = permissions.map((permission) => ({ permission }));
+  pool.query
+    .mockImplementationOnce(async () => ({ rows }))
+    .mockImplementationOnce(async (sql) => {
+      expect(sql).toContain('COALESCE(r.org_wide, true)');
+      return { rows: orgWide ? rows : [] };
+    })
+    .mockImplementationOnce(async (sql, params) => {
+      expect(sql).toContain('FROM in_kind_tracker.user_location ul');
+      expect(params).toEqual([831]);
+      return { rows: grants };
+    });
+}
+
+let transactions;
+
 beforeEach(() => {
   jest.clearAllMocks();
   resetPoolMocks(pool);
+  transactions = passClientQueriesToPool(pool);
 });
 
 describe('Location routes', () => {
@@ -138,6 +175,10 @@ describe('Location routes', () => {
       .mockImplementationOnce(async () => ({
         rows: [{ permission: 'manage locations' }],
       }))
+      .mockImplementationOnce(async (sql) => {
+        expect(sql).toContain('FOR UPDATE');
+        return { rows: [{ location_id: 3, name: 'Old Location', notes: null }] };
+      })
       .mockImplementationOnce(async () => ({
         rows: [
           { location_id: 3, name: 'Updated Location', notes: 'note' },
@@ -153,6 +194,11 @@ describe('Location routes', () => {
 
     expect(res.status).toBe(200);
     expect(res.body).toEqual({ location_id: 3, name: 'Updated Location', notes: 'note' });
+    expect(transactions.audit).toHaveLength(1);
+    const [, , action, resource, resourceId, before, after] = transactions.audit[0];
+    expect([action, resource, resourceId]).toEqual(['update', 'location', '3']);
+    expect(JSON.parse(before)).toMatchObject({ name: 'Old Location' });
+    expect(JSON.parse(after)).toMatchObject({ name: 'Updated Location' });
   });
 
   test('DELETE /location/:id returns 404 when missing', async () => {
@@ -190,4 +236,322 @@ describe('Location routes', () => {
     expect(res.status).toBe(404);
     expect(res.body).toEqual({ error: 'Location not found' });
   });
+
+  test('GET /location only lists locations in a site-scoped user\'s grants', async () => {
+    mockLocationScope({
+      permissions: ['view locations'],
+      orgWide: false,
+      grants: [
+        { location_id: 5, permission: 'view locations' },
+        { location_id: 2, permission: 'manage locations' },
+      ],
+    });
+    pool.query.mockImplementationOnce(async (sql, params) => {
+      expect(sql).toContain('WHERE location_id = ANY($1::int[])');
+      expect(params).toEqual([[2, 5], 100, 0]);
+      return { rows: [{ location_id: 2, name: 'North' }, { location_id: 5, name: 'South' }] };
+    });
+
+    const res = await performRequest(createScopedApp(), { method: 'GET', path: '/location' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(2);
+  });
+
+  test('GET /location lists everything for org-wide roles', async () => {
+    mockLocationScope({ permissions: ['view locations'], orgWide: true });
+    pool.query.mockImplementationOnce(async (sql, params) => {
+      expect(sql).not.toContain('ANY(');
+      expect(params).toEqual([100, 0]);
+      return { rows: [{ location_id: 1, name: 'Main Office' }] };
+    });
+
+    const res = await performRequest(createScopedApp(), { method: 'GET', path: '/location' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([{ location_id: 1, name: 'Main Office' }]);
+  });
+
+  test('GET /location is forbidden for a site-scoped role with no assigned locations', async () => {
+    mockLocationScope({ permissions: ['view locations'], orgWide: false });
+
+    const res = await performRequest(createScopedApp(), { method: 'GET', path: '/location' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('GET /location/:id hides locations outside the caller\'s scope', async () => {
+    mockLocationScope({
+      permissions: ['view locations'],
+      orgWide: false,
+      grants: [{ location_id: 5, permission: 'view locations' }],
+    });
+
+    const res = await performRequest(createScopedApp(), { method: 'GET', path: '/location/6' });
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Location not found' });
+  });
+
+  test('PATCH /location/:id is forbidden where the caller can only view', async () => {
+    mockLocationScope({
+      permissions: [],
+      orgWide: false,
+      grants: [
+        { location_id: 5, permission: 'view locations' },
+        { location_id: 7, permission: 'manage locations' },
+      ],
+    });
+
+    const res = await performRequest(createScopedApp(), {
+      method: 'PATCH',
+      path: '/location/5',
+      body: { name: 'Renamed' },
+    });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('POST /location requires org-wide location management', async () => {
+    mockLocationScope({
+      permissions: ['manage locations'],
+      orgWide: false,
+      grants: [{ location_id: 7, permission: 'manage locations' }],
+    });
+
+    const res = await performRequest(createScopedApp(), {
+      method: 'POST',
+      path: '/location',
+      body: { name: 'Another Site' },
+    });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('DELETE /location/:id uses the delete permission when one is configured', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.user = { user_id: 831 };
+      next();
+    });
+    app.use(
+      '/location',
+      requirePermissions({
+        read: 'view locations',
+        update: 'edit locations',
+        delete: 'delete locations',
+        scope: 'location',
+      }),
+      locationRouter,
+    );
+    mockLocationScope({
+      permissions: [],
+      orgWide: false,
+      grants: [{ location_id: 5, permission: 'edit locations' }],
+    });
+
+    const res = await performRequest(app, { method: 'DELETE', path: '/location/5' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Location archiving', () => {
+  function createPurgeApp(user = { user_id: 832 }) {
+    const app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.user = user;
+      next();
+    });
+    app.use(
+      '/location',
+      requirePermissions({
+        read: 'view locations',
+        manage: 'manage locations',
+        actions: { 'DELETE /:location_id/purge': 'purge locations' },
+      }),
+      locationRouter,
+    );
+    return app;
+  }
+
+  const archivedRow = { location_id: 3, name: 'North', archived_at: '2026-03-01T00:00:00.000Z', archived_by: 830 };
+
+  test('DELETE /location/:id archives instead of deleting', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'manage locations' }] }))
+      .mockImplementationOnce(async (sql) => {
+        expect(sql).toContain('FOR UPDATE');
+        return { rows: [{ location_id: 3, name: 'North', archived_at: null, archived_by: null }] };
+      })
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('SET archived_at = NOW(), archived_by = $2');
+        expect(sql).not.toContain('DELETE');
+        expect(params).toEqual(['3', 830]);
+        return { rows: [archivedRow] };
+      });
+
+    const res = await performRequest(createTestApp(), { method: 'DELETE', path: '/location/3' });
+
+    expect(res.status).toBe(204);
+    expect(transactions.audit[0].slice(2, 5)).toEqual(['archive', 'location', '3']);
+  });
+
+  test('DELETE /location/:id refuses a location that is already archived', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'manage locations' }] }))
+      .mockImplementationOnce(async () => ({ rows: [archivedRow] }));
+
+    const res = await performRequest(createTestApp(), { method: 'DELETE', path: '/location/3' });
+
+    expect(res.status).toBe(409);
+    expect(transactions.client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  test('DELETE /location/:id returns 412 when If-Match is stale', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'manage locations' }] }))
+      .mockImplementationOnce(async () => ({ rows: [{ location_id: 3, name: 'North', archived_at: null, archived_by: null }] }));
+
+    const res = await performRequest(createTestApp(), {
+      method: 'DELETE',
+      path: '/location/3',
+      headers: { 'If-Match': '"stale"' },
+    });
+
+    expect(res.status).toBe(412);
+    expect(res.body.code).toBe('precondition_failed');
+    expect(transactions.client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(transactions.audit).toHaveLength(0);
+  });
+
+  test('POST /location/:id/restore clears the archive stamp', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'manage locations' }] }))
+      .mockImplementationOnce(async () => ({ rows: [archivedRow] }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('SET archived_at = NULL, archived_by = NULL');
+        expect(params).toEqual(['3']);
+        return { rows: [{ ...archivedRow, archived_at: null, archived_by: null }] };
+      });
+
+    const res = await performRequest(createTestApp(), { method: 'POST', path: '/location/3/restore' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ location_id: 3, name: 'North', archived_at: null, archived_by: null });
+    expect(transactions.audit[0][2]).toBe('restore');
+  });
+
+  test('GET /location hides archived locations unless asked for them', async () => {
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM in_kind_tracker.location')) return { rows: [] };
+      return { rows: [{ permission: 'view locations' }] };
+    });
+
+    await performRequest(createTestApp(), { method: 'GET', path: '/location' });
+    await performRequest(createTestApp(), { method: 'GET', path: '/location?include_archived=true' });
+
+    const listSql = pool.query.mock.calls
+      .map(([sql]) => sql)
+      .filter((sql) => sql.includes('FROM in_kind_tracker.location'));
+    expect(listSql).toHaveLength(2);
+    expect(listSql[0]).toContain('page.archived_at IS NULL');
+    expect(listSql[1]).not.toContain('archived_at IS NULL');
+  });
+
+  test('DELETE /location/:id/purge needs the purge permission', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage locations' }] }));
+
+    const res = await performRequest(createPurgeApp(), { method: 'DELETE', path: '/location/3/purge' });
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage locations' }] }));
+    const upperCase = await performRequest(createPurgeApp(), { method: 'DELETE', path: '/location/3/PURGE' });
+
+    expect(res.status).toBe(403);
+    expect(upperCase.status).toBe(403);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('DELETE /location/:id/purge only removes archived locations', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'purge locations' }] }))
+      .mockImplementationOnce(async () => ({ rows: [{ ...archivedRow, archived_at: null }] }));
+
+    const active = await performRequest(createPurgeApp(), { method: 'DELETE', path: '/location/3/purge' });
+
+    expect(active.status).toBe(409);
+    expect(active.body).toEqual({ error: 'Archive the location before purging it' });
+
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'purge locations' }] }))
+      .mockImplementationOnce(async () => ({ rows: [archivedRow] }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('DELETE FROM in_kind_tracker.location');
+        expect(params).toEqual(['3']);
+        return { rowCount: 1, rows: [] };
+      });
+
+    const archived = await performRequest(createPurgeApp(), { method: 'DELETE', path: '/location/3/purge' });
+
+    expect(archived.status).toBe(204);
+    expect(transactions.audit.map((params) => params[2])).toEqual(['purge']);
+  });
+});
+
+describe('Location field visibility', () => {
+  test('GET /location hides internal notes from viewers', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'view locations' }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ location_id: 1, name: 'Main Office', notes: 'Alarm code 1234', address_internal: 'x' }],
+      }));
+
+    const res = await performRequest(createTestApp(), { method: 'GET', path: '/location' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([{ location_id: 1, name: 'Main Office' }]);
+  });
+
+  test('GET /location/:id shows notes to location managers', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage locations' }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ location_id: 1, name: 'Main Office', notes: 'Alarm code 1234' }],
+      }));
+
+    const res = await performRequest(createTestApp(), { method: 'GET', path: '/location/1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.notes).toBe('Alarm code 1234');
+  });
+
+  test('per-location grants reveal notes only where the caller manages the location', async () => {
+    mockLocationScope({
+      permissions: ['view locations'],
+      orgWide: false,
+      grants: [
+        { location_id: 5, permission: 'view locations' },
+        { location_id: 2, permission: 'manage locations' },
+      ],
+    });
+    pool.query.mockImplementationOnce(async () => ({
+      rows: [
+        { location_id: 2, name: 'North', notes: 'Back door sticks' },
+        { location_id: 5, name: 'South', notes: 'Lease ends in May' },
+      ],
+    }));
+
+    const res = await performRequest(createScopedApp(), { method: 'GET', path: '/location' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([
+      { location_id: 2, name: 'North', notes: 'Back door sticks' },
+      { location_id: 5, name: 'South' },
+    ]);
+  });
 });
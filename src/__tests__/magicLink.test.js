@@ -0,0 +1,173 @@
+import express from 'express';
+
+jest.mock('../db.js', () => {
+  const query = jest.fn();
+  const connect = jest.fn();
+  return {
+    pool: { query, connect },
+    assertDbConnection: jest.fn(),
+  };
+});
+
+jest.mock('../middleware/authorization.js', () => {
+  const actual = jest.requireActual('../middleware/authorization.js');
+  return {
+    ...actual,
+    listUserPermissions: jest.fn(),
+  };
+});
+
+import { pool } from '../db.js';
+import { listUserPermissions } from '../middleware/authorization.js';
+import { router as magicLinkRouter } from '../routes/magicLink.js';
+import { setMailTransport } from '../lib/mail.js';
+import { hashToken } from '../lib/tokens.js';
+import { performRequest, resetPoolMocks } from './testUtils/requestUtils.js';
+
+const sentMail = [];
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth/magic-link', magicLinkRouter);
+  return app;
+}
+
+beforeAll(() => {
+  setMailTransport({ send: async (message) => { sentMail.push(message); } });
+});
+
+afterAll(() => {
+  setMailTransport(null);
+  delete process.env.MAGIC_LINK_ENABLED;
+  delete process.env.MAGIC_LINK_URL;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  resetPoolMocks(pool);
+  sentMail.length = 0;
+  process.env.MAGIC_LINK_ENABLED = 'true';
+  process.env.MAGIC_LINK_URL = 'https://app.example.org/magic-link';
+});
+
+describe('Magic-link routes', () => {
+  test('returns 404 when magic-link sign-in is disabled', async () => {
+    process.env.MAGIC_LINK_ENABLED = 'false';
+
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/auth/magic-link',
+      body: { username: 'user@example.com' },
+    });
+
+    expect(res.status).toBe(404);
+  });
+
+  test('POST /auth/magic-link emails a link for active users', async () => {
+    let storedHash;
+    pool.query
+      .mockImplementationOnce(async (sql, params) => {
+        expect(params).toEqual(['user@example.com']);
+        return { rows: [{ user_id: 3, username: 'user@example.com', status: 'active', is_service_account: false }] };
+      })
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('INSERT INTO in_kind_tracker.magic_link_token');
+        [storedHash] = params;
+        expect(params[1]).toBe(3);
+        return { rowCount: 1 };
+      })
+      .mockImplementationOnce(async () => ({ rowCount: 0 }));
+
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/auth/magic-link',
+      body: { username: ' User@Example.com ' },
+    });
+
+    expect(res.status).toBe(202);
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0].to).toBe('user@example.com');
+    const token = /token=([^\s]+)/.exec(sentMail[0].text)[1];
+    expect(sentMail[0].text).toContain('https://app.example.org/magic-link?token=');
+    expect(hashToken(decodeURIComponent(token))).toBe(storedHash);
+  });
+
+  test('POST /auth/magic-link gives the same answer for unknown or inactive users', async () => {
+    pool.query.mockImplementationOnce(async () => ({
+      rows: [{ user_id: 4, username: 'gone@example.com', status: 'inactive', is_service_account: false }],
+    }));
+
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/auth/magic-link',
+      body: { username: 'gone@example.com' },
+    });
+
+    expect(res.status).toBe(202);
+    expect(sentMail).toHaveLength(0);
+  });
+
+  test('POST /auth/magic-link/verify rejects used or expired tokens', async () => {
+    const clientQuery = jest.fn(async (sql) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'ROLLBACK') return { rows: [] };
+      if (sql.includes('UPDATE in_kind_tracker.magic_link_token')) return { rows: [] };
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/auth/magic-link/verify',
+      body: { token: 'stale' },
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Sign-in link is invalid or has expired' });
+  });
+
+  test('POST /auth/magic-link/verify answers 500 when the database is unavailable', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    pool.connect.mockRejectedValueOnce(new Error('connection refused'));
+
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/auth/magic-link/verify',
+      body: { token: 'fresh' },
+    });
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: 'Internal server error, connection refused' });
+    errorSpy.mockRestore();
+  });
+
+  test('POST /auth/magic-link/verify burns the token and opens a session', async () => {
+    listUserPermissions.mockResolvedValue(['view locations']);
+    const userRow = { user_id: 3, username: 'user@example.com', status: 'active', role_name: 'Associate' };
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'COMMIT') return { rows: [] };
+      if (sql.includes('UPDATE in_kind_tracker.magic_link_token')) {
+        expect(params).toEqual([hashToken('fresh-token')]);
+        return { rows: [{ user_id: 3 }] };
+      }
+      if (sql.includes('SELECT ua.*, r.role_name')) return { rows: [userRow] };
+      if (sql.includes('UPDATE in_kind_tracker.user_account')) return { rowCount: 1 };
+      if (sql.includes('INSERT INTO in_kind_tracker.user_session')) return { rowCount: 1 };
+      if (sql.includes('INSERT INTO in_kind_tracker.audit_log')) return { rowCount: 1, rows: [] };
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/auth/magic-link/verify',
+      body: { token: 'fresh-token' },
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ user_id: 3, permissions: ['view locations'] });
+    expect(res.cookies.pp_session.value).toEqual(expect.any(String));
+  });
+});
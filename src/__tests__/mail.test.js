@@ -0,0 +1,139 @@
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import {
+  assertMailTransportConfigured,
+  buildMimeMessage,
+  createFileTransport,
+  createSmtpTransport,
+} from '../lib/mail.js';
+
+const MESSAGE = {
+  from: 'Practice Pulse <no-reply@example.org>',
+  to: 'user@example.com',
+  subject: 'Sign-in link',
+  text: 'Hello\n.\nBye',
+};
+
+function decodeBody(mime) {
+  const [, body] = mime.split('\r\n\r\n');
+  return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+}
+
+/**
+ * Accepts one SMTP conversation and records the commands and message data.
+ */
+function startFakeSmtpServer() {
+  const session = { commands: [], data: '' };
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 fake ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          } else {
+            session.data += `${line}\r\n`;
+          }
+          continue;
+        }
+        session.commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-fake\r\n250 AUTH PLAIN\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, session, port: server.address().port }));
+  });
+}
+
+describe('Mail transports', () => {
+  test('buildMimeMessage base64-encodes the body and adds standard headers', () => {
+    const mime = buildMimeMessage(MESSAGE);
+
+    expect(mime).toContain('From: Practice Pulse <no-reply@example.org>\r\n');
+    expect(mime).toContain('To: user@example.com\r\n');
+    expect(mime).toMatch(/Message-ID: <[0-9a-f]+@example\.org>/);
+    expect(decodeBody(mime)).toBe(MESSAGE.text);
+  });
+
+  test('file transport writes an .eml file', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'pp-mail-'));
+    try {
+      const { file } = await createFileTransport({ dir }).send(MESSAGE);
+      expect(await readdir(dir)).toEqual([path.basename(file)]);
+      expect(await readFile(file, 'utf8')).toContain('Subject: Sign-in link');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('smtp transport delivers a message to an SMTP server', async () => {
+    const { server, session, port } = await startFakeSmtpServer();
+    try {
+      await createSmtpTransport({
+        host: '127.0.0.1',
+        port,
+        secure: false,
+        startTls: true,
+        // The fake server has no TLS.
+        requireTls: false,
+        user: 'mailer',
+        pass: 'secret',
+        clientName: 'test-host',
+      }).send(MESSAGE);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    expect(session.commands).toEqual([
+      'EHLO test-host',
+      `AUTH PLAIN ${Buffer.from('\u0000mailer\u0000secret').toString('base64')}`,
+      'MAIL FROM:<no-reply@example.org>',
+      'RCPT TO:<user@example.com>',
+      'DATA',
+      'QUIT',
+    ]);
+    expect(decodeBody(session.data)).toBe(MESSAGE.text);
+  });
+
+  test('smtp transport refuses to send credentials without TLS by default', async () => {
+    const { server, session, port } = await startFakeSmtpServer();
+    try {
+      await expect(createSmtpTransport({
+        host: '127.0.0.1',
+        port,
+        secure: false,
+        startTls: true,
+        user: 'mailer',
+        pass: 'secret',
+        clientName: 'test-host',
+      }).send(MESSAGE)).rejects.toThrow('refusing to send credentials');
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    expect(session.commands.some((line) => line.startsWith('AUTH'))).toBe(false);
+  });
+
+  test('requires an explicit transport for features that mail secrets', () => {
+    expect(() => assertMailTransportConfigured('MAGIC_LINK_ENABLED=true', { transportConfigured: false }))
+      .toThrow('MAGIC_LINK_ENABLED=true requires MAIL_TRANSPORT to be set');
+    expect(() => assertMailTransportConfigured('MAGIC_LINK_ENABLED=true', { transportConfigured: true }))
+      .not.toThrow();
+  });
+});
@@ -0,0 +1,397 @@
+import express from 'express';
+import { generateKeyPairSync, sign } from 'node:crypto';
+
+jest.mock('../db.js', () => {
+  const query = jest.fn();
+  const connect = jest.fn();
+  return {
+    pool: { query, connect },
+    assertDbConnection: jest.fn(),
+  };
+});
+
+import { pool } from '../db.js';
+import { router as oidcRouter } from '../routes/oidc.js';
+import { resetOidcCaches } from '../lib/oidc.js';
+import { hashToken } from '../lib/tokens.js';
+import { performRequest, resetPoolMocks } from './testUtils/requestUtils.js';
+
+const ISSUER = 'http://idp.test';
+const ORIGINAL_ENV = { ...process.env };
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const JWK = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' };
+
+function signIdToken(claims) {
+  const header = Buffer.from(JSON.stringify({ alg: 'RS256', kid: 'key-1', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+function jsonResponse(body) {
+  return { ok: true, status: 200, statusText: 'OK', text: async () => JSON.stringify(body) };
+}
+
+function mockIdentityProvider(claims) {
+  return jest.spyOn(global, 'fetch').mockImplementation(async (url, init) => {
+    if (url === `${ISSUER}/.well-known/openid-configuration`) {
+      return jsonResponse({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+      });
+    }
+    if (url === `${ISSUER}/jwks`) {
+      return jsonResponse({ keys: [JWK] });
+    }
+    if (url === `${ISSUER}/token`) {
+      const form = new URLSearchParams(init.body);
+      expect(form.get('code_verifier')).toBe('verifier-123');
+      expect(form.get('code')).toBe('auth-code');
+      return jsonResponse({ id_token: signIdToken(claims), access_token: 'at' });
+    }
+    throw new Error(`Unexpected fetch: ${url}`);
+  });
+}
+
+function validClaims(overrides = {}) {
+  return {
+    iss: ISSUER,
+    aud: 'practice-pulse',
+    sub: 'abc',
+    nonce: 'nonce-123',
+    exp: Math.floor(Date.now() / 1000) + 300,
+    email: 'Staff@Example.com',
+    name: 'Staff Member',
+    ...overrides,
+  };
+}
+
+function mockLoginState() {
+  pool.query.mockImplementationOnce(async (sql, params) => {
+    expect(sql).toContain('DELETE FROM in_kind_tracker.oidc_login_state');
+    expect(params).toEqual([hashToken('state-abc')]);
+    return { rows: [{ code_verifier: 'verifier-123', nonce: 'nonce-123', return_to: '/reports', is_current: true }] };
+  });
+}
+
+// Answers the login throttle lookups: no active block unless one is given.
+function throttleResult(sql, block = null) {
+  if (sql.includes('SELECT') && sql.includes('FROM in_kind_tracker.login_throttle')) {
+    return { rows: block ? [block] : [] };
+  }
+  if (sql.includes('DELETE FROM in_kind_tracker.login_throttle')) {
+    return { rowCount: 0, rows: [] };
+  }
+  return null;
+}
+
+// The state cookie set by /start in the browser that began the login.
+const stateCookie = (state = 'state-abc') => ({ Cookie: `pp_oidc_state=${hashToken(state)}` });
+
+function createTestApp() {
+  const app = express();
+  app.use('/auth/oidc', oidcRouter);
+  return app;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  resetPoolMocks(pool);
+  resetOidcCaches();
+  process.env = {
+    ...ORIGINAL_ENV,
+    OIDC_ISSUER: ISSUER,
+    OIDC_CLIENT_ID: 'practice-pulse',
+    OIDC_REDIRECT_URI: 'http://api.test/auth/oidc/callback',
+    OIDC_POST_LOGIN_REDIRECT: 'http://web.test',
+  };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  process.env = { ...ORIGINAL_ENV };
+});
+
+describe('OIDC routes', () => {
+  test('GET /auth/oidc/start returns 404 when SSO is not configured', async () => {
+    delete process.env.OIDC_ISSUER;
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'GET', path: '/auth/oidc/start' });
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Single sign-on is not configured' });
+  });
+
+  test('GET /auth/oidc/start stores state and redirects with PKCE parameters', async () => {
+    mockIdentityProvider(validClaims());
+    pool.query.mockImplementationOnce(async (sql, params) => {
+      expect(sql).toContain('INSERT INTO in_kind_tracker.oidc_login_state');
+      expect(params[3]).toBeNull();
+      return { rowCount: 1, rows: [] };
+    });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'GET',
+      path: `/auth/oidc/start?return_to=${encodeURIComponent('//evil.test')}`,
+    });
+
+    expect(res.status).toBe(302);
+    const location = new URL(res.headers.location);
+    expect(`${location.origin}${location.pathname}`).toBe(`${ISSUER}/authorize`);
+    expect(location.searchParams.get('client_id')).toBe('practice-pulse');
+    expect(location.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(location.searchParams.get('code_challenge')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(location.searchParams.get('state')).toBeTruthy();
+    expect(res.cookies.pp_oidc_state).toMatchObject({
+      value: hashToken(location.searchParams.get('state')),
+      options: { httpOnly: true, sameSite: 'lax', maxAge: 10 * 60 * 1000 },
+    });
+  });
+
+  test('GET /auth/oidc/callback signs in a matching user', async () => {
+    mockIdentityProvider(validClaims());
+    mockLoginState();
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'COMMIT') return { rows: [] };
+      if (sql.includes('ua.username = $1')) {
+        expect(params).toEqual(['staff@example.com']);
+        return { rows: [{ user_id: 5, status: 'active', role_requires_2fa: false }] };
+      }
+      const throttled = throttleResult(sql);
+      if (throttled) return throttled;
+      if (sql.includes('UPDATE in_kind_tracker.user_account')) return { rowCount: 1, rows: [] };
+      if (sql.includes('INSERT INTO in_kind_tracker.user_session')) {
+        expect(params[1]).toBe(5);
+        return { rowCount: 1, rows: [] };
+      }
+      if (sql.includes('INSERT INTO in_kind_tracker.audit_log')) return { rowCount: 1, rows: [] };
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    const release = jest.fn();
+    pool.connect.mockResolvedValue({ query: clientQuery, release });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'GET',
+      path: '/auth/oidc/callback?code=auth-code&state=state-abc',
+      headers: stateCookie(),
+    });
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('http://web.test/reports');
+    expect(res.cookies.pp_session.value).toBeDefined();
+    expect(release).toHaveBeenCalled();
+  });
+
+  test('GET /auth/oidc/callback provisions a pending user when JIT is enabled', async () => {
+    process.env.OIDC_JIT_PROVISIONING = 'true';
+    process.env.OIDC_EMAIL_CLAIM = 'preferred_username';
+    mockIdentityProvider(validClaims({ email: undefined, preferred_username: 'new.hire@example.com' }));
+    mockLoginState();
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'COMMIT') return { rows: [] };
+      if (sql.includes('ua.username = $1')) return { rows: [] };
+      if (sql.includes('INSERT INTO in_kind_tracker.user_account')) {
+        expect(params).toEqual(['new.hire@example.com', 'Staff Member', null]);
+        return { rows: [{ user_id: 77 }] };
+      }
+      if (sql.includes('ua.user_id = $1')) {
+        expect(params).toEqual([77]);
+        return { rows: [{ user_id: 77, status: 'pending', role_requires_2fa: false }] };
+      }
+      const throttled = throttleResult(sql);
+      if (throttled) return throttled;
+      if (sql.includes('UPDATE in_kind_tracker.user_account')) return { rowCount: 1, rows: [] };
+      if (sql.includes('INSERT INTO in_kind_tracker.user_session')) return { rowCount: 1, rows: [] };
+      if (sql.includes('INSERT INTO in_kind_tracker.audit_log')) return { rowCount: 1, rows: [] };
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'GET',
+      path: '/auth/oidc/callback?code=auth-code&state=state-abc',
+      headers: stateCookie(),
+    });
+
+    expect(res.status).toBe(302);
+    expect(res.cookies.pp_session.value).toBeDefined();
+  });
+
+  test('GET /auth/oidc/callback rejects unknown users without JIT provisioning', async () => {
+    mockIdentityProvider(validClaims());
+    mockLoginState();
+    const clientQuery = jest.fn(async (sql) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'ROLLBACK') return { rows: [] };
+      if (sql.includes('ua.username = $1')) return { rows: [] };
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'GET',
+      path: '/auth/oidc/callback?code=auth-code&state=state-abc',
+      headers: stateCookie(),
+    });
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('http://web.test?sso_error=account_not_found');
+    expect(res.cookies).not.toHaveProperty('pp_session');
+  });
+
+  test('GET /auth/oidc/callback rejects ID tokens with the wrong nonce', async () => {
+    mockIdentityProvider(validClaims({ nonce: 'attacker' }));
+    mockLoginState();
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'GET',
+      path: '/auth/oidc/callback?code=auth-code&state=state-abc',
+      headers: stateCookie(),
+    });
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('http://web.test?sso_error=token_invalid');
+    expect(pool.connect).not.toHaveBeenCalled();
+    expect(errorSpy).toHaveBeenCalled();
+  });
+
+  test('GET /auth/oidc/callback refuses a state that was not started in this browser', async () => {
+    const app = createTestApp();
+    const missing = await performRequest(app, {
+      method: 'GET',
+      path: '/auth/oidc/callback?code=auth-code&state=state-abc',
+    });
+    const other = await performRequest(app, {
+      method: 'GET',
+      path: '/auth/oidc/callback?code=auth-code&state=state-abc',
+      headers: stateCookie('victim-state'),
+    });
+
+    expect(missing.headers.location).toBe('http://web.test?sso_error=invalid_state');
+    expect(other.headers.location).toBe('http://web.test?sso_error=invalid_state');
+    expect(other.cookies.pp_oidc_state).toMatchObject({ cleared: true });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('GET /auth/oidc/callback refuses service accounts', async () => {
+    mockIdentityProvider(validClaims());
+    mockLoginState();
+    const clientQuery = jest.fn(async (sql) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'ROLLBACK') return { rows: [] };
+      if (sql.includes('ua.username = $1')) {
+        return { rows: [{ user_id: 5, status: 'active', is_service_account: true, role_requires_2fa: false }] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'GET',
+      path: '/auth/oidc/callback?code=auth-code&state=state-abc',
+      headers: stateCookie(),
+    });
+
+    expect(res.headers.location).toBe('http://web.test?sso_error=account_inactive');
+    expect(res.cookies).not.toHaveProperty('pp_session');
+  });
+
+  test('GET /auth/oidc/callback sends 2FA users to the second-factor step instead of signing them in', async () => {
+    mockIdentityProvider(validClaims());
+    mockLoginState();
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'COMMIT') return { rows: [] };
+      if (sql.includes('ua.username = $1')) {
+        return {
+          rows: [{
+            user_id: 5,
+            status: 'active',
+            totp_secret: 'SECRET',
+            totp_enabled_at: '2024-01-01T00:00:00.000Z',
+            role_requires_2fa: false,
+          }],
+        };
+      }
+      const throttled = throttleResult(sql);
+      if (throttled) return throttled;
+      if (sql.includes('INSERT INTO in_kind_tracker.login_challenge')) {
+        expect(params[1]).toBe(5);
+        return { rowCount: 1, rows: [] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'GET',
+      path: '/auth/oidc/callback?code=auth-code&state=state-abc',
+      headers: stateCookie(),
+    });
+
+    expect(res.status).toBe(302);
+    const location = new URL(res.headers.location);
+    expect(`${location.origin}${location.pathname}`).toBe('http://web.test/reports');
+    const fragment = new URLSearchParams(location.hash.slice(1));
+    expect(fragment.get('mfa_token')).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(fragment.get('mfa_enrollment_required')).toBe('false');
+    expect(res.cookies).not.toHaveProperty('pp_session');
+    expect(clientQuery).not.toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO in_kind_tracker.user_session'),
+      expect.anything(),
+    );
+  });
+
+  test('GET /auth/oidc/callback refuses locked-out accounts', async () => {
+    mockIdentityProvider(validClaims());
+    mockLoginState();
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'ROLLBACK') return { rows: [] };
+      if (sql.includes('ua.username = $1')) {
+        return { rows: [{ user_id: 5, status: 'active', role_requires_2fa: false }] };
+      }
+      if (sql.includes('FROM in_kind_tracker.login_throttle')) {
+        expect(params[0]).toBe('user:5');
+        return { rows: [{ scope: 'account', failures: 5, retry_after_seconds: 600 }] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'GET',
+      path: '/auth/oidc/callback?code=auth-code&state=state-abc',
+      headers: stateCookie(),
+    });
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('http://web.test?sso_error=login_locked');
+    expect(res.cookies).not.toHaveProperty('pp_session');
+  });
+
+  test('GET /auth/oidc/callback rejects unknown state', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [] }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'GET',
+      path: '/auth/oidc/callback?code=auth-code&state=forged',
+      headers: stateCookie('forged'),
+    });
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('http://web.test?sso_error=invalid_state');
+  });
+});
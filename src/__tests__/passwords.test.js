@@ -0,0 +1,43 @@
+import { hashPassword, verifyPassword, validatePassword } from '../lib/passwords.js';
+
+const ORIGINAL_ENV = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...ORIGINAL_ENV };
+});
+
+describe('Password helpers', () => {
+  test('hashPassword produces a salted scrypt hash that verifies', async () => {
+    const first = await hashPassword('correct horse battery');
+    const second = await hashPassword('correct horse battery');
+
+    expect(first).toMatch(/^scrypt\$\d+\$\d+\$\d+\$[^$]+\$[^$]+$/);
+    expect(first).not.toBe(second);
+    await expect(verifyPassword('correct horse battery', first)).resolves.toBe(true);
+    await expect(verifyPassword('Correct horse battery', first)).resolves.toBe(false);
+  });
+
+  test('verifyPassword rejects missing or malformed hashes', async () => {
+    await expect(verifyPassword('anything at all', null)).resolves.toBe(false);
+    await expect(verifyPassword('anything at all', 'md5$abc')).resolves.toBe(false);
+    await expect(verifyPassword('', await hashPassword('x'))).resolves.toBe(false);
+  });
+
+  test('validatePassword applies the default policy', () => {
+    expect(() => validatePassword(undefined)).toThrow('password is required');
+    expect(() => validatePassword('short')).toThrow('password must be at least 12 characters long');
+    expect(() => validatePassword('jane@example.com', { username: 'Jane@Example.com' }))
+      .toThrow('password cannot match the username');
+    expect(validatePassword('long enough passphrase')).toBe('long enough passphrase');
+  });
+
+  test('validatePassword honors policy environment variables', () => {
+    process.env.PASSWORD_MIN_LENGTH = '8';
+    process.env.PASSWORD_REQUIRED_CHARACTER_CLASSES = '3';
+
+    expect(() => validatePassword('alllowercase')).toThrow(
+      'password must mix at least 3 of: lowercase, uppercase, digits, symbols',
+    );
+    expect(validatePassword('Mixed1case')).toBe('Mixed1case');
+  });
+});
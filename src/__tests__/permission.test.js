@@ -12,7 +12,8 @@ jest.mock('../db.js', () => {
 import { pool } from '../db.js';
 import { requirePermissions } from '../middleware/authorization.js';
 import { router as permissionRouter } from '../routes/permission.js';
-import { performRequest, resetPoolMocks } from './testUtils/requestUtils.js';
+import { collectRoutePermissions, registerRoutePermissions, syncRoutePermissions } from '../lib/permissionCatalog.js';
+import { performRequest, resetPoolMocks, passClientQueriesToPool } from './testUtils/requestUtils.js';
 
 function createTestApp(user = { user_id: 950 }) {
   const app = express();
@@ -24,9 +25,12 @@ function createTestApp(user = { user_id: 950 }) {
   return app;
 }
 
+let transactions;
+
 beforeEach(() => {
   jest.clearAllMocks();
   resetPoolMocks(pool);
+  transactions = passClientQueriesToPool(pool);
 });
 
 describe('Permission routes', () => {
@@ -57,8 +61,8 @@ describe('Permission routes', () => {
 
     expect(res.status).toBe(200);
     expect(res.body).toEqual([
-      { permission_id: 1, permission: 'manage users' },
-      { permission_id: 2, permission: 'view users' },
+      { permission_id: 1, permission: 'manage users', description: null, category: null },
+      { permission_id: 2, permission: 'view users', description: null, category: null },
     ]);
   });
 
@@ -81,4 +85,213 @@ describe('Permission routes', () => {
     expect(errorSpy).toHaveBeenCalled();
     errorSpy.mockRestore();
   });
+
+  test('POST /permission creates a normalized catalog entry', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('INSERT INTO in_kind_tracker.permission');
+        expect(params).toEqual(['export reports', 'Download CSV exports', 'reports']);
+        return {
+          rows: [{ permission_id: 7, permission: 'export reports', description: 'Download CSV exports', category: 'reports' }],
+        };
+      });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/permission',
+      body: { permission: '  Export Reports ', description: 'Download CSV exports', category: 'reports' },
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({
+      permission_id: 7,
+      permission: 'export reports',
+      description: 'Download CSV exports',
+      category: 'reports',
+    });
+  });
+
+  test('POST /permission reports duplicates', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => {
+        throw Object.assign(new Error('duplicate key'), { code: '23505' });
+      });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/permission',
+      body: { permission: 'view users' },
+    });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('PATCH /permission/:id updates the description', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission_id: 7, permission: 'export reports', description: null, category: 'reports' }],
+      }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('UPDATE in_kind_tracker.permission');
+        expect(params).toEqual([7, 'export reports', 'Download CSV exports', 'reports']);
+        return {
+          rows: [{ permission_id: 7, permission: 'export reports', description: 'Download CSV exports', category: 'reports' }],
+        };
+      });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'PATCH',
+      path: '/permission/7',
+      body: { description: 'Download CSV exports' },
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.description).toBe('Download CSV exports');
+  });
+
+  test('PATCH /permission/:id refuses to rename onto a route map or catalog name', async () => {
+    registerRoutePermissions(['purge roles']);
+    pool.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('LOWER(p.permission)') || sql.includes('user_account')) {
+        return { rows: [{ permission: 'manage users' }] };
+      }
+      if (sql.includes('WHERE permission_id = $1')) {
+        return { rows: [{ permission_id: 7, permission: 'export reports', description: null, category: null }] };
+      }
+      if (sql.includes('LOWER(permission) = $1')) {
+        expect(params).toEqual(['view users', 7]);
+        return { rowCount: 1, rows: [{}] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    });
+
+    const app = createTestApp();
+    const route = await performRequest(app, { method: 'PATCH', path: '/permission/7', body: { permission: 'Purge Roles' } });
+    const catalog = await performRequest(app, { method: 'PATCH', path: '/permission/7', body: { permission: 'view users' } });
+
+    expect(route.status).toBe(409);
+    expect(route.body).toEqual({ error: 'That name is used by the route map and cannot be taken by a rename.' });
+    expect(catalog.status).toBe(409);
+    expect(catalog.body).toEqual({ error: 'A permission with that name already exists.' });
+    expect(transactions.client.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE'), expect.anything());
+  });
+
+  test('DELETE /permission/:id refuses permissions used by the route map', async () => {
+    registerRoutePermissions(['view locations']);
+    pool.query.mockImplementationOnce(async () => ({
+      rows: [{ permission: 'manage users' }],
+    }));
+    const clientQuery = jest.fn(async (sql) => {
+      if (sql.includes('SELECT permission_id')) {
+        return { rows: [{ permission_id: 3, permission: 'view locations' }] };
+      }
+      return { rows: [] };
+    });
+    const release = jest.fn();
+    pool.connect.mockResolvedValue({ query: clientQuery, release });
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'DELETE', path: '/permission/3' });
+
+    expect(res.status).toBe(409);
+    expect(clientQuery.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0])).toEqual(['BEGIN', 'SELECT', 'ROLLBACK']);
+    expect(release).toHaveBeenCalled();
+  });
+
+  test('DELETE /permission/:id removes role grants and the permission', async () => {
+    pool.query.mockImplementationOnce(async () => ({
+      rows: [{ permission: 'manage users' }],
+    }));
+    const clientQuery = jest.fn(async (sql) => {
+      if (sql.includes('SELECT permission_id')) {
+        return { rows: [{ permission_id: 7, permission: 'export reports' }] };
+      }
+      return { rows: [] };
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'DELETE', path: '/permission/7' });
+
+    expect(res.status).toBe(204);
+    const statements = clientQuery.mock.calls.map(([sql]) => sql.trim());
+    expect(statements).toContain('DELETE FROM in_kind_tracker.role_permission WHERE permission_id = $1');
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+  });
+});
+
+describe('Route permission sync', () => {
+  const guardedRoutes = [
+    ['/location', null, { read: 'view locations', manage: 'manage locations', scope: 'location' }],
+    ['/user', null, { read: 'view users', manage: 'Manage Users' }],
+  ];
+
+  test('collects every permission named in the route map', () => {
+    expect(collectRoutePermissions(guardedRoutes)).toEqual([
+      'manage locations',
+      'manage users',
+      'view locations',
+      'view users',
+    ]);
+  });
+
+  test('collects action-level permissions', () => {
+    expect(collectRoutePermissions([
+      ['/role', null, { read: 'manage users', delete: 'delete roles', actions: { 'POST /:role_id/copy': 'copy roles' } }],
+    ])).toEqual(['copy roles', 'delete roles', 'manage users']);
+  });
+
+  test('fail mode throws when permissions are missing', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage locations' }] }));
+
+    await expect(syncRoutePermissions(guardedRoutes, { mode: 'fail' })).rejects.toThrow('manage locations');
+  });
+
+  test('warn mode logs missing permissions', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage locations' }] }));
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await syncRoutePermissions(guardedRoutes, { mode: 'warn' });
+
+    expect(result).toEqual({ missing: ['manage locations'], inserted: [] });
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+
+  test('insert mode creates missing permissions', async () => {
+    pool.query
+      .mockImplementationOnce(async (sql) => {
+        // Stored names such as 'Manage Users' count as present.
+        expect(sql).toContain('LOWER(p.permission) = name');
+        return { rows: [{ permission: 'manage locations' }] };
+      })
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('INSERT INTO in_kind_tracker.permission');
+        expect(sql).toContain('LOWER(p.permission) = name');
+        expect(params).toEqual([['manage locations']]);
+        return { rows: [{ permission: 'manage locations' }] };
+      });
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const result = await syncRoutePermissions(guardedRoutes, { mode: 'insert' });
+
+    expect(result).toEqual({ missing: ['manage locations'], inserted: ['manage locations'] });
+    logSpy.mockRestore();
+  });
+
+  test('rejects unknown modes', async () => {
+    await expect(syncRoutePermissions(guardedRoutes, { mode: 'ignore' })).rejects.toThrow('PERMISSION_SYNC_MODE');
+  });
 });
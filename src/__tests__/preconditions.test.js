@@ -0,0 +1,63 @@
+import { entityTag, checkPrecondition } from '../lib/preconditions.js';
+
+const request = (ifMatch) => ({
+  get: (name) => (name.toLowerCase() === 'if-match' ? ifMatch : undefined),
+});
+
+const role = { role_id: 7, role_name: 'Coordinator', permissions: [{ permission_id: 2, permission: 'view users' }] };
+
+describe('entityTag', () => {
+  test('is a quoted strong tag that ignores key order', () => {
+    const tag = entityTag('role', role);
+
+    expect(tag).toMatch(/^"[\w-]{27}"$/);
+    expect(entityTag('role', { permissions: role.permissions, role_name: 'Coordinator', role_id: 7 })).toBe(tag);
+    expect(entityTag('role', { ...role, role_name: 'Lead' })).not.toBe(tag);
+    expect(entityTag('location', role)).not.toBe(tag);
+  });
+
+  test('ignores fields that change without an edit', () => {
+    const user = { user_id: 4, name: 'Nora', last_login_at: '2026-03-01T00:00:00.000Z' };
+
+    expect(entityTag('user', { ...user, last_login_at: '2026-03-02T00:00:00.000Z' })).toBe(entityTag('user', user));
+  });
+});
+
+describe('checkPrecondition', () => {
+  test('passes without If-Match unless the resource requires it', () => {
+    expect(checkPrecondition(request(undefined), 'role', role)).toBeNull();
+  });
+
+  test('passes when any listed tag or * matches', () => {
+    expect(checkPrecondition(request(`"stale", ${entityTag('role', role)}`), 'role', role)).toBeNull();
+    expect(checkPrecondition(request('*'), 'role', role)).toBeNull();
+  });
+
+  test('fails with the current tag when nothing matches', () => {
+    const current = entityTag('role', role);
+
+    expect(checkPrecondition(request('"stale"'), 'role', role)).toEqual({
+      status: 412,
+      code: 'precondition_failed',
+      error: 'The resource has changed since it was read. Fetch it again and retry.',
+      etag: current,
+    });
+    expect(checkPrecondition(request(`W/${current}`), 'role', role)?.status).toBe(412);
+  });
+
+  test('requires If-Match for resources listed in REQUIRE_IF_MATCH', () => {
+    process.env.REQUIRE_IF_MATCH = 'Role, location';
+    let preconditions;
+    jest.isolateModules(() => {
+      preconditions = require('../lib/preconditions.js');
+    });
+    delete process.env.REQUIRE_IF_MATCH;
+
+    expect([...preconditions.REQUIRE_IF_MATCH]).toEqual(['role', 'location']);
+    expect(preconditions.checkPrecondition(request(undefined), 'role', role)).toMatchObject({
+      status: 428,
+      code: 'precondition_required',
+    });
+    expect(preconditions.checkPrecondition(request(undefined), 'user', role)).toBeNull();
+  });
+});
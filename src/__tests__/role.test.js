@@ -10,7 +10,7 @@ jest.mock('../db.js', () => {
 });
 
 import { pool } from '../db.js';
-import { requirePermissions } from '../middleware/authorization.js';
+import { requirePermissions, resolveRequiredPermissions } from '../middleware/authorization.js';
 import { router as roleRouter } from '../routes/role.js';
 import { performRequest, resetPoolMocks } from './testUtils/requestUtils.js';
 
@@ -67,7 +67,13 @@ describe('Role routes', () => {
         role_id: 1,
         role_name: 'Admin',
         default_route: '/Dashboard',
+        require_2fa: false,
+        org_wide: true,
+        parent_role_id: null,
+        archived_at: null,
+        archived_by: null,
         permissions: [{ permission_id: 2, permission: 'manage users' }],
+        inherited_permissions: [],
       },
     ]);
   });
@@ -75,17 +81,7 @@ describe('Role routes', () => {
   test('POST /role creates a role when permission granted', async () => {
     pool.query
       .mockImplementationOnce(async () => ({
-        rows: [{ permission: 'manage users' }],
-      }))
-      .mockImplementationOnce(async () => ({
-        rows: [
-          {
-            role_id: 42,
-            role_name: 'QA',
-            default_route: null,
-            permissions: [{ permission_id: 7, permission: 'view reports' }],
-          },
-        ],
+        rows: [{ permission: 'manage users' }, { permission: 'view reports' }],
       }));
 
     const clientQueries = [];
@@ -93,12 +89,32 @@ describe('Role routes', () => {
     const clientQuery = jest.fn(async (sql, params) => {
       clientQueries.push({ sql, params });
       if (sql.trim().toUpperCase() === 'BEGIN') return { rows: [] };
+      if (sql.includes('AS inherited_permissions')) {
+        return {
+          rows: [
+            {
+              role_id: 42,
+              role_name: 'QA',
+              default_route: null,
+              permissions: [{ permission_id: 7, permission: 'view reports' }],
+            },
+          ],
+        };
+      }
+      if (sql.includes('INSERT INTO in_kind_tracker.audit_log')) {
+        expect(params.slice(2, 5)).toEqual(['create', 'role', '42']);
+        return { rows: [] };
+      }
       if (sql.includes('INSERT INTO in_kind_tracker.role')) {
         return { rows: [{ role_id: 42 }] };
       }
       if (sql.includes('INSERT INTO in_kind_tracker.role_permission')) {
         return { rowCount: 1, rows: [] };
       }
+      if (sql.includes('SELECT DISTINCT p.permission')) {
+        expect(params).toEqual([[42]]);
+        return { rows: [{ permission: 'view reports' }] };
+      }
       if (sql.trim().toUpperCase() === 'COMMIT') return { rows: [] };
       throw new Error(`Unexpected SQL during create: ${sql}`);
     });
@@ -118,7 +134,13 @@ describe('Role routes', () => {
       role_id: 42,
       role_name: 'QA',
       default_route: null,
+      require_2fa: false,
+      org_wide: true,
+      parent_role_id: null,
+      archived_at: null,
+      archived_by: null,
       permissions: [{ permission_id: 7, permission: 'view reports' }],
+      inherited_permissions: [],
     });
 
     expect(clientQuery).toHaveBeenCalled();
@@ -126,6 +148,7 @@ describe('Role routes', () => {
     expect(clientQueries.map(({ sql }) => sql.trim().toUpperCase())).toEqual(
       expect.arrayContaining(['BEGIN', 'COMMIT']),
     );
+    expect(clientQueries.some(({ sql }) => sql.includes('INSERT INTO in_kind_tracker.audit_log'))).toBe(true);
   });
 
   test('POST /role rejects creation without permissions', async () => {
@@ -144,21 +167,17 @@ describe('Role routes', () => {
   });
 
   test('PATCH /role returns 404 when role does not exist', async () => {
-    pool.query
-      .mockImplementationOnce(async () => ({
-        rows: [{ permission: 'manage users' }],
-      }))
-      .mockImplementationOnce(async () => ({
-        rows: [],
-      }));
+    pool.query.mockImplementationOnce(async () => ({
+      rows: [{ permission: 'manage users' }],
+    }));
 
     const clientQuery = jest.fn(async (sql) => {
       const normalized = sql.trim().toUpperCase();
-      if (normalized === 'BEGIN' || normalized === 'COMMIT') {
+      if (normalized === 'BEGIN' || normalized === 'ROLLBACK') {
         return { rows: [] };
       }
-      if (sql.includes('UPDATE in_kind_tracker.role SET role_name')) {
-        return { rowCount: 0, rows: [] };
+      if (sql.includes('AS inherited_permissions')) {
+        return { rows: [] };
       }
       throw new Error(`Unexpected SQL during update: ${sql}`);
     });
@@ -228,16 +247,6 @@ describe('Role routes', () => {
     pool.query
       .mockImplementationOnce(async () => ({
         rows: [{ permission: 'manage users' }],
-      }))
-      .mockImplementationOnce(async () => ({
-        rows: [
-          {
-            role_id: 51,
-            role_name: injection,
-            default_route: null,
-            permissions: [],
-          },
-        ],
       }));
 
     const clientQueries = [];
@@ -247,9 +256,15 @@ describe('Role routes', () => {
       if (normalized === 'BEGIN' || normalized === 'COMMIT') {
         return { rows: [] };
       }
+      if (sql.includes('AS inherited_permissions')) {
+        return { rows: [{ role_id: 51, role_name: injection, default_route: null, permissions: [] }] };
+      }
+      if (sql.includes('INSERT INTO in_kind_tracker.audit_log')) {
+        return { rows: [] };
+      }
       if (sql.includes('INSERT INTO in_kind_tracker.role')) {
         expect(sql).not.toContain(injection);
-        expect(params).toEqual([injection, null]);
+        expect(params).toEqual([injection, null, false, true, null]);
         return { rows: [{ role_id: 51 }] };
       }
       if (sql.includes('INSERT INTO in_kind_tracker.role_permission')) {
@@ -274,4 +289,498 @@ describe('Role routes', () => {
     expect(insertCall.params[0]).toBe(injection);
     expect(release).toHaveBeenCalled();
   });
+
+  test('PATCH /role toggles the 2FA requirement', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }));
+
+    let require2fa = false;
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'COMMIT') return { rows: [] };
+      if (sql.includes('AS inherited_permissions')) {
+        return {
+          rows: [{ role_id: 4, role_name: 'Finance', default_route: null, require_2fa: require2fa, permissions: [] }],
+        };
+      }
+      if (sql.includes('SET require_2fa = $1')) {
+        expect(params).toEqual([true, '4']);
+        require2fa = true;
+        return { rowCount: 1, rows: [] };
+      }
+      if (sql.includes('INSERT INTO in_kind_tracker.audit_log')) {
+        const [, , action, resource, resourceId, before, after] = params;
+        expect([action, resource, resourceId]).toEqual(['update', 'role', '4']);
+        expect(JSON.parse(before).require_2fa).toBe(false);
+        expect(JSON.parse(after).require_2fa).toBe(true);
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected SQL during update: ${sql}`);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'PATCH', path: '/role/4', body: { require_2fa: true } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.require_2fa).toBe(true);
+  });
+
+  test('PATCH /role validates require_2fa', async () => {
+    pool.query.mockImplementationOnce(async () => ({
+      rows: [{ permission: 'manage users' }],
+    }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'PATCH', path: '/role/4', body: { require_2fa: 'yes' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'require_2fa must be a boolean.' });
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
+
+describe('Action-level role permissions', () => {
+  const permissionMap = {
+    read: 'manage users',
+    manage: 'manage users',
+    actions: { 'DELETE /:role_id': 'delete roles' },
+  };
+
+  function createActionApp() {
+    const app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.user = { user_id: 102 };
+      next();
+    });
+    app.use('/role', requirePermissions(permissionMap), roleRouter);
+    return app;
+  }
+
+  test('DELETE /role/:id needs the delete permission even with manage users', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }));
+
+    const res = await performRequest(createActionApp(), { method: 'DELETE', path: '/role/4' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('DELETE /role/:id is allowed with the delete permission alone', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'delete roles' }] }));
+    const clientQuery = jest.fn(async (sql) => {
+      if (sql.includes('AS inherited_permissions')) return { rows: [{ role_id: 4, permissions: [] }] };
+      if (sql.includes('DELETE FROM in_kind_tracker.role')) return { rows: [{ role_id: 4 }] };
+      if (sql.includes('AS remains')) return { rows: [{ remains: true }] };
+      if (sql.includes('SELECT DISTINCT p.permission')) return { rows: [{ permission: 'delete roles' }] };
+      return { rows: [] };
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const res = await performRequest(createActionApp(), { method: 'DELETE', path: '/role/4' });
+
+    expect(res.status).toBe(204);
+  });
+
+  test('resolves method defaults and falls back to manage', () => {
+    const map = { read: 'view roles', manage: 'manage roles', create: 'create roles' };
+
+    expect(resolveRequiredPermissions(map, 'GET', '/').permissions).toEqual(['view roles', 'manage roles']);
+    expect(resolveRequiredPermissions(map, 'POST', '/').permissions).toEqual(['create roles']);
+    expect(resolveRequiredPermissions(map, 'PATCH', '/3').permissions).toEqual(['manage roles']);
+    expect(resolveRequiredPermissions(permissionMap, 'DELETE', '/3')).toMatchObject({
+      action: 'custom',
+      permissions: ['delete roles'],
+    });
+    expect(resolveRequiredPermissions(permissionMap, 'DELETE', '/3/extra').permissions).toEqual(['manage users']);
+  });
+
+  test('matches literal action segments regardless of case', () => {
+    const map = { read: 'manage users', manage: 'manage users', actions: { 'delete /:role_id/Purge': 'purge roles' } };
+
+    expect(resolveRequiredPermissions(map, 'DELETE', '/5/PURGE').permissions).toEqual(['purge roles']);
+    expect(resolveRequiredPermissions(map, 'delete', '/5/purge/').permissions).toEqual(['purge roles']);
+  });
+
+  test('DELETE /role/:id/PURGE still needs the purge permission', async () => {
+    const app = express();
+    app.use((req, _res, next) => {
+      req.user = { user_id: 102 };
+      next();
+    });
+    app.use('/role', requirePermissions({
+      read: 'manage users',
+      manage: 'manage users',
+      actions: { 'DELETE /:role_id/purge': 'purge roles' },
+    }), roleRouter);
+    pool.query.mockImplementation(async () => ({ rows: [{ permission: 'manage users' }] }));
+
+    const res = await performRequest(app, { method: 'DELETE', path: '/role/5/PURGE' });
+
+    expect(res.status).toBe(403);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
+
+describe('Role hierarchy', () => {
+  test('GET /role/:id returns direct and inherited permissions', async () => {
+    pool.query
+      .mockImplementationOnce(async (sql) => {
+        expect(sql).toContain('WITH RECURSIVE role_tree');
+        return { rows: [{ permission: 'manage users' }] };
+      })
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('AS inherited_permissions');
+        expect(params).toEqual([3]);
+        return {
+          rows: [
+            {
+              role_id: 3,
+              role_name: 'Office Manager',
+              default_route: null,
+              require_2fa: false,
+              org_wide: true,
+              parent_role_id: 2,
+              permissions: [{ permission_id: 9, permission: 'manage locations' }],
+              inherited_permissions: [
+                { permission_id: 4, permission: 'view locations', source_role_id: 2, source_role_name: 'Front Desk' },
+              ],
+            },
+          ],
+        };
+      });
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'GET', path: '/role/3' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.parent_role_id).toBe(2);
+    expect(res.body.permissions).toEqual([{ permission_id: 9, permission: 'manage locations' }]);
+    expect(res.body.inherited_permissions).toEqual([
+      { permission_id: 4, permission: 'view locations', source_role_id: 2, source_role_name: 'Front Desk' },
+    ]);
+  });
+
+  test('GET /role/:id returns 404 for unknown roles', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }))
+      .mockImplementationOnce(async () => ({ rows: [] }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'GET', path: '/role/77' });
+
+    expect(res.status).toBe(404);
+  });
+
+  test('PATCH /role/:id rejects a parent that would create a cycle', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }));
+
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'ROLLBACK') {
+        return { rows: [] };
+      }
+      if (sql.includes('ra.ancestor_role_id = $2')) {
+        expect(params).toEqual([5, '2']);
+        return { rows: [{ '?column?': 1 }] };
+      }
+      throw new Error(`Unexpected SQL during cycle check: ${sql}`);
+    });
+    const release = jest.fn();
+    pool.connect.mockResolvedValue({ query: clientQuery, release });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'PATCH',
+      path: '/role/2',
+      body: { parent_role_id: 5 },
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ error: 'parent_role_id would create a cycle in the role hierarchy.' });
+    expect(clientQuery.mock.calls.some(([sql]) => sql.includes('SET parent_role_id'))).toBe(false);
+    expect(release).toHaveBeenCalled();
+  });
+
+  test('PATCH /role/:id refuses to make a role its own parent', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }));
+    const clientQuery = jest.fn(async () => ({ rows: [] }));
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'PATCH',
+      path: '/role/4',
+      body: { parent_role_id: 4 },
+    });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('POST /role validates parent_role_id', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/role',
+      body: { role_name: 'Nested', parent_role_id: 'admin' },
+    });
+
+    expect(res.status).toBe(400);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
+
+describe('Privilege guards', () => {
+  function mockClient(answer) {
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(normalized)) {
+        return { rows: [] };
+      }
+      return answer(sql, params);
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+    return clientQuery;
+  }
+
+  test('POST /role refuses to grant permissions the caller does not hold', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }));
+    const clientQuery = mockClient(async (sql) => {
+      if (sql.includes('INSERT INTO in_kind_tracker.role ')) return { rows: [{ role_id: 42 }] };
+      if (sql.includes('SELECT DISTINCT p.permission')) {
+        return { rows: [{ permission: 'manage users' }, { permission: 'delete roles' }] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/role',
+      body: { role_name: 'Escalated', permission_ids: [1, 9] },
+    });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({
+      code: 'permission_escalation',
+      error: 'You cannot grant permissions you do not hold: delete roles',
+      permissions: ['delete roles'],
+    });
+    expect(clientQuery).toHaveBeenCalledWith('ROLLBACK');
+    expect(clientQuery).not.toHaveBeenCalledWith('COMMIT');
+  });
+
+  test('DELETE /role/:id refuses to remove the last admin role', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }));
+    const clientQuery = mockClient(async (sql) => {
+      if (sql.includes('AS inherited_permissions')) return { rows: [{ role_id: 1, permissions: [] }] };
+      if (sql.includes('DELETE FROM in_kind_tracker.role')) return { rows: [{ role_id: 1 }] };
+      if (sql.includes('AS remains')) return { rows: [{ remains: false }] };
+      return { rows: [] };
+    });
+
+    const res = await performRequest(createTestApp(), { method: 'DELETE', path: '/role/1' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('last_admin');
+    expect(clientQuery).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  test('DELETE /role/:id archives the role', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }));
+    const clientQuery = mockClient(async (sql, params) => {
+      if (sql.includes('AS inherited_permissions')) return { rows: [{ role_id: 6, archived_at: null, permissions: [] }] };
+      if (sql.includes('SET archived_at = NOW()')) {
+        expect(params).toEqual([6, 101]);
+        return { rowCount: 1, rows: [] };
+      }
+      if (sql.includes('AS remains')) return { rows: [{ remains: true }] };
+      if (sql.includes('SELECT DISTINCT p.permission')) return { rows: [{ permission: 'manage users' }] };
+      return { rows: [] };
+    });
+
+    const res = await performRequest(createTestApp(), { method: 'DELETE', path: '/role/6' });
+
+    expect(res.status).toBe(204);
+    expect(clientQuery.mock.calls.some(([sql]) => sql.includes('DELETE FROM in_kind_tracker.role'))).toBe(false);
+    expect(clientQuery).toHaveBeenCalledWith('COMMIT');
+  });
+
+  test('POST /role/:id/restore refuses roles with permissions the caller lacks', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }));
+    const clientQuery = mockClient(async (sql) => {
+      if (sql.includes('AS inherited_permissions')) {
+        return { rows: [{ role_id: 6, archived_at: '2026-03-01T00:00:00.000Z', permissions: [] }] };
+      }
+      if (sql.includes('SET archived_at = NULL')) return { rowCount: 1, rows: [] };
+      if (sql.includes('SELECT DISTINCT p.permission')) {
+        return { rows: [{ permission: 'manage users' }, { permission: 'purge roles' }] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await performRequest(createTestApp(), { method: 'POST', path: '/role/6/restore' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('permission_escalation');
+    expect(clientQuery).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  test('DELETE /role/:id/purge only removes archived roles', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }));
+    const clientQuery = mockClient(async (sql) => {
+      if (sql.includes('AS inherited_permissions')) return { rows: [{ role_id: 6, archived_at: null, permissions: [] }] };
+      return { rows: [] };
+    });
+
+    const res = await performRequest(createTestApp(), { method: 'DELETE', path: '/role/6/purge' });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ error: 'Archive the role before purging it.' });
+    expect(clientQuery.mock.calls.some(([sql]) => sql.includes('DELETE FROM'))).toBe(false);
+  });
+
+  test('DELETE /role/:id/purge refuses roles that are still assigned', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }));
+    const clientQuery = mockClient(async (sql) => {
+      if (sql.includes('AS inherited_permissions')) {
+        return { rows: [{ role_id: 6, archived_at: '2026-03-01T00:00:00.000Z', permissions: [] }] };
+      }
+      if (sql.includes('AS primary_users')) return { rows: [{ primary_users: '0', role_grants: '2', location_grants: '1' }] };
+      return { rows: [] };
+    });
+
+    const res = await performRequest(createTestApp(), { method: 'DELETE', path: '/role/6/purge' });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({
+      code: 'role_in_use',
+      assignments: { primary_users: 0, role_grants: 2, location_grants: 1 },
+    });
+    expect(clientQuery.mock.calls.some(([sql]) => sql.includes('DELETE FROM'))).toBe(false);
+    expect(clientQuery).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  test('DELETE /role/:id/purge removes an unassigned role with its permission links', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }));
+    const clientQuery = mockClient(async (sql) => {
+      if (sql.includes('AS inherited_permissions')) {
+        return { rows: [{ role_id: 6, archived_at: '2026-03-01T00:00:00.000Z', permissions: [] }] };
+      }
+      if (sql.includes('AS primary_users')) return { rows: [{ primary_users: '0', role_grants: '0', location_grants: '0' }] };
+      return { rows: [] };
+    });
+
+    const res = await performRequest(createTestApp(), { method: 'DELETE', path: '/role/6/purge' });
+
+    expect(res.status).toBe(204);
+    const deletes = clientQuery.mock.calls.map(([sql]) => sql).filter((sql) => sql.startsWith('DELETE FROM'));
+    expect(deletes).toEqual([
+      'DELETE FROM in_kind_tracker.role_permission WHERE role_id = $1',
+      'DELETE FROM in_kind_tracker.role WHERE role_id = $1',
+    ]);
+    expect(clientQuery).toHaveBeenCalledWith('COMMIT');
+  });
+
+  test('DELETE /role/:id refuses to drop the caller\'s own permissions', async () => {
+    pool.query.mockImplementationOnce(async () => ({
+      rows: [{ permission: 'manage users' }, { permission: 'view reports' }],
+    }));
+    mockClient(async (sql) => {
+      if (sql.includes('AS inherited_permissions')) return { rows: [{ role_id: 6, permissions: [] }] };
+      if (sql.includes('DELETE FROM in_kind_tracker.role')) return { rows: [{ role_id: 6 }] };
+      if (sql.includes('AS remains')) return { rows: [{ remains: true }] };
+      if (sql.includes('SELECT DISTINCT p.permission')) return { rows: [{ permission: 'manage users' }] };
+      return { rows: [] };
+    });
+
+    const res = await performRequest(createTestApp(), { method: 'DELETE', path: '/role/6' });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({
+      code: 'self_demotion',
+      error: 'You cannot remove permissions from your own roles: view reports',
+      permissions: ['view reports'],
+    });
+  });
+});
+
+describe('Role preconditions', () => {
+  const roleRow = {
+    role_id: 4,
+    role_name: 'Finance',
+    default_route: null,
+    require_2fa: false,
+    org_wide: true,
+    parent_role_id: null,
+    archived_at: null,
+    archived_by: null,
+    permissions: [],
+    inherited_permissions: [],
+  };
+
+  function mockRoleClient(onUpdate) {
+    let current = roleRow;
+    const clientQuery = jest.fn(async (sql, params) => {
+      const normalized = sql.trim().toUpperCase();
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(normalized)) return { rows: [] };
+      if (sql.includes('AS inherited_permissions')) return { rows: [current] };
+      if (sql.includes('SET require_2fa = $1')) {
+        onUpdate(params);
+        current = { ...current, require_2fa: params[0] };
+        return { rowCount: 1, rows: [] };
+      }
+      return { rows: [] };
+    });
+    pool.connect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+    return clientQuery;
+  }
+
+  test('GET /role/:id returns an ETag that PATCH accepts in If-Match', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }))
+      .mockImplementationOnce(async () => ({ rows: [roleRow] }))
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }));
+    const onUpdate = jest.fn();
+    mockRoleClient(onUpdate);
+
+    const app = createTestApp();
+    const read = await performRequest(app, { method: 'GET', path: '/role/4' });
+    const res = await performRequest(app, {
+      method: 'PATCH',
+      path: '/role/4',
+      body: { require_2fa: true },
+      headers: { 'If-Match': read.headers.etag },
+    });
+
+    expect(read.headers.etag).toMatch(/^"[\w-]{27}"$/);
+    expect(res.status).toBe(200);
+    expect(onUpdate).toHaveBeenCalledWith([true, '4']);
+    expect(res.headers.etag).toMatch(/^"[\w-]{27}"$/);
+    expect(res.headers.etag).not.toBe(read.headers.etag);
+  });
+
+  test('PATCH /role/:id returns 412 when the role changed since it was read', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }));
+    const onUpdate = jest.fn();
+    const clientQuery = mockRoleClient(onUpdate);
+
+    const res = await performRequest(createTestApp(), {
+      method: 'PATCH',
+      path: '/role/4',
+      body: { require_2fa: true },
+      headers: { 'If-Match': '"stale"' },
+    });
+
+    expect(res.status).toBe(412);
+    expect(res.body.code).toBe('precondition_failed');
+    expect(res.body.etag).toMatch(/^"[\w-]{27}"$/);
+    expect(onUpdate).not.toHaveBeenCalled();
+    expect(clientQuery).toHaveBeenCalledWith('ROLLBACK');
+    const fetch = clientQuery.mock.calls.find(([sql]) => sql.includes('AS inherited_permissions'));
+    expect(fetch[0]).toContain('WHERE role_id = $1 FOR UPDATE');
+  });
 });
@@ -0,0 +1,134 @@
+import express from 'express';
+
+jest.mock('../db.js', () => {
+  const query = jest.fn();
+  const connect = jest.fn();
+  return {
+    pool: { query, connect },
+    assertDbConnection: jest.fn(),
+  };
+});
+
+import { pool } from '../db.js';
+import { router as searchRouter } from '../routes/search.js';
+import { registerGuardedRoutes } from '../lib/permissionCatalog.js';
+import { performRequest, resetPoolMocks } from './testUtils/requestUtils.js';
+
+function createTestApp(user = { user_id: 970 }) {
+  const app = express();
+  app.use((req, _res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/search', searchRouter);
+  return app;
+}
+
+/**
+ * Answers the permission and location-scope lookups, and hands search
+ * queries to `onSearch(table, sql, params)`.
+ */
+function mockSearch({ permissions, orgWide = permissions, grants = [], onSearch }) {
+  pool.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('r.org_wide')) {
+      return { rows: orgWide.map((permission) => ({ permission })) };
+    }
+    if (sql.includes('FROM in_kind_tracker.user_location ul')) {
+      return { rows: grants };
+    }
+    const table = ['user_account', 'role', 'location'].find((name) => sql.includes(`FROM in_kind_tracker.${name} `));
+    if (sql.includes('AS score') && table) {
+      return { rows: onSearch(table, sql, params) };
+    }
+    return { rows: permissions.map((permission) => ({ permission })) };
+  });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  resetPoolMocks(pool);
+  registerGuardedRoutes([
+    ['/location', null, { read: 'view locations', manage: 'manage locations', scope: 'location' }],
+    ['/role', null, { read: 'manage users', manage: 'manage users' }],
+    ['/user', null, { read: 'view users', manage: 'manage users' }],
+  ]);
+});
+
+describe('Search routes', () => {
+  test('GET /search ranks typed results across readable resources', async () => {
+    mockSearch({
+      permissions: ['view users', 'view locations', 'manage locations'],
+      onSearch: (table, _sql, params) => {
+        expect(params.slice(0, 5)).toEqual(['nor', 'nor%', '% nor%', '%nor%', 20]);
+        if (table === 'user_account') {
+          return [{ id: 4, title: 'Nora Lee', subtitle: 'nora@example.com', score: 6 }];
+        }
+        expect(params.slice(5)).toEqual([null, null]);
+        return [{ id: 2, title: 'North', subtitle: null, score: 8 }];
+      },
+    });
+
+    const res = await performRequest(createTestApp(), { method: 'GET', path: '/search?q=%20Nor%20' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      query: 'Nor',
+      types: ['user', 'location'],
+      results: [
+        { type: 'location', id: 2, title: 'North', subtitle: null, url: '/location/2', score: 8 },
+        { type: 'user', id: 4, title: 'Nora Lee', subtitle: 'nora@example.com', url: '/user/4', score: 6 },
+      ],
+    });
+  });
+
+  test('GET /search keeps site-scoped callers to their locations and visible notes', async () => {
+    mockSearch({
+      permissions: ['view locations', 'manage locations'],
+      orgWide: [],
+      grants: [
+        { location_id: 5, permission: 'view locations' },
+        { location_id: 2, permission: 'manage locations' },
+      ],
+      onSearch: (table, sql, params) => {
+        expect(table).toBe('location');
+        expect(sql).toContain('l.location_id = ANY($6::int[])');
+        expect(params.slice(5)).toEqual([[2, 5], [2]]);
+        return [];
+      },
+    });
+
+    const res = await performRequest(createTestApp(), { method: 'GET', path: '/search?q=wing' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ query: 'wing', types: ['location'], results: [] });
+  });
+
+  test('GET /search escapes LIKE wildcards', async () => {
+    mockSearch({
+      permissions: ['manage users'],
+      onSearch: (_table, _sql, params) => {
+        expect(params.slice(0, 4)).toEqual(['5%_', '5\\%\\_%', '% 5\\%\\_%', '%5\\%\\_%']);
+        return [];
+      },
+    });
+
+    const res = await performRequest(createTestApp(), { method: 'GET', path: '/search?q=5%25_' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.types).toEqual(['user', 'role']);
+  });
+
+  test('GET /search validates the query', async () => {
+    const res = await performRequest(createTestApp(), { method: 'GET', path: '/search?q=a' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'q must be between 2 and 100 characters.' });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('GET /search requires authentication', async () => {
+    const res = await performRequest(createTestApp(null), { method: 'GET', path: '/search?q=north' });
+
+    expect(res.status).toBe(401);
+  });
+});
@@ -2,6 +2,9 @@ import { Readable } from 'node:stream';
 import { EventEmitter } from 'node:events';
 
 export function resetPoolMocks(pool) {
+  // Drop queued mockImplementationOnce answers a failed test left behind.
+  pool.query.mockReset();
+  pool.connect.mockReset();
   pool.query.mockImplementation(() => {
     throw new Error('Unexpected pool.query invocation');
   });
@@ -10,6 +13,32 @@ export function resetPoolMocks(pool) {
   });
 }
 
+/**
+ * Makes pool.connect() return a client that answers BEGIN/COMMIT/ROLLBACK and
+ * audit_log inserts itself and sends every other query to pool.query, so
+ * pool.query mock sequences also cover handlers that run in a transaction.
+ * `audit` collects the parameters of each audit_log insert.
+ */
+export function passClientQueriesToPool(pool) {
+  const audit = [];
+  const client = {
+    query: jest.fn(async (sql, params) => {
+      const normalized = String(sql).trim().toUpperCase();
+      if (normalized === 'BEGIN' || normalized === 'COMMIT' || normalized === 'ROLLBACK') {
+        return { rows: [] };
+      }
+      if (String(sql).includes('INSERT INTO in_kind_tracker.audit_log')) {
+        audit.push(params);
+        return { rows: [], rowCount: 1 };
+      }
+      return pool.query(sql, params);
+    }),
+    release: jest.fn(),
+  };
+  pool.connect.mockResolvedValue(client);
+  return { client, audit };
+}
+
 export function createMockRequest({ method, path, body, headers = {} }) {
   const normalizedHeaders = Object.entries(headers).reduce((acc, [key, value]) => {
     acc[String(key).toLowerCase()] = value;
@@ -30,6 +59,8 @@ export function createMockRequest({ method, path, body, headers = {} }) {
   req.url = path;
   req.originalUrl = path;
   req.headers = normalizedHeaders;
+  req.socket = { remoteAddress: '127.0.0.1' };
+  req.connection = req.socket;
   req.get = (name) => req.headers[String(name).toLowerCase()];
 
   if (body !== undefined && body !== null) {
@@ -79,6 +110,14 @@ export function createMockResponse() {
     return res;
   };
 
+  res.redirect = (statusOrUrl, maybeUrl) => {
+    const [code, url] = typeof statusOrUrl === 'number' ? [statusOrUrl, maybeUrl] : [302, statusOrUrl];
+    res.statusCode = code;
+    res.set('location', url);
+    res.emit('finish');
+    return res;
+  };
+
   res.cookie = (name, value, options) => {
     res.cookies[name] = { value, options };
     return res;
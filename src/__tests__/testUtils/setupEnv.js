@@ -0,0 +1,3 @@
+// Route tests queue one mocked query per lookup, so the cross-request auth
+// cache stays off unless a test enables it explicitly.
+process.env.AUTH_CACHE_TTL_SECONDS = '0';
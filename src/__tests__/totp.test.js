@@ -0,0 +1,52 @@
+import {
+  generateTotp,
+  verifyTotp,
+  generateTotpSecret,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} from '../lib/totp.js';
+
+// RFC 6238 test secret "12345678901234567890" in base32.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP helpers', () => {
+  test('generateTotp matches the RFC 6238 SHA-1 vectors', () => {
+    expect(generateTotp(RFC_SECRET, Math.floor(59 / 30))).toBe('287082');
+    expect(generateTotp(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(generateTotp(RFC_SECRET, Math.floor(1234567890 / 30))).toBe('005924');
+  });
+
+  test('verifyTotp accepts adjacent steps and rejects replays', () => {
+    const now = 1234567890 * 1000;
+    const step = Math.floor(1234567890 / 30);
+    const previous = generateTotp(RFC_SECRET, step - 1);
+
+    expect(verifyTotp(RFC_SECRET, '005924', { now })).toBe(step);
+    expect(verifyTotp(RFC_SECRET, previous, { now })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, '005924', { now, lastUsedStep: step })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 2), { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { now })).toBeNull();
+  });
+
+  test('generateTotpSecret returns a base32 secret usable for codes', () => {
+    const secret = generateTotpSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateTotp(secret)).toMatch(/^\d{6}$/);
+  });
+
+  test('buildOtpauthUri encodes issuer and account', () => {
+    const uri = buildOtpauthUri({ secret: RFC_SECRET, accountName: 'jane@example.com', issuer: 'Practice Pulse' });
+    expect(uri).toBe(
+      'otpauth://totp/Practice%20Pulse%3Ajane%40example.com'
+        + `?secret=${RFC_SECRET}&issuer=Practice+Pulse&algorithm=SHA1&digits=6&period=30`,
+    );
+  });
+
+  test('recovery codes are unique and normalize for comparison', () => {
+    const codes = generateRecoveryCodes(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach((code) => expect(code).toMatch(/^[a-z2-7]{5}-[a-z2-7]{5}$/));
+    expect(normalizeRecoveryCode(' ABCDE-fghij ')).toBe('abcdefghij');
+  });
+});
@@ -12,7 +12,7 @@ jest.mock('../db.js', () => {
 import { pool } from '../db.js';
 import { requirePermissions } from '../middleware/authorization.js';
 import { router as userAccountRouter } from '../routes/userAccount.js';
-import { performRequest, resetPoolMocks } from './testUtils/requestUtils.js';
+import { performRequest, resetPoolMocks, passClientQueriesToPool } from './testUtils/requestUtils.js';
 
 function createTestApp(user = { user_id: 1000 }) {
   const app = express();
@@ -29,9 +29,12 @@ function createTestApp(user = { user_id: 1000 }) {
   return app;
 }
 
+let transactions;
+
 beforeEach(() => {
   jest.clearAllMocks();
   resetPoolMocks(pool);
+  transactions = passClientQueriesToPool(pool);
 });
 
 let consoleErrorSpy;
@@ -85,6 +88,7 @@ describe('User account routes', () => {
         role: 'Admin',
         app_role: 'Admin',
         default_route: '/Dashboard',
+        roles: [{ role_id: 2, role_name: 'Admin', default_route: '/Dashboard', primary: true }],
         username: 'admin@example.com',
         name: 'Admin',
         status: 'active',
@@ -92,6 +96,48 @@ describe('User account routes', () => {
     ]);
   });
 
+  test('GET /user-account pages, sorts and filters users', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('page.status = $1');
+        expect(sql).toContain('ur.role_id = $2');
+        expect(sql).toContain('ORDER BY page.name ASC NULLS LAST, page.created_at DESC NULLS LAST, page.user_id ASC');
+        expect(params).toEqual(['active', 2, 1, 1]);
+        return { rows: [{ user_id: 7, username: 'b@example.com', name: 'B', status: 'active', total_count: '3' }] };
+      });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'GET',
+      path: '/user-account?status=Active&role_id=2&sort=name,-created_at&limit=1&offset=1',
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0]).not.toHaveProperty('total_count');
+    expect(res.headers['x-total-count']).toBe('3');
+    expect(res.headers.link).toBe(
+      '</user-account?status=Active&role_id=2&sort=name%2C-created_at&limit=1&offset=2>; rel="next", '
+        + '</user-account?status=Active&role_id=2&sort=name%2C-created_at&limit=1&offset=0>; rel="prev"',
+    );
+  });
+
+  test('GET /user-account rejects unknown sort fields and bad filters', async () => {
+    pool.query.mockImplementation(async () => ({ rows: [{ permission: 'manage users' }] }));
+
+    const badSort = await performRequest(createTestApp(), { method: 'GET', path: '/user-account?sort=password_hash' });
+    expect(badSort.status).toBe(400);
+    expect(badSort.body.error).toMatch(/^Cannot sort by "password_hash"/);
+
+    const badFilter = await performRequest(createTestApp(), { method: 'GET', path: '/user-account?status=gone' });
+    expect(badFilter.status).toBe(400);
+    expect(badFilter.body).toEqual({ error: 'status must be one of: pending, active, inactive' });
+
+    expect(pool.query).toHaveBeenCalledTimes(2);
+  });
+
   test('POST /user-account validates email', async () => {
     pool.query.mockImplementationOnce(async () => ({
       rows: [{ permission: 'manage users' }],
@@ -171,6 +217,9 @@ describe('User account routes', () => {
       .mockImplementationOnce(async () => ({
         rows: [{ permission: 'manage users' }],
       }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 3, username: 'user@example.com', name: 'Old Name', status: 'active' }],
+      }))
       .mockImplementationOnce(async (sql, params) => {
         expect(sql).toContain('UPDATE in_kind_tracker.user_account');
         expect(params).toEqual(['Updated Name', 3]);
@@ -198,6 +247,10 @@ describe('User account routes', () => {
 
     expect(res.status).toBe(200);
     expect(res.body.name).toBe('Updated Name');
+    const [, , action, , , before, after] = transactions.audit[0];
+    expect(action).toBe('update');
+    expect(JSON.parse(before).name).toBe('Old Name');
+    expect(JSON.parse(after).name).toBe('Updated Name');
   });
 
   test('PATCH /user-account handles duplicate username', async () => {
@@ -205,6 +258,7 @@ describe('User account routes', () => {
       .mockImplementationOnce(async () => ({
         rows: [{ permission: 'manage users' }],
       }))
+      .mockImplementationOnce(async () => ({ rows: [{ user_id: 3, status: 'active' }] }))
       .mockImplementationOnce(async () => {
         const err = new Error('duplicate');
         err.code = '23505';
@@ -220,6 +274,44 @@ describe('User account routes', () => {
 
     expect(res.status).toBe(409);
     expect(res.body).toEqual({ error: 'A user with that username already exists.' });
+    expect(transactions.client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  test('PATCH /user-account honors the ETag from GET across logins', async () => {
+    const stored = { user_id: 3, username: 'user@example.com', name: 'Old Name', status: 'active' };
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }))
+      .mockImplementationOnce(async () => ({ rows: [{ ...stored, last_login_at: '2026-03-01T00:00:00.000Z' }] }))
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }))
+      .mockImplementationOnce(async (sql) => {
+        expect(sql).toContain('FOR UPDATE OF ua');
+        return { rows: [{ ...stored, last_login_at: '2026-03-02T00:00:00.000Z' }] };
+      })
+      .mockImplementationOnce(async () => ({ rows: [{ user_id: 3 }] }))
+      .mockImplementationOnce(async () => ({ rows: [{ ...stored, name: 'Updated Name' }] }))
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }))
+      .mockImplementationOnce(async () => ({ rows: [{ ...stored, name: 'Someone Else' }] }));
+
+    const app = createTestApp();
+    const read = await performRequest(app, { method: 'GET', path: '/user-account/3' });
+    const updated = await performRequest(app, {
+      method: 'PATCH',
+      path: '/user-account/3',
+      body: { name: 'Updated Name' },
+      headers: { 'If-Match': read.headers.etag },
+    });
+    const stale = await performRequest(app, {
+      method: 'PATCH',
+      path: '/user-account/3',
+      body: { name: 'Late Edit' },
+      headers: { 'If-Match': read.headers.etag },
+    });
+
+    expect(updated.status).toBe(200);
+    expect(updated.headers.etag).not.toBe(read.headers.etag);
+    expect(stale.status).toBe(412);
+    expect(stale.body.code).toBe('precondition_failed');
+    expect(transactions.audit).toHaveLength(1);
   });
 
   test('PATCH /user-account rejects last_login_at update', async () => {
@@ -237,4 +329,587 @@ describe('User account routes', () => {
     expect(res.status).toBe(400);
     expect(res.body).toEqual({ error: 'last_login_at is managed by the system and cannot be updated manually' });
   });
+
+  test('POST /user-account/:id/password-reset issues a token and stores only its hash', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('SET password_reset_token_hash = $1');
+        expect(params[0]).toMatch(/^[0-9a-f]{64}$/);
+        expect(params[2]).toBe(5);
+        return { rows: [{ user_id: 5, password_reset_expires_at: '2024-06-20T12:00:00.000Z' }] };
+      });
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'POST', path: '/user-account/5/password-reset' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user_id).toBe(5);
+    expect(res.body.expires_at).toBe('2024-06-20T12:00:00.000Z');
+    expect(typeof res.body.reset_token).toBe('string');
+    expect(res.body.reset_token.length).toBeGreaterThan(20);
+  });
+
+  test('GET /user-account/:id never exposes credential columns', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [
+          {
+            user_id: 4,
+            username: 'user@example.com',
+            password_hash: 'scrypt$secret',
+            password_reset_token_hash: 'abc',
+            password_reset_expires_at: null,
+          },
+        ],
+      }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'GET', path: '/user-account/4' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).not.toHaveProperty('password_hash');
+    expect(res.body).not.toHaveProperty('password_reset_token_hash');
+    expect(res.body).not.toHaveProperty('password_reset_expires_at');
+  });
+
+  test('PATCH /user-account revokes sessions when deactivating a user', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 3, username: 'user@example.com', status: 'active', role_id: 4, roles: [] }],
+      }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('AS remains');
+        expect(params).toEqual([3, 'manage users']);
+        return { rows: [{ remains: true }] };
+      })
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('UPDATE in_kind_tracker.user_account');
+        expect(params).toEqual(['inactive', 3]);
+        return { rows: [{ user_id: 3 }] };
+      })
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('DELETE FROM in_kind_tracker.user_session');
+        expect(params).toEqual([3, null]);
+        return { rowCount: 2, rows: [] };
+      })
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('WHERE impersonated_user_id = $1');
+        expect(params).toEqual([3]);
+        return { rowCount: 1, rows: [] };
+      })
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 3, username: 'user@example.com', status: 'inactive' }],
+      }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'PATCH',
+      path: '/user-account/3',
+      body: { status: 'inactive' },
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('inactive');
+    expect(pool.query).toHaveBeenCalledTimes(7);
+  });
+
+  test('PATCH /user-account refuses to let users deactivate themselves', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 1000, username: 'me@example.com', status: 'active', role_id: 1, roles: [] }],
+      }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'PATCH',
+      path: '/user-account/1000',
+      body: { status: 'inactive' },
+    });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ code: 'self_deactivation', error: 'You cannot deactivate your own account.' });
+    expect(pool.query).toHaveBeenCalledTimes(2);
+  });
+
+  test('PATCH /user-account refuses to deactivate the last admin', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 3, username: 'admin@example.com', status: 'active', role_id: 1, roles: [] }],
+      }))
+      .mockImplementationOnce(async () => ({ rows: [{ remains: false }] }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'PATCH',
+      path: '/user-account/3',
+      body: { status: 'inactive' },
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('last_admin');
+  });
+
+  test('DELETE /user-account/:id/sessions revokes every session for the user', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => ({ rowCount: 1, rows: [{ '?column?': 1 }] }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('DELETE FROM in_kind_tracker.user_session');
+        expect(params).toEqual([9, null]);
+        return { rowCount: 3, rows: [] };
+      });
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'DELETE', path: '/user-account/9/sessions' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ user_id: 9, revoked: 3 });
+  });
+
+  test('DELETE /user-account/:id/2fa clears the authenticator and recovery codes', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('SET totp_secret = NULL');
+        expect(params).toEqual([12]);
+        return { rowCount: 1, rows: [] };
+      })
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('DELETE FROM in_kind_tracker.user_recovery_code');
+        expect(params).toEqual([12]);
+        return { rowCount: 8, rows: [] };
+      });
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'DELETE', path: '/user-account/12/2fa' });
+
+    expect(res.status).toBe(204);
+  });
+
+  test('POST /user-account/:id/unlock clears the lockout and records who did it', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 12, username: 'locked@example.com', status: 'active' }],
+      }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('DELETE FROM in_kind_tracker.login_throttle');
+        expect(params).toEqual([['user:12', 'username:locked@example.com']]);
+        return { rowCount: 1, rows: [] };
+      })
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('INSERT INTO in_kind_tracker.login_event');
+        expect(params.slice(0, 2)).toEqual(['unlocked', 12]);
+        expect(params[5]).toBe(1000);
+        return { rowCount: 1, rows: [] };
+      });
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'POST', path: '/user-account/12/unlock' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ user_id: 12, unlocked: true });
+  });
+
+  test('PUT /user-account/:id/locations/:location_id assigns a location with an optional role', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('SELECT DISTINCT p.permission');
+        expect(params).toEqual([[9]]);
+        return { rows: [{ permission: 'manage users' }] };
+      })
+      .mockImplementationOnce(async () => ({ rows: [] }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('INSERT INTO in_kind_tracker.user_location');
+        expect(params).toEqual([12, 3, 9]);
+        return { rowCount: 1, rows: [] };
+      })
+      .mockImplementationOnce(async () => ({
+        rows: [{ location_id: 3, location_name: 'North', role_id: 9, role_name: 'Site Lead' }],
+      }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'PUT',
+      path: '/user-account/12/locations/3',
+      body: { role_id: 9 },
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ location_id: 3, location_name: 'North', role_id: 9, role_name: 'Site Lead' });
+    expect(transactions.audit).toHaveLength(1);
+    const [actorUserId, , action, resource, resourceId, before, after] = transactions.audit[0];
+    expect([actorUserId, action, resource, resourceId, before]).toEqual([1000, 'assign_location', 'user', '12', null]);
+    expect(JSON.parse(after)).toEqual({ location_id: 3, location_name: 'North', role_id: 9, role_name: 'Site Lead' });
+  });
+
+  test('user location assignments cannot be changed for oneself', async () => {
+    pool.query.mockImplementation(async () => ({ rows: [{ permission: 'manage users' }] }));
+
+    const app = createTestApp({ user_id: 12 });
+    const assigned = await performRequest(app, { method: 'PUT', path: '/user-account/12/locations/3', body: {} });
+    const removed = await performRequest(app, { method: 'DELETE', path: '/user-account/12/locations/3' });
+
+    expect(assigned.status).toBe(403);
+    expect(assigned.body.code).toBe('self_demotion');
+    expect(removed.status).toBe(403);
+    expect(removed.body.code).toBe('self_demotion');
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('POST /user-account/:id/roles grants an additional role', async () => {
+    const roles = [
+      { role_id: 2, role_name: 'Clinician', default_route: '/Schedule', primary: true },
+      { role_id: 5, role_name: 'Intake', default_route: '/Intake', primary: false },
+    ];
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('FROM in_kind_tracker.role WHERE role_id = $1');
+        expect(params).toEqual([5]);
+        return { rowCount: 1, rows: [{}] };
+      })
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 12, role_id: 2, role_name: 'Clinician', roles: roles.slice(0, 1) }],
+      }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(params).toEqual([[5]]);
+        return { rows: [{ permission: 'manage users' }] };
+      })
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('INSERT INTO in_kind_tracker.user_role');
+        expect(params).toEqual([12, 5, null, null, null, 1000]);
+        return { rowCount: 1, rows: [{ inserted: true }] };
+      })
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 12, role_id: 2, role_name: 'Clinician', default_route: '/Schedule', roles }],
+      }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/user-account/12/roles',
+      body: { role_id: 5 },
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.role_name).toBe('Clinician');
+    expect(res.body.roles).toEqual(roles);
+  });
+
+  test('POST /user-account/:id/roles records a temporary grant with its reason', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => ({ rowCount: 1, rows: [{}] }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 12, role_id: 2, role_name: 'Clinician' }],
+      }))
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('ON CONFLICT (user_id, role_id) DO UPDATE');
+        expect(params).toEqual([
+          12,
+          7,
+          null,
+          new Date('2099-01-15T17:00:00Z'),
+          'Covering for the clinic manager',
+          1000,
+        ]);
+        return { rowCount: 1, rows: [{ inserted: true }] };
+      })
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 12, role_id: 2, role_name: 'Clinician' }],
+      }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/user-account/12/roles',
+      body: { role_id: 7, expires_at: '2099-01-15T17:00:00Z', reason: 'Covering for the clinic manager' },
+    });
+
+    expect(res.status).toBe(201);
+  });
+
+  test("POST /user-account/:id/roles refuses the user's primary role without auditing a grant", async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => ({ rowCount: 1, rows: [{}] }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 12, role_id: 2, role_name: 'Clinician' }],
+      }))
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }))
+      .mockImplementationOnce(async (sql) => {
+        expect(sql).toContain('WHERE NOT EXISTS');
+        return { rowCount: 0, rows: [] };
+      });
+
+    const res = await performRequest(createTestApp(), {
+      method: 'POST',
+      path: '/user-account/12/roles',
+      body: { role_id: 2 },
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ error: "Role is already the user's primary role" });
+    expect(transactions.audit).toHaveLength(0);
+    expect(transactions.client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  test('POST /user-account/:id/roles validates the grant window', async () => {
+    pool.query.mockImplementationOnce(async () => ({
+      rows: [{ permission: 'manage users' }],
+    }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/user-account/12/roles',
+      body: { role_id: 7, expires_at: '2000-01-01T00:00:00Z' },
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'expires_at must be in the future and after starts_at' });
+  });
+
+  test('GET /user-account/:id/roles lists grants with their status', async () => {
+    const grants = [
+      {
+        role_id: 7,
+        role_name: 'Clinic Manager',
+        starts_at: null,
+        expires_at: '2099-01-15T17:00:00.000Z',
+        reason: 'Covering for the clinic manager',
+        granted_by: 1,
+        granted_at: '2099-01-08T09:00:00.000Z',
+        status: 'active',
+      },
+    ];
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 12, role_id: 2, role_name: 'Clinician' }],
+      }))
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('AS status');
+        expect(params).toEqual([12]);
+        return { rows: grants };
+      });
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'GET', path: '/user-account/12/roles' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ user_id: 12, role_id: 2, grants });
+  });
+
+  test('POST /user-account/:id/roles refuses roles with permissions the caller lacks', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => ({ rowCount: 1, rows: [{}] }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 12, role_id: 2, role_name: 'Clinician' }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }, { permission: 'manage permissions' }],
+      }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/user-account/12/roles',
+      body: { role_id: 1 },
+    });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('permission_escalation');
+    expect(res.body.permissions).toEqual(['manage permissions']);
+  });
+
+  test('DELETE /user-account/:id/roles/:role_id refuses to remove the primary role', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 12, role_id: 2, role_name: 'Clinician' }],
+      }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, { method: 'DELETE', path: '/user-account/12/roles/2' });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('POST /user-account/:id/tokens only issues tokens for service accounts', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 6, username: 'person@example.com', is_service_account: false }],
+      }));
+
+    const app = createTestApp();
+    const res = await performRequest(app, {
+      method: 'POST',
+      path: '/user-account/6/tokens',
+      body: { name: 'integration' },
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ error: 'Admins can only issue tokens for service accounts' });
+  });
+
+  test('POST /user-account/:id/tokens refuses permissions the caller does not hold', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 6, username: 'export-bot', is_service_account: true }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }, { permission: 'purge roles' }],
+      }));
+
+    const app = createTestApp();
+    const scoped = await performRequest(app, {
+      method: 'POST',
+      path: '/user-account/6/tokens',
+      body: { name: 'integration', permissions: ['purge roles'] },
+    });
+
+    expect(scoped.status).toBe(403);
+    expect(scoped.body).toMatchObject({ code: 'permission_escalation', permissions: ['purge roles'] });
+
+    pool.query
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ user_id: 6, username: 'export-bot', is_service_account: true }],
+      }))
+      .mockImplementationOnce(async () => ({
+        rows: [{ permission: 'manage users' }, { permission: 'purge roles' }],
+      }));
+    const unscoped = await performRequest(app, {
+      method: 'POST',
+      path: '/user-account/6/tokens',
+      body: { name: 'integration' },
+    });
+
+    expect(unscoped.status).toBe(403);
+    expect(unscoped.body.permissions).toEqual(['purge roles']);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
+
+describe('User field visibility', () => {
+  function createViewerApp() {
+    const app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.user = { user_id: 1001 };
+      next();
+    });
+    app.use(
+      '/user-account',
+      requirePermissions({ read: 'view users', manage: 'manage users' }),
+      userAccountRouter,
+    );
+    return app;
+  }
+
+  const row = {
+    user_id: 4,
+    username: 'person@example.com',
+    name: 'Pat',
+    status: 'active',
+    role_id: 2,
+    role_name: 'Clinician',
+    default_route: '/Schedule',
+    roles: [],
+    last_login_at: '2026-01-05T10:00:00.000Z',
+    password_changed_at: '2025-12-01T10:00:00.000Z',
+    created_at: '2025-11-01T10:00:00.000Z',
+    shift_notes: 'added later',
+  };
+
+  test('GET /user-account hides status, login timestamps and unclassified columns from viewers', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'view users' }] }))
+      .mockImplementationOnce(async () => ({ rows: [row] }));
+
+    const res = await performRequest(createViewerApp(), { method: 'GET', path: '/user-account' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    const [user] = res.body;
+    expect(user).toMatchObject({ user_id: 4, username: 'person@example.com', role_name: 'Clinician' });
+    ['status', 'last_login_at', 'password_changed_at', 'shift_notes'].forEach((field) => {
+      expect(user).not.toHaveProperty(field);
+    });
+  });
+
+  test('GET /user-account refuses to filter or sort viewers by hidden fields', async () => {
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ permission: 'view users' }] }));
+
+    const res = await performRequest(createViewerApp(), {
+      method: 'GET',
+      path: '/user-account?status=inactive&sort=-last_login_at',
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'You cannot sort or filter by: last_login_at, status.' });
+  });
+
+  test('GET /user-account/:id shows every field to user managers', async () => {
+    pool.query
+      .mockImplementationOnce(async () => ({ rows: [{ permission: 'manage users' }] }))
+      .mockImplementationOnce(async () => ({ rows: [row] }));
+
+    const res = await performRequest(createViewerApp(), { method: 'GET', path: '/user-account/4' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      status: 'active',
+      last_login_at: '2026-01-05T10:00:00.000Z',
+      shift_notes: 'added later',
+    });
+  });
 });
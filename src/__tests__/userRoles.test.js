@@ -0,0 +1,69 @@
+jest.mock('../db.js', () => {
+  const query = jest.fn();
+  const connect = jest.fn();
+  return {
+    pool: { query, connect },
+    assertDbConnection: jest.fn(),
+  };
+});
+
+import { pool } from '../db.js';
+import { USER_ROLES_SQL, parseRoleGrant, createRoleGrantSweeper } from '../lib/userRoles.js';
+import { resetPoolMocks } from './testUtils/requestUtils.js';
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  resetPoolMocks(pool);
+});
+
+describe('time-bound role grants', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+
+  test('only grants inside their window count as held roles', () => {
+    expect(USER_ROLES_SQL).toContain('user_role.starts_at <= NOW()');
+    expect(USER_ROLES_SQL).toContain('user_role.expires_at > NOW()');
+  });
+
+  test('parses the window and reason', () => {
+    expect(parseRoleGrant({
+      starts_at: '2026-03-02T08:00:00Z',
+      expires_at: '2026-03-09T17:00:00Z',
+      reason: '  Covering for Dana  ',
+    }, now)).toEqual({
+      startsAt: new Date('2026-03-02T08:00:00Z'),
+      expiresAt: new Date('2026-03-09T17:00:00Z'),
+      reason: 'Covering for Dana',
+    });
+    expect(parseRoleGrant({}, now)).toEqual({ startsAt: null, expiresAt: null, reason: null });
+  });
+
+  test('rejects invalid or backwards windows', () => {
+    expect(() => parseRoleGrant({ expires_at: 'next week' }, now)).toThrow('expires_at must be an ISO 8601 timestamp');
+    expect(() => parseRoleGrant({ expires_at: '2026-02-01T00:00:00Z' }, now)).toThrow('expires_at must be in the future');
+    expect(() => parseRoleGrant({
+      starts_at: '2026-03-05T00:00:00Z',
+      expires_at: '2026-03-04T00:00:00Z',
+    }, now)).toThrow('after starts_at');
+    expect(() => parseRoleGrant({ reason: 42 }, now)).toThrow('reason must be a string');
+  });
+
+  test('the sweeper invalidates users whose grants started or lapsed since the last run', async () => {
+    const onChange = jest.fn();
+    pool.query
+      .mockImplementationOnce(async (_sql, params) => {
+        expect(params).toEqual([null]);
+        return { rows: [{ checked_at: '2026-03-01T12:00:00Z', user_ids: [] }] };
+      })
+      .mockImplementationOnce(async (sql, params) => {
+        expect(sql).toContain('ur.expires_at > $1 AND ur.expires_at <= NOW()');
+        expect(params).toEqual(['2026-03-01T12:00:00Z']);
+        return { rows: [{ checked_at: '2026-03-01T12:01:00Z', user_ids: [4, 9] }] };
+      });
+
+    const sweep = createRoleGrantSweeper({ onChange });
+    await expect(sweep()).resolves.toEqual([]);
+    await expect(sweep()).resolves.toEqual([4, 9]);
+
+    expect(onChange.mock.calls).toEqual([[4], [9]]);
+  });
+});
@@ -0,0 +1,297 @@
+import { pool } from '../db.js';
+import { USER_ROLES_SQL } from './userRoles.js';
+import { EFFECTIVE_ROLE_PERMISSIONS_SQL } from './roleHierarchy.js';
+import { getGuardedRoutes } from './permissionCatalog.js';
+import { loginStatusError } from '../routes/auth.js';
+import {
+  compilePermissionMap,
+  resolveRequiredPermissions,
+  getUserPermissions,
+  getLocationScope,
+  locationIdsWithPermission,
+} from '../middleware/authorization.js';
+
+const EXPLAIN_METHODS = new Set(['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Method and sample sub-path used for each default action in the matrix.
+const MATRIX_ACTIONS = [
+  ['read', 'GET', '/'],
+  ['create', 'POST', '/'],
+  ['update', 'PATCH', '/:id'],
+  ['delete', 'DELETE', '/:id'],
+];
+
+/**
+ * Where each of the user's permissions comes from: the role that holds it,
+ * the ancestor it is inherited from, and for `user_location.role_id` grants
+ * the location it is limited to.
+ */
+async function queryPermissionSources(userId) {
+  const { rows } = await pool.query(
+    `
+      SELECT DISTINCT ON (p.permission, held.role_id, held.location_id)
+        p.permission,
+        held.role_id,
+        r.role_name,
+        r.org_wide,
+        held.location_id,
+        rp.source_role_id,
+        src.role_name AS source_role_name
+      FROM (
+        SELECT ur.role_id, NULL::int AS location_id
+        FROM (${USER_ROLES_SQL}) ur
+        WHERE ur.user_id = $1
+        UNION
+        SELECT ul.role_id, ul.location_id
+        FROM in_kind_tracker.user_location ul
+        WHERE ul.user_id = $1 AND ul.role_id IS NOT NULL
+      ) held
+      JOIN in_kind_tracker.role r ON r.role_id = held.role_id
+      JOIN (${EFFECTIVE_ROLE_PERMISSIONS_SQL}) rp ON rp.role_id = held.role_id
+      JOIN in_kind_tracker.role src ON src.role_id = rp.source_role_id
+      JOIN in_kind_tracker.permission p ON p.permission_id = rp.permission_id
+      ORDER BY p.permission, held.role_id, held.location_id, rp.depth
+    `,
+    [userId],
+  );
+  return rows.map((row) => ({
+    permission: row.permission.toLowerCase(),
+    role_id: row.role_id,
+    role_name: row.role_name,
+    org_wide: row.location_id === null ? row.org_wide !== false : false,
+    location_id: row.location_id,
+    inherited_from: row.source_role_id === row.role_id
+      ? null
+      : { role_id: row.source_role_id, role_name: row.source_role_name },
+  }));
+}
+
+async function findUserForExplain({ userId = null, username = null }) {
+  const { rows } = await pool.query(
+    `
+      SELECT user_id, username, name, status, is_service_account
+      FROM in_kind_tracker.user_account
+      WHERE ($1::int IS NOT NULL AND user_id = $1) OR ($1::int IS NULL AND username = $2)
+      LIMIT 1
+    `,
+    [userId, username ? username.trim().toLowerCase() : null],
+  );
+  return rows[0] ?? null;
+}
+
+/**
+ * The guardedRoutes entry Express would run for `path`: the longest mount
+ * path that equals it or is followed by `/`.
+ */
+function matchGuardedRoute(path, routes = getGuardedRoutes()) {
+  const pathname = String(path || '').split('?')[0];
+  let match = null;
+  routes.forEach(([mount, options]) => {
+    const matches = pathname === mount || pathname.startsWith(`${mount}/`);
+    if (matches && (!match || mount.length > match.mount.length)) {
+      match = { mount, options, subPath: pathname.slice(mount.length) || '/' };
+    }
+  });
+  return match;
+}
+
+/**
+ * Evaluates one method + sub-path against a route entry the same way
+ * requirePermissions does, collecting a human-readable trace.
+ */
+function evaluateRoute(context, { mount, options, method, subPath }) {
+  const compiled = compilePermissionMap(options);
+  const resolution = resolveRequiredPermissions(compiled, method, subPath);
+  const required = resolution.permissions;
+  const trace = [];
+
+  if (resolution.rule) {
+    trace.push(`Matched action rule "${resolution.rule.pattern}" on ${mount}.`);
+  } else {
+    trace.push(`No action rule matched; ${method} on ${mount} uses the ${resolution.action} permission.`);
+  }
+  if (required.length === 0) {
+    trace.push('The route map names no permission for this action, so it is always denied.');
+  } else {
+    const names = required.map((permission) => `"${permission}"`).join(', ');
+    trace.push(required.length > 1 ? `Requires any of ${names}.` : `Requires ${names}.`);
+  }
+
+  const held = required.filter((permission) => context.permissions.has(permission));
+  const via = context.sources.filter((source) => required.includes(source.permission));
+  let allowed = held.length > 0;
+  let locations = null;
+
+  if (compiled.scope === 'location') {
+    locations = locationIdsWithPermission(context.locationScope, required);
+    allowed = locations === null || locations.length > 0;
+    if (locations === null) {
+      trace.push('Location-scoped route: the permission is held through an org-wide role, so every location is allowed.');
+    } else if (locations.length > 0) {
+      trace.push(`Location-scoped route: allowed only at locations ${locations.join(', ')}.`);
+    } else {
+      trace.push('Location-scoped route: the permission is not held org-wide or at any assigned location.');
+    }
+  } else if (allowed) {
+    trace.push(`Held: ${held.map((permission) => `"${permission}"`).join(', ')}.`);
+  } else {
+    trace.push('None of the required permissions are held.');
+  }
+
+  via.forEach((source) => {
+    const inherited = source.inherited_from ? ` (inherited from "${source.inherited_from.role_name}")` : '';
+    const where = source.location_id !== null
+      ? ` at location ${source.location_id}`
+      : (compiled.scope === 'location' && !source.org_wide ? ' at assigned locations only' : '');
+    trace.push(`"${source.permission}" comes from role "${source.role_name}"${inherited}${where}.`);
+  });
+
+  return {
+    action: resolution.action,
+    rule: resolution.rule?.pattern ?? null,
+    required,
+    allowed,
+    held,
+    via,
+    locations,
+    trace,
+  };
+}
+
+async function buildContext(user) {
+  // getUserPermissions and getLocationScope only read `req.user`.
+  const subject = { user: { user_id: user.user_id } };
+  const permissions = await getUserPermissions(subject);
+  const locationScope = await getLocationScope(subject);
+  const sources = await queryPermissionSources(user.user_id);
+  return { permissions, locationScope, sources };
+}
+
+/**
+ * Why authentication would turn the user away, or null. People pass the
+ * login check (pending users may sign in and become active); service
+ * accounts only use API tokens, which need an active owner.
+ */
+function authenticationError(user) {
+  if (user.is_service_account) {
+    return user.status === 'active' ? null : 'API tokens only work for active accounts';
+  }
+  return loginStatusError(user);
+}
+
+function describeUser(user) {
+  const { user_id, username, name, status } = user;
+  return { user_id, username, name, status };
+}
+
+/**
+ * Explains whether `user` may call `method path`. Returns null when the
+ * user does not exist.
+ */
+async function explainAccess({ userId, username, method, path }) {
+  const user = await findUserForExplain({ userId, username });
+  if (!user) {
+    return null;
+  }
+
+  const request = { method, path };
+  const route = matchGuardedRoute(path);
+  const preamble = [];
+  const blocked = authenticationError(user);
+  if (blocked) {
+    preamble.push(`User status is "${user.status}" (${blocked}), so authentication rejects the request before permissions are checked.`);
+  }
+
+  if (!route) {
+    return {
+      user: describeUser(user),
+      request,
+      route: null,
+      required: [],
+      allowed: !blocked,
+      decision: 'not_guarded',
+      trace: [
+        ...preamble,
+        'No guardedRoutes entry matches this path; only authentication (if any) applies.',
+      ],
+    };
+  }
+
+  const context = await buildContext(user);
+  const result = evaluateRoute(context, { mount: route.mount, options: route.options, method, subPath: route.subPath });
+  const allowed = result.allowed && !blocked;
+
+  const trace = [...preamble, `Path matched guardedRoutes entry "${route.mount}" (sub-path "${route.subPath}").`, ...result.trace];
+  if (result.locations !== null && result.allowed) {
+    const locationId = Number(route.subPath.split('/').filter(Boolean)[0]);
+    if (Number.isInteger(locationId) && !result.locations.includes(locationId)) {
+      trace.push(`Location ${locationId} is outside that list, so the router answers 404 or 403.`);
+    }
+  }
+  trace.push(allowed ? 'Decision: allowed.' : 'Decision: denied.');
+
+  return {
+    user: describeUser(user),
+    request,
+    route: { mount: route.mount, sub_path: route.subPath, scope: route.options.scope ?? null },
+    action: result.action,
+    rule: result.rule,
+    required: result.required,
+    allowed,
+    decision: allowed ? 'allowed' : 'denied',
+    held: result.held,
+    via: result.via,
+    locations: result.locations,
+    trace,
+  };
+}
+
+/**
+ * Every guardedRoutes entry × action (the method defaults plus each custom
+ * rule) evaluated for one user. Returns null when the user does not exist.
+ */
+async function buildAccessMatrix({ userId, username }) {
+  const user = await findUserForExplain({ userId, username });
+  if (!user) {
+    return null;
+  }
+  const context = await buildContext(user);
+  const blocked = authenticationError(user);
+
+  const routes = getGuardedRoutes().flatMap(([mount, options]) => {
+    const compiled = compilePermissionMap(options);
+    const checks = [
+      // Defaults shadowed by an `actions` rule are listed once, under the rule.
+      ...MATRIX_ACTIONS
+        .map(([, method, subPath]) => ({ method, subPath }))
+        .filter(({ method, subPath }) => !resolveRequiredPermissions(compiled, method, subPath).rule),
+      ...compiled.rules.map((rule) => ({
+        method: rule.method === '*' ? 'GET' : rule.method,
+        subPath: `/${rule.segments.join('/')}`,
+      })),
+    ];
+    return checks.map(({ method, subPath }) => {
+      const result = evaluateRoute(context, { mount, options, method, subPath });
+      return {
+        mount,
+        method,
+        path: subPath === '/' ? mount : `${mount}${subPath}`,
+        action: result.action,
+        rule: result.rule,
+        required: result.required,
+        allowed: result.allowed && !blocked,
+        roles: Array.from(new Set(result.via.map((source) => source.role_name))),
+        locations: result.locations,
+      };
+    });
+  });
+
+  return { user: describeUser(user), routes };
+}
+
+export {
+  EXPLAIN_METHODS,
+  matchGuardedRoute,
+  explainAccess,
+  buildAccessMatrix,
+};
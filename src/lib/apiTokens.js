@@ -0,0 +1,120 @@
+import { pool } from '../db.js';
+import { generateToken, hashToken } from './tokens.js';
+
+const API_TOKEN_PREFIX = 'ppat_';
+const API_TOKEN_DEFAULT_TTL_DAYS = Number(process.env.API_TOKEN_DEFAULT_TTL_DAYS || 90);
+const API_TOKEN_MAX_TTL_DAYS = Number(process.env.API_TOKEN_MAX_TTL_DAYS || 365);
+
+const TOKEN_COLUMNS = `
+  api_token_id,
+  user_id,
+  name,
+  token_prefix,
+  permissions,
+  expires_at,
+  last_used_at,
+  created_at,
+  created_by
+`;
+
+function isApiToken(value) {
+  return typeof value === 'string' && value.startsWith(API_TOKEN_PREFIX);
+}
+
+/**
+ * Validates a create-token payload. Throws an Error with a client-facing
+ * message when the input is unusable.
+ */
+function parseTokenRequest({ name, expires_in_days, permissions }, ownerPermissions) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw new Error('name is required');
+  }
+
+  const ttlDays = expires_in_days === undefined || expires_in_days === null
+    ? API_TOKEN_DEFAULT_TTL_DAYS
+    : Number(expires_in_days);
+  if (!Number.isInteger(ttlDays) || ttlDays < 1 || ttlDays > API_TOKEN_MAX_TTL_DAYS) {
+    throw new Error(`expires_in_days must be an integer between 1 and ${API_TOKEN_MAX_TTL_DAYS}`);
+  }
+
+  let scopedPermissions = null;
+  if (permissions !== undefined && permissions !== null) {
+    if (!Array.isArray(permissions)) {
+      throw new Error('permissions must be an array of permission names');
+    }
+    scopedPermissions = Array.from(
+      new Set(permissions.map((permission) => String(permission).trim().toLowerCase()).filter(Boolean)),
+    );
+    const owned = new Set(ownerPermissions);
+    const missing = scopedPermissions.filter((permission) => !owned.has(permission));
+    if (missing.length > 0) {
+      throw new Error(`Token permissions must be a subset of the owner's permissions: ${missing.join(', ')}`);
+    }
+  }
+
+  return { name: name.trim(), ttlDays, permissions: scopedPermissions };
+}
+
+/**
+ * Creates a token and returns its row plus the plaintext `token`, which is
+ * never retrievable again.
+ */
+async function createApiToken(userId, { name, ttlDays, permissions }, { createdBy = null, client = pool } = {}) {
+  const token = `${API_TOKEN_PREFIX}${generateToken()}`;
+  const sql = `
+    INSERT INTO in_kind_tracker.api_token
+      (user_id, name, token_hash, token_prefix, permissions, expires_at, created_by)
+    VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6::int), $7)
+    RETURNING ${TOKEN_COLUMNS}
+  `;
+  const { rows } = await client.query(sql, [
+    userId,
+    name,
+    hashToken(token),
+    token.slice(0, API_TOKEN_PREFIX.length + 6),
+    permissions,
+    ttlDays,
+    createdBy,
+  ]);
+  return { ...rows[0], token };
+}
+
+async function listApiTokens(userId) {
+  const sql = `
+    SELECT ${TOKEN_COLUMNS}
+    FROM in_kind_tracker.api_token
+    WHERE user_id = $1
+      AND revoked_at IS NULL
+    ORDER BY created_at DESC, api_token_id DESC
+  `;
+  const { rows } = await pool.query(sql, [userId]);
+  return rows;
+}
+
+async function revokeApiToken(userId, tokenId, client = pool) {
+  const { rowCount } = await client.query(
+    `
+      UPDATE in_kind_tracker.api_token
+      SET revoked_at = NOW()
+      WHERE api_token_id = $1
+        AND user_id = $2
+        AND revoked_at IS NULL
+    `,
+    [tokenId, userId],
+  );
+  return rowCount > 0;
+}
+
+async function touchApiToken(tokenId) {
+  await pool.query('UPDATE in_kind_tracker.api_token SET last_used_at = NOW() WHERE api_token_id = $1', [tokenId]);
+}
+
+export {
+  API_TOKEN_PREFIX,
+  isApiToken,
+  parseTokenRequest,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  touchApiToken,
+};
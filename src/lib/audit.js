@@ -0,0 +1,181 @@
+import { pool } from '../db.js';
+
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_MAX_PAGE_SIZE = 200;
+
+// Secrets that may appear on raw rows and must never be copied into the log.
+const REDACTED_FIELDS = new Set([
+  'password_hash',
+  'password_reset_token_hash',
+  'totp_secret',
+  'totp_pending_secret',
+  'token_hash',
+  'code_hash',
+  'session_id',
+]);
+
+const AUDIT_COLUMNS = `
+  audit_id,
+  created_at,
+  actor_user_id,
+  impersonator_user_id,
+  action,
+  resource,
+  resource_id,
+  before,
+  after,
+  request_method,
+  request_path,
+  ip_address,
+  user_agent
+`;
+
+function redactSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object') {
+    return snapshot ?? null;
+  }
+  return Object.fromEntries(Object.entries(snapshot).filter(([field]) => !REDACTED_FIELDS.has(field)));
+}
+
+/**
+ * Writes one audit_log row. Pass the transaction client of the change so the
+ * entry commits or rolls back with it. The actor is `req.user` unless
+ * `actorUserId` is given (e.g. for logins, before `req.user` exists).
+ */
+async function recordAudit(client, req, {
+  action,
+  resource,
+  resourceId = null,
+  before = null,
+  after = null,
+  actorUserId,
+}) {
+  await client.query(
+    `
+      INSERT INTO in_kind_tracker.audit_log (
+        actor_user_id,
+        impersonator_user_id,
+        action,
+        resource,
+        resource_id,
+        before,
+        after,
+        request_method,
+        request_path,
+        ip_address,
+        user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `,
+    [
+      actorUserId !== undefined ? actorUserId : (req.user?.user_id ?? null),
+      req.impersonator?.user_id ?? null,
+      action,
+      resource,
+      resourceId === null || resourceId === undefined ? null : String(resourceId),
+      before ? JSON.stringify(redactSnapshot(before)) : null,
+      after ? JSON.stringify(redactSnapshot(after)) : null,
+      req.method ?? null,
+      (req.originalUrl ?? req.url ?? '').split('?')[0] || null,
+      req.ip ?? null,
+      req.get?.('user-agent') ?? null,
+    ],
+  );
+}
+
+/**
+ * Parses the `GET /audit` query string. Returns `{ error }` for invalid input.
+ */
+function parseAuditQuery(query = {}) {
+  const filters = {};
+  const single = (value) => (Array.isArray(value) ? value[0] : value);
+
+  for (const field of ['actor_user_id', 'resource_id', 'action', 'resource']) {
+    const value = single(query[field]);
+    if (value === undefined || value === '') continue;
+    if (typeof value !== 'string') {
+      return { error: `${field} must be a string.` };
+    }
+    if (field === 'actor_user_id') {
+      const parsed = Number(value);
+      if (!Number.isInteger(parsed) || parsed <= 0) {
+        return { error: 'actor_user_id must be a positive integer.' };
+      }
+      filters.actorUserId = parsed;
+    } else if (field === 'resource_id') {
+      filters.resourceId = value.trim();
+    } else {
+      filters[field] = value.trim().toLowerCase();
+    }
+  }
+
+  for (const field of ['from', 'to']) {
+    const value = single(query[field]);
+    if (value === undefined || value === '') continue;
+    const parsed = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(parsed.getTime())) {
+      return { error: `${field} must be an ISO 8601 timestamp.` };
+    }
+    filters[field] = parsed;
+  }
+
+  const limit = single(query.limit) === undefined ? AUDIT_PAGE_SIZE : Number(single(query.limit));
+  const offset = single(query.offset) === undefined ? 0 : Number(single(query.offset));
+  if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${AUDIT_MAX_PAGE_SIZE}.` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a non-negative integer.' };
+  }
+  return { filters, limit, offset };
+}
+
+/**
+ * Newest entries first. Returns `{ entries, total }`.
+ */
+async function listAuditEntries({ filters = {}, limit = AUDIT_PAGE_SIZE, offset = 0 } = {}) {
+  const params = [
+    filters.actorUserId ?? null,
+    filters.action ?? null,
+    filters.resource ?? null,
+    filters.resourceId ?? null,
+    filters.from ?? null,
+    filters.to ?? null,
+  ];
+  const where = `
+    WHERE ($1::int IS NULL OR actor_user_id = $1)
+      AND ($2::text IS NULL OR action = $2)
+      AND ($3::text IS NULL OR resource = $3)
+      AND ($4::text IS NULL OR resource_id = $4)
+      AND ($5::timestamptz IS NULL OR created_at >= $5)
+      AND ($6::timestamptz IS NULL OR created_at < $6)
+  `;
+  const { rows } = await pool.query(
+    `
+      SELECT ${AUDIT_COLUMNS}, COUNT(*) OVER () AS total_count
+      FROM in_kind_tracker.audit_log
+      ${where}
+      ORDER BY created_at DESC, audit_id DESC
+      LIMIT $7 OFFSET $8
+    `,
+    [...params, limit, offset],
+  );
+  let total = rows.length ? Number(rows[0].total_count) : 0;
+  if (rows.length === 0 && offset > 0) {
+    const { rows: countRows } = await pool.query(
+      `SELECT COUNT(*) AS total_count FROM in_kind_tracker.audit_log ${where}`,
+      params,
+    );
+    total = Number(countRows[0]?.total_count ?? 0);
+  }
+  const entries = rows.map(({ total_count: _total, ...entry }) => entry);
+  return { entries, total };
+}
+
+export {
+  AUDIT_PAGE_SIZE,
+  AUDIT_MAX_PAGE_SIZE,
+  recordAudit,
+  parseAuditQuery,
+  listAuditEntries,
+};
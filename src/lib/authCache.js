@@ -0,0 +1,251 @@
+import { randomUUID } from 'node:crypto';
+import { pool } from '../db.js';
+import { hashToken } from './tokens.js';
+
+// 0 disables caching; every request then goes to the database.
+const AUTH_CACHE_TTL_SECONDS = Number(process.env.AUTH_CACHE_TTL_SECONDS ?? 30);
+const AUTH_CACHE_MAX_ENTRIES = Number(process.env.AUTH_CACHE_MAX_ENTRIES || 10000);
+const AUTH_CACHE_CHANNEL = process.env.AUTH_CACHE_CHANNEL || 'auth_cache_invalidation';
+const LISTEN_RETRY_SECONDS = 5;
+
+// Lets a shared backend skip the notifications this process sent itself.
+const INSTANCE_ID = randomUUID();
+
+/**
+ * Small TTL map. The oldest entry is dropped once `maxEntries` is reached.
+ */
+function createTtlCache({ ttlSeconds, maxEntries, now = () => Date.now() }) {
+  const entries = new Map();
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set(key, value) {
+      if (!(ttlSeconds > 0)) return;
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { value, expiresAt: now() + ttlSeconds * 1000 });
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    deleteWhere(predicate) {
+      for (const [key, entry] of entries) {
+        if (predicate(entry.value)) entries.delete(key);
+      }
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+const cacheOptions = { ttlSeconds: AUTH_CACHE_TTL_SECONDS, maxEntries: AUTH_CACHE_MAX_ENTRIES };
+// user_id -> permission names
+const permissionCache = createTtlCache(cacheOptions);
+// hashed session id -> active lookupSession result
+const sessionCache = createTtlCache(cacheOptions);
+
+/**
+ * Single-process backend: invalidations only affect this process.
+ */
+function createLocalCacheBackend() {
+  return {
+    name: 'local',
+    async publish() {},
+    async subscribe() {},
+    async close() {},
+  };
+}
+
+/**
+ * Shares invalidations between API instances with Postgres LISTEN/NOTIFY.
+ * One pooled connection is held for LISTEN. While it is down, and after a
+ * reconnect, the local caches are cleared because notifications may have
+ * been missed.
+ */
+function createPostgresCacheBackend({ channel = AUTH_CACHE_CHANNEL, db = pool } = {}) {
+  if (!/^[a-z_][a-z0-9_]*$/i.test(channel)) {
+    throw new Error(`Invalid AUTH_CACHE_CHANNEL: ${channel}`);
+  }
+  let listener = null;
+  let closed = false;
+
+  const backend = {
+    name: 'postgres',
+    async publish(message) {
+      await db.query('SELECT pg_notify($1, $2)', [channel, JSON.stringify(message)]);
+    },
+    async subscribe(onMessage) {
+      closed = false;
+      const client = await db.connect();
+      client.on('notification', (notification) => {
+        if (notification.channel !== channel) return;
+        try {
+          onMessage(JSON.parse(notification.payload));
+        } catch (err) {
+          console.error('[AuthCache] Ignoring malformed invalidation:', err?.message || err);
+        }
+      });
+      client.on('error', (err) => {
+        console.error('[AuthCache] LISTEN connection failed:', err?.message || err);
+        onMessage({ scope: 'all' });
+        if (listener === client) {
+          listener = null;
+          client.release(err);
+        }
+        if (!closed) {
+          setTimeout(() => {
+            backend.subscribe(onMessage).catch((retryErr) => {
+              console.error('[AuthCache] Failed to re-subscribe:', retryErr?.message || retryErr);
+            });
+          }, LISTEN_RETRY_SECONDS * 1000).unref();
+        }
+      });
+      try {
+        await client.query(`LISTEN ${channel}`);
+      } catch (err) {
+        // Not yet the listener, so the error handler above will not release it.
+        client.release(err);
+        throw err;
+      }
+      listener = client;
+      onMessage({ scope: 'all' });
+    },
+    async close() {
+      closed = true;
+      if (listener) {
+        const client = listener;
+        listener = null;
+        await client.query(`UNLISTEN ${channel}`).catch(() => {});
+        client.release();
+      }
+    },
+  };
+  return backend;
+}
+
+let backend = createLocalCacheBackend();
+
+function applyInvalidation({ scope, userId = null, sessionKey = null }) {
+  if (scope === 'user') {
+    permissionCache.delete(String(userId));
+    sessionCache.deleteWhere((session) => (
+      String(session.user?.user_id) === String(userId)
+      || String(session.impersonator?.user_id) === String(userId)
+    ));
+  } else if (scope === 'session') {
+    sessionCache.delete(sessionKey);
+  } else {
+    permissionCache.clear();
+    sessionCache.clear();
+  }
+}
+
+function broadcast(message) {
+  applyInvalidation(message);
+  backend.publish({ ...message, origin: INSTANCE_ID }).catch((err) => {
+    console.error('[AuthCache] Failed to publish invalidation:', err?.message || err);
+  });
+}
+
+/**
+ * Picks the backend from AUTH_CACHE_BACKEND (`local` or `postgres`) unless
+ * one is passed in, and starts listening for other instances' invalidations.
+ */
+async function startAuthCache(custom = null) {
+  const name = (process.env.AUTH_CACHE_BACKEND || 'local').toLowerCase();
+  let next = custom;
+  if (!next) {
+    if (name === 'postgres') {
+      next = createPostgresCacheBackend();
+    } else if (name === 'local') {
+      next = createLocalCacheBackend();
+    } else {
+      throw new Error(`Unknown AUTH_CACHE_BACKEND: ${name}`);
+    }
+  }
+  await backend.close();
+  backend = next;
+  await backend.subscribe((message) => {
+    if (message?.origin !== INSTANCE_ID) {
+      applyInvalidation(message);
+    }
+  });
+  return backend;
+}
+
+async function stopAuthCache() {
+  await backend.close();
+  backend = createLocalCacheBackend();
+}
+
+async function cachedUserPermissions(userId, load) {
+  const key = String(userId);
+  const cached = permissionCache.get(key);
+  if (cached) {
+    return cached;
+  }
+  const permissions = await load();
+  permissionCache.set(key, permissions);
+  return permissions;
+}
+
+/**
+ * Only active sessions are cached, and never past their own expiry.
+ */
+async function cachedSession(sessionId, load) {
+  const key = hashToken(sessionId);
+  const cached = sessionCache.get(key);
+  if (cached && !(cached.expiresAt && new Date(cached.expiresAt) <= new Date())) {
+    return cached;
+  }
+  const session = await load();
+  if (session?.status === 'active') {
+    sessionCache.set(key, session);
+  } else {
+    sessionCache.delete(key);
+  }
+  return session;
+}
+
+function invalidateUser(userId) {
+  if (userId === null || userId === undefined) return;
+  broadcast({ scope: 'user', userId: String(userId) });
+}
+
+function invalidateSession(sessionId) {
+  if (!sessionId) return;
+  broadcast({ scope: 'session', sessionKey: hashToken(sessionId) });
+}
+
+/**
+ * For changes that can affect many users at once, such as role edits.
+ */
+function invalidateAllAuthCache() {
+  broadcast({ scope: 'all' });
+}
+
+export {
+  createTtlCache,
+  createLocalCacheBackend,
+  createPostgresCacheBackend,
+  startAuthCache,
+  stopAuthCache,
+  cachedUserPermissions,
+  cachedSession,
+  invalidateUser,
+  invalidateSession,
+  invalidateAllAuthCache,
+};
@@ -0,0 +1,110 @@
+import {
+  getUserPermissions,
+  getLocationScope,
+  locationIdsWithPermission,
+} from '../middleware/authorization.js';
+
+/**
+ * Which response fields each resource shows to whom. `fields` maps a field to
+ * the permission needed to see it; `null` means anyone allowed to read the
+ * resource. Fields not listed need `unlisted`, so columns added to a table
+ * later stay hidden until they are classified here. Resources with
+ * `scopeField` are location-scoped: a permission granted only at some
+ * locations reveals the field on those rows.
+ */
+const FIELD_POLICIES = {
+  user: {
+    unlisted: 'manage users',
+    fields: {
+      user_id: null,
+      username: null,
+      name: null,
+      profile_image_url: null,
+      is_service_account: null,
+      role_id: null,
+      role_name: null,
+      role: null,
+      app_role: null,
+      default_route: null,
+      roles: null,
+      created_at: null,
+      status: 'manage users',
+      last_login_at: 'manage users',
+      password_changed_at: 'manage users',
+      totp_enabled_at: 'manage users',
+    },
+  },
+  location: {
+    scopeField: 'location_id',
+    unlisted: 'manage locations',
+    fields: {
+      location_id: null,
+      name: null,
+      created_at: null,
+      archived_at: null,
+      archived_by: 'manage locations',
+      notes: 'manage locations',
+    },
+  },
+};
+
+function requiredPermission(policy, field) {
+  return Object.prototype.hasOwnProperty.call(policy.fields, field)
+    ? policy.fields[field]
+    : policy.unlisted;
+}
+
+/**
+ * Resolves the caller's permissions once and returns a function that strips
+ * the fields they may not see from one row. Location grants only count when
+ * the router was mounted with `scope: 'location'`.
+ */
+async function createFieldFilter(req, resource) {
+  const policy = FIELD_POLICIES[resource];
+  if (!policy) {
+    throw new Error(`No field policy for resource: ${resource}`);
+  }
+  const permissions = await getUserPermissions(req);
+  const scope = policy.scopeField && req.locationAccess ? await getLocationScope(req) : null;
+
+  const holds = (permission, row) => {
+    if (permission === null || permissions.has(permission)) {
+      return true;
+    }
+    if (!scope) {
+      return false;
+    }
+    const locationIds = locationIdsWithPermission(scope, [permission]);
+    return locationIds === null || locationIds.includes(Number(row[policy.scopeField]));
+  };
+
+  return (row) => {
+    if (!row) return row;
+    return Object.fromEntries(
+      Object.entries(row).filter(([field]) => holds(requiredPermission(policy, field), row)),
+    );
+  };
+}
+
+/**
+ * Applies the resource's field policy to a row or an array of rows.
+ */
+async function applyFieldPolicy(req, resource, rowOrRows) {
+  const filter = await createFieldFilter(req, resource);
+  return Array.isArray(rowOrRows) ? rowOrRows.map(filter) : filter(rowOrRows);
+}
+
+/**
+ * The given fields the caller cannot see on every row of the resource.
+ * Per-location grants do not count, since the answer covers all rows.
+ */
+async function fieldsHiddenFrom(req, resource, fields) {
+  const policy = FIELD_POLICIES[resource];
+  const permissions = await getUserPermissions(req);
+  return Array.from(new Set(fields)).filter((field) => {
+    const permission = requiredPermission(policy, field);
+    return permission !== null && !permissions.has(permission);
+  });
+}
+
+export { FIELD_POLICIES, createFieldFilter, applyFieldPolicy, fieldsHiddenFrom };
@@ -0,0 +1,210 @@
+import { fieldsHiddenFrom } from './fieldPolicies.js';
+
+const LIST_PAGE_SIZE = 100;
+const LIST_MAX_PAGE_SIZE = 500;
+
+/**
+ * Converts one filter value. Returns `{ value }` or `{ error }`.
+ */
+const FILTER_PARSERS = {
+  int(raw, key) {
+    const value = Number(raw);
+    return Number.isInteger(value) && value > 0 ? { value } : { error: `${key} must be a positive integer.` };
+  },
+  boolean(raw, key) {
+    const normalized = raw.trim().toLowerCase();
+    if (normalized !== 'true' && normalized !== 'false') {
+      return { error: `${key} must be true or false.` };
+    }
+    return { value: normalized === 'true' };
+  },
+  enum(raw, key, filter) {
+    const value = raw.trim().toLowerCase();
+    return filter.values.includes(value)
+      ? { value }
+      : { error: `${key} must be one of: ${filter.values.join(', ')}` };
+  },
+  timestamp(raw, key) {
+    const value = new Date(raw);
+    return Number.isNaN(value.getTime()) ? { error: `${key} must be an ISO 8601 timestamp.` } : { value };
+  },
+  // Case-insensitive substring match; the value is bound as an ILIKE pattern.
+  contains(raw, key) {
+    const value = raw.trim();
+    if (!value) {
+      return { error: `${key} must not be empty.` };
+    }
+    return { value: `%${value.replace(/[\\%_]/g, (char) => `\\${char}`)}%` };
+  },
+};
+
+function single(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Parses `limit`, `offset`, `sort` and the whitelisted filters of a list
+ * endpoint. `spec` describes the endpoint:
+ *
+ * - `sort`: sortable field → column of the listed rows
+ * - `defaultSort`: used when `sort` is omitted, e.g. `'-created_at'`
+ * - `tieBreaker`: unique column appended to every ORDER BY so pages are stable
+ * - `filters`: parameter → `{ type, sql(param), field? }`, where `sql` returns
+ *   a condition on the `page` alias and `field` names the response field the
+ *   filter reveals (defaults to the parameter name)
+ * - `archivable`: rows with `archived_at` set are left out unless
+ *   `include_archived=true`
+ *
+ * Returns `{ limit, offset, sort, filters, includeArchived }` or `{ error }`.
+ * Unknown parameters are ignored.
+ */
+function parseListQuery(query = {}, spec) {
+  const rawLimit = single(query.limit);
+  const rawOffset = single(query.offset);
+  const limit = rawLimit === undefined ? LIST_PAGE_SIZE : Number(rawLimit);
+  const offset = rawOffset === undefined ? 0 : Number(rawOffset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > LIST_MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${LIST_MAX_PAGE_SIZE}.` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a non-negative integer.' };
+  }
+
+  const rawSort = single(query.sort);
+  const sortTerms = String(rawSort === undefined || rawSort === '' ? spec.defaultSort : rawSort)
+    .split(',')
+    .map((term) => term.trim())
+    .filter(Boolean);
+  const sort = [];
+  for (const term of sortTerms) {
+    const descending = term.startsWith('-');
+    const field = descending ? term.slice(1) : term;
+    if (!Object.prototype.hasOwnProperty.call(spec.sort, field)) {
+      return { error: `Cannot sort by "${field}". Sortable fields: ${Object.keys(spec.sort).join(', ')}.` };
+    }
+    if (!sort.some((entry) => entry.field === field)) {
+      sort.push({ field, descending });
+    }
+  }
+
+  const filters = [];
+  for (const [key, filter] of Object.entries(spec.filters ?? {})) {
+    const raw = single(query[key]);
+    if (raw === undefined || raw === '') continue;
+    if (typeof raw !== 'string') {
+      return { error: `${key} must be a string.` };
+    }
+    const parsed = FILTER_PARSERS[filter.type](raw, key, filter);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    filters.push({ key, value: parsed.value });
+  }
+
+  let includeArchived = false;
+  const rawIncludeArchived = single(query.include_archived);
+  if (spec.archivable && rawIncludeArchived !== undefined && rawIncludeArchived !== '') {
+    const parsed = FILTER_PARSERS.boolean(String(rawIncludeArchived), 'include_archived');
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    includeArchived = parsed.value;
+  }
+
+  return { limit, offset, sort, filters, includeArchived };
+}
+
+/**
+ * Parses the list query and refuses sorting or filtering by fields the
+ * caller cannot see under the resource's field policy, so e.g.
+ * `?status=inactive` does not reveal hidden statuses. Returns the parsed
+ * query or `{ error }`.
+ */
+async function parseListRequest(req, spec) {
+  const parsed = parseListQuery(req.query, spec);
+  if (parsed.error || !spec.resource) {
+    return parsed;
+  }
+  const used = [
+    ...parsed.sort.map(({ field }) => field),
+    ...parsed.filters.map(({ key }) => spec.filters[key].field ?? key),
+  ];
+  const hidden = await fieldsHiddenFrom(req, spec.resource, used);
+  if (hidden.length > 0) {
+    return { error: `You cannot sort or filter by: ${hidden.join(', ')}.` };
+  }
+  return parsed;
+}
+
+/**
+ * Runs one page of `sql` (a SELECT without ORDER BY or LIMIT) with the
+ * parsed filters and sort applied to its rows. Returns `{ rows, total }`.
+ */
+async function queryListPage(db, { sql, params = [], spec, list }) {
+  const values = [...params];
+  const conditions = list.filters.map(({ key, value }) => {
+    values.push(value);
+    return spec.filters[key].sql(`$${values.length}`);
+  });
+  if (spec.archivable && !list.includeArchived) {
+    conditions.push('page.archived_at IS NULL');
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const orderBy = [
+    ...list.sort.map(({ field, descending }) => `${spec.sort[field]} ${descending ? 'DESC' : 'ASC'} NULLS LAST`),
+    `${spec.tieBreaker} ${list.sort[0]?.descending ? 'DESC' : 'ASC'}`,
+  ].join(', ');
+
+  const { rows } = await db.query(
+    `
+      SELECT page.*, COUNT(*) OVER () AS total_count
+      FROM (${sql}) page
+      ${where}
+      ORDER BY ${orderBy}
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `,
+    [...values, list.limit, list.offset],
+  );
+  let total = rows.length ? Number(rows[0].total_count) : 0;
+  if (rows.length === 0 && list.offset > 0) {
+    const { rows: countRows } = await db.query(
+      `SELECT COUNT(*) AS total_count FROM (${sql}) page ${where}`,
+      values,
+    );
+    total = Number(countRows[0]?.total_count ?? 0);
+  }
+  return { rows: rows.map(({ total_count: _total, ...row }) => row), total };
+}
+
+/**
+ * Sets `X-Total-Count` and a `Link` header with `next`/`prev` pages that keep
+ * the request's other query parameters.
+ */
+function setListHeaders(req, res, { total, limit, offset }) {
+  const pageLink = (pageOffset, rel) => {
+    const url = new URL(req.originalUrl, 'http://localhost');
+    url.searchParams.set('limit', String(limit));
+    url.searchParams.set('offset', String(pageOffset));
+    return `<${url.pathname}${url.search}>; rel="${rel}"`;
+  };
+  const links = [];
+  if (offset + limit < total) {
+    links.push(pageLink(offset + limit, 'next'));
+  }
+  if (offset > 0) {
+    links.push(pageLink(Math.max(0, offset - limit), 'prev'));
+  }
+  res.set('X-Total-Count', String(total));
+  if (links.length) {
+    res.set('Link', links.join(', '));
+  }
+}
+
+export {
+  LIST_PAGE_SIZE,
+  LIST_MAX_PAGE_SIZE,
+  parseListQuery,
+  parseListRequest,
+  queryListPage,
+  setListHeaders,
+};
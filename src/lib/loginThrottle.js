@@ -0,0 +1,190 @@
+import { pool } from '../db.js';
+
+const LOGIN_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5);
+const LOGIN_IP_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_IP_LOCKOUT_THRESHOLD || 20);
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+const LOGIN_BACKOFF_BASE_SECONDS = Number(process.env.LOGIN_BACKOFF_BASE_SECONDS || 1);
+const LOGIN_BACKOFF_MAX_SECONDS = Number(process.env.LOGIN_BACKOFF_MAX_SECONDS || 300);
+// Failures older than this no longer count towards backoff or lockout.
+const LOGIN_FAILURE_WINDOW_MINUTES = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 60);
+
+const THRESHOLDS = {
+  account: LOGIN_LOCKOUT_THRESHOLD,
+  ip: LOGIN_IP_LOCKOUT_THRESHOLD,
+};
+
+/**
+ * Counters are keyed by user id when the account exists and by the
+ * submitted username otherwise, so unknown and known usernames are
+ * throttled the same way.
+ */
+function accountThrottleKey({ userId = null, username = null }) {
+  return userId ? `user:${userId}` : `username:${username}`;
+}
+
+/**
+ * Seconds to wait after the `failures`-th consecutive failure: doubling
+ * backoff until the threshold, then the full lockout.
+ */
+function blockSeconds(failures, threshold) {
+  if (failures >= threshold) {
+    return Math.round(LOGIN_LOCKOUT_MINUTES * 60);
+  }
+  return Math.min(LOGIN_BACKOFF_BASE_SECONDS * 2 ** (failures - 1), LOGIN_BACKOFF_MAX_SECONDS);
+}
+
+/**
+ * Returns `{ scope, retryAfterSeconds, locked }` for the longest active block
+ * on the account or IP, or null when the attempt may proceed.
+ */
+async function checkLoginThrottle({ accountKey, ipAddress }, client = pool) {
+  const { rows } = await client.query(
+    `
+      SELECT
+        scope,
+        failures,
+        CEIL(EXTRACT(EPOCH FROM blocked_until - NOW()))::int AS retry_after_seconds
+      FROM in_kind_tracker.login_throttle
+      WHERE ((scope = 'account' AND key = $1) OR (scope = 'ip' AND key = $2))
+        AND blocked_until > NOW()
+      ORDER BY blocked_until DESC
+      LIMIT 1
+    `,
+    [accountKey, ipAddress ?? ''],
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  const { scope, failures, retry_after_seconds } = rows[0];
+  return {
+    scope,
+    retryAfterSeconds: Math.max(1, retry_after_seconds),
+    locked: failures >= THRESHOLDS[scope],
+  };
+}
+
+async function bumpCounter(scope, key, client) {
+  const { rows } = await client.query(
+    `
+      INSERT INTO in_kind_tracker.login_throttle (scope, key, failures, last_failure_at)
+      VALUES ($1, $2, 1, NOW())
+      ON CONFLICT (scope, key) DO UPDATE
+      SET failures = CASE
+            WHEN login_throttle.last_failure_at <= NOW() - make_interval(mins => $3::int) THEN 1
+            ELSE login_throttle.failures + 1
+          END,
+          last_failure_at = NOW()
+      RETURNING failures
+    `,
+    [scope, key, LOGIN_FAILURE_WINDOW_MINUTES],
+  );
+  const failures = rows[0].failures;
+  const seconds = blockSeconds(failures, THRESHOLDS[scope]);
+  await client.query(
+    `
+      UPDATE in_kind_tracker.login_throttle
+      SET blocked_until = NOW() + make_interval(secs => $3::int)
+      WHERE scope = $1 AND key = $2
+    `,
+    [scope, key, seconds],
+  );
+  return { failures, lockedNow: failures === THRESHOLDS[scope] };
+}
+
+async function recordLoginEvent(
+  {
+    eventType,
+    userId = null,
+    identifier = null,
+    ipAddress = null,
+    userAgent = null,
+    actorUserId = null,
+    detail = null,
+  },
+  client = pool,
+) {
+  await client.query(
+    `
+      INSERT INTO in_kind_tracker.login_event
+        (event_type, user_id, identifier, ip_address, user_agent, actor_user_id, detail)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `,
+    [eventType, userId, identifier, ipAddress, userAgent, actorUserId, detail],
+  );
+}
+
+/**
+ * Counts a failed login against both the account and the IP and records
+ * `failed` (and, when a threshold is crossed, `locked`) events. Must run
+ * outside the login transaction so a rollback does not undo it.
+ */
+async function recordLoginFailure(
+  { accountKey, userId, identifier, ipAddress, userAgent, reason },
+  client = pool,
+) {
+  const account = await bumpCounter('account', accountKey, client);
+  const ip = ipAddress ? await bumpCounter('ip', ipAddress, client) : { lockedNow: false };
+
+  const base = { userId, identifier, ipAddress, userAgent };
+  await recordLoginEvent({ ...base, eventType: 'failed', detail: { reason, failures: account.failures } }, client);
+  for (const [scope, counter] of [['account', account], ['ip', ip]]) {
+    if (counter.lockedNow) {
+      await recordLoginEvent(
+        { ...base, eventType: 'locked', detail: { scope, minutes: LOGIN_LOCKOUT_MINUTES } },
+        client,
+      );
+    }
+  }
+}
+
+/**
+ * Successful logins reset the account counter. The IP counter is left to
+ * decay so one valid account cannot be used to mask spraying from an IP.
+ */
+async function clearAccountFailures(accountKey, client = pool) {
+  await client.query(
+    "DELETE FROM in_kind_tracker.login_throttle WHERE scope = 'account' AND key = $1",
+    [accountKey],
+  );
+}
+
+/**
+ * Admin unlock. Returns true when the account had a counter to clear.
+ */
+async function unlockAccount(userId, { actorUserId = null, username = null } = {}, client = pool) {
+  const keys = [accountThrottleKey({ userId })];
+  if (username) {
+    keys.push(accountThrottleKey({ username }));
+  }
+  const { rowCount } = await client.query(
+    "DELETE FROM in_kind_tracker.login_throttle WHERE scope = 'account' AND key = ANY($1::text[])",
+    [keys],
+  );
+  await recordLoginEvent({ eventType: 'unlocked', userId, actorUserId }, client);
+  return rowCount > 0;
+}
+
+async function listLoginEvents(userId, { limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `
+      SELECT login_event_id, event_type, identifier, ip_address, user_agent, actor_user_id, detail, created_at
+      FROM in_kind_tracker.login_event
+      WHERE user_id = $1
+      ORDER BY created_at DESC, login_event_id DESC
+      LIMIT $2
+    `,
+    [userId, limit],
+  );
+  return rows;
+}
+
+export {
+  accountThrottleKey,
+  blockSeconds,
+  checkLoginThrottle,
+  recordLoginEvent,
+  recordLoginFailure,
+  clearAccountFailures,
+  unlockAccount,
+  listLoginEvents,
+};
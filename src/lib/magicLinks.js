@@ -0,0 +1,78 @@
+import { pool } from '../db.js';
+import { generateToken, hashToken } from './tokens.js';
+
+const MAGIC_LINK_TTL_MINUTES = Number(process.env.MAGIC_LINK_TTL_MINUTES || 15);
+const MAGIC_LINK_COOLDOWN_SECONDS = Number(process.env.MAGIC_LINK_COOLDOWN_SECONDS || 60);
+
+function getMagicLinkConfig() {
+  return {
+    enabled: process.env.MAGIC_LINK_ENABLED === 'true',
+    url: process.env.MAGIC_LINK_URL || 'http://localhost:5173/magic-link',
+    ttlMinutes: MAGIC_LINK_TTL_MINUTES,
+  };
+}
+
+function buildMagicLinkUrl(base, token) {
+  const separator = base.includes('?') ? '&' : '?';
+  return `${base}${separator}token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Stores a new sign-in token for the user and returns its plaintext, or null
+ * when one was already issued within MAGIC_LINK_COOLDOWN_SECONDS. Older
+ * unused links stop working once a new one is issued.
+ */
+async function issueMagicLink(userId, { ipAddress = null } = {}) {
+  const token = generateToken();
+  const tokenHash = hashToken(token);
+  const { rowCount } = await pool.query(
+    `
+      INSERT INTO in_kind_tracker.magic_link_token (token_hash, user_id, expires_at, requested_ip)
+      SELECT $1, $2, NOW() + make_interval(mins => $3::int), $4
+      WHERE NOT EXISTS (
+        SELECT 1
+        FROM in_kind_tracker.magic_link_token
+        WHERE user_id = $2
+          AND created_at > NOW() - make_interval(secs => $5::int)
+      )
+    `,
+    [tokenHash, userId, MAGIC_LINK_TTL_MINUTES, ipAddress, MAGIC_LINK_COOLDOWN_SECONDS],
+  );
+  if (rowCount === 0) {
+    return null;
+  }
+  await pool.query(
+    `
+      DELETE FROM in_kind_tracker.magic_link_token
+      WHERE user_id = $1
+        AND token_hash <> $2
+        AND (used_at IS NULL OR expires_at <= NOW())
+    `,
+    [userId, tokenHash],
+  );
+  return token;
+}
+
+/**
+ * Burns a sign-in token. Returns its user id, or null when the token is
+ * unknown, expired or already used.
+ */
+async function consumeMagicLink(token, client = pool) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  const { rows } = await client.query(
+    `
+      UPDATE in_kind_tracker.magic_link_token
+      SET used_at = NOW()
+      WHERE token_hash = $1
+        AND used_at IS NULL
+        AND expires_at > NOW()
+      RETURNING user_id
+    `,
+    [hashToken(token)],
+  );
+  return rows[0]?.user_id ?? null;
+}
+
+export { getMagicLinkConfig, buildMagicLinkUrl, issueMagicLink, consumeMagicLink };
@@ -0,0 +1,298 @@
+import { randomBytes } from 'node:crypto';
+import { mkdir, writeFile } from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import tls from 'node:tls';
+
+const SMTP_TIMEOUT_MS = 15000;
+
+/**
+ * Mail settings come from the environment. MAIL_TRANSPORT picks the
+ * transport: `smtp`, `file` (writes .eml files) or `console` (the default).
+ */
+function getMailConfig() {
+  return {
+    transport: (process.env.MAIL_TRANSPORT || 'console').toLowerCase(),
+    transportConfigured: Boolean(process.env.MAIL_TRANSPORT?.trim()),
+    from: process.env.MAIL_FROM || 'Practice Pulse <no-reply@localhost>',
+    fileDir: process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'practice-pulse-mail'),
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT || 1025),
+      secure: process.env.SMTP_SECURE === 'true',
+      startTls: process.env.SMTP_STARTTLS !== 'false',
+      requireTls: process.env.MAIL_SMTP_REQUIRE_TLS !== 'false',
+      user: process.env.SMTP_USER || '',
+      pass: process.env.SMTP_PASS || '',
+      clientName: process.env.SMTP_CLIENT_NAME || os.hostname(),
+    },
+  };
+}
+
+function encodeHeader(value) {
+  const text = String(value ?? '');
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function extractAddress(value) {
+  const match = /<([^>]+)>/.exec(String(value));
+  return (match ? match[1] : String(value)).trim();
+}
+
+function base64Lines(text) {
+  return Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Renders a message as RFC 5322 text with CRLF line endings. Bodies are
+ * base64 encoded so no line can be mistaken for the SMTP end-of-data marker.
+ */
+function buildMimeMessage({ from, to, subject, text, html = null, date = new Date() }) {
+  const domain = extractAddress(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${randomBytes(12).toString('hex')}@${domain}>`,
+    'MIME-Version: 1.0',
+  ];
+  const part = (contentType, body) => [
+    `Content-Type: ${contentType}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(body),
+  ].join('\r\n');
+
+  if (!html) {
+    return `${headers.join('\r\n')}\r\n${part('text/plain', text)}`;
+  }
+  const boundary = `pp-${randomBytes(12).toString('hex')}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    part('text/plain', text),
+    `--${boundary}`,
+    part('text/html', html),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+}
+
+/**
+ * Reads SMTP replies (including multi-line `250-` continuations) from a
+ * socket. `next()` resolves with `{ code, lines }` for the next full reply.
+ */
+function createReplyReader(socket) {
+  let buffer = '';
+  let current = [];
+  const replies = [];
+  const waiters = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiters.length > 0 && (replies.length > 0 || failure)) {
+      const waiter = waiters.shift();
+      if (replies.length > 0) {
+        waiter.resolve(replies.shift());
+      } else {
+        waiter.reject(failure);
+      }
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      current.push(line.slice(4));
+      if (line.charAt(3) !== '-') {
+        replies.push({ code: Number(line.slice(0, 3)), lines: current });
+        current = [];
+      }
+    }
+    settle();
+  };
+  const onError = (err) => {
+    failure = err;
+    settle();
+  };
+  const onClose = () => onError(new Error('SMTP connection closed unexpectedly'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next() {
+      return new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+        settle();
+      });
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    },
+  };
+}
+
+function connectSocket({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.once('error', reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.setTimeout(SMTP_TIMEOUT_MS, () => secured.destroy(new Error('SMTP connection timed out')));
+    secured.once('error', reject);
+  });
+}
+
+/**
+ * Minimal SMTP client: EHLO, STARTTLS when offered, AUTH PLAIN when
+ * credentials are configured, then a single message. Unless `requireTls` is
+ * false, credentials are only sent over TLS (implicit or STARTTLS).
+ */
+function createSmtpTransport(options) {
+  return {
+    name: 'smtp',
+    async send(message) {
+      let socket = await connectSocket(options);
+      let reader = createReplyReader(socket);
+      let encrypted = Boolean(options.secure);
+
+      const expect = async (codes, context) => {
+        const reply = await reader.next();
+        if (!codes.includes(reply.code)) {
+          throw new Error(`SMTP ${context} failed with ${reply.code}: ${reply.lines.join(' ')}`);
+        }
+        return reply;
+      };
+      const command = (line, codes, context = line.split(' ')[0]) => {
+        socket.write(`${line}\r\n`);
+        return expect(codes, context);
+      };
+
+      try {
+        await expect([220], 'greeting');
+        let ehlo = await command(`EHLO ${options.clientName}`, [250]);
+
+        const offersStartTls = ehlo.lines.some((line) => /^STARTTLS\b/i.test(line));
+        if (!options.secure && options.startTls && offersStartTls) {
+          await command('STARTTLS', [220]);
+          reader.detach();
+          socket = await upgradeToTls(socket, options.host);
+          reader = createReplyReader(socket);
+          encrypted = true;
+          ehlo = await command(`EHLO ${options.clientName}`, [250]);
+        }
+
+        if (options.user && !encrypted && options.requireTls !== false) {
+          throw new Error('SMTP connection is not encrypted; refusing to send credentials (MAIL_SMTP_REQUIRE_TLS)');
+        }
+        if (options.user) {
+          const credentials = Buffer.from(`\u0000${options.user}\u0000${options.pass}`).toString('base64');
+          await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+        }
+
+        await command(`MAIL FROM:<${extractAddress(message.from)}>`, [250]);
+        await command(`RCPT TO:<${extractAddress(message.to)}>`, [250, 251]);
+        await command('DATA', [354]);
+        const data = buildMimeMessage(message).replace(/\r\n\./g, '\r\n..');
+        socket.write(data.endsWith('\r\n') ? data : `${data}\r\n`);
+        await command('.', [250], 'DATA');
+        await command('QUIT', [221]).catch(() => {});
+      } finally {
+        reader.detach();
+        socket.destroy();
+      }
+    },
+  };
+}
+
+function createFileTransport({ dir }) {
+  return {
+    name: 'file',
+    async send(message) {
+      await mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${randomBytes(4).toString('hex')}.eml`);
+      await writeFile(file, buildMimeMessage(message));
+      return { file };
+    },
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send({ from, to, subject, text }) {
+      console.log(`[Mail] From: ${from}\n[Mail] To: ${to}\n[Mail] Subject: ${subject}\n${text}`);
+    },
+  };
+}
+
+let overrideTransport = null;
+
+/**
+ * Tests and embedders can swap in their own `{ send(message) }` transport.
+ * Pass null to go back to the configured one.
+ */
+function setMailTransport(transport) {
+  overrideTransport = transport;
+}
+
+function getMailTransport(config = getMailConfig()) {
+  if (overrideTransport) {
+    return overrideTransport;
+  }
+  switch (config.transport) {
+    case 'smtp':
+      return createSmtpTransport(config.smtp);
+    case 'file':
+      return createFileTransport({ dir: config.fileDir });
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${config.transport}`);
+  }
+}
+
+/**
+ * Throws when `feature` mails secrets such as sign-in links but MAIL_TRANSPORT
+ * is unset, so the default console transport would write them to the logs.
+ */
+function assertMailTransportConfigured(feature, config = getMailConfig()) {
+  if (!overrideTransport && !config.transportConfigured) {
+    throw new Error(`${feature} requires MAIL_TRANSPORT to be set; the default console transport would log the messages`);
+  }
+}
+
+async function sendMail({ to, subject, text, html = null }) {
+  const config = getMailConfig();
+  return getMailTransport(config).send({ from: config.from, to, subject, text, html });
+}
+
+export {
+  getMailConfig,
+  buildMimeMessage,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  setMailTransport,
+  getMailTransport,
+  assertMailTransportConfigured,
+  sendMail,
+};
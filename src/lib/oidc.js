@@ -0,0 +1,204 @@
+import { constants, createHash, createPublicKey, randomBytes, verify as verifySignature } from 'node:crypto';
+
+const DISCOVERY_CACHE_TTL_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+const JWT_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: 'pss' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+};
+
+/**
+ * OIDC settings come from the environment so the same build can point at
+ * Entra ID in production and a mock IdP locally.
+ */
+function getOidcConfig() {
+  const issuer = (process.env.OIDC_ISSUER || '').replace(/\/+$/, '');
+  return {
+    enabled: Boolean(issuer && process.env.OIDC_CLIENT_ID && process.env.OIDC_REDIRECT_URI),
+    issuer,
+    clientId: process.env.OIDC_CLIENT_ID || '',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    redirectUri: process.env.OIDC_REDIRECT_URI || '',
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    emailClaim: process.env.OIDC_EMAIL_CLAIM || 'email',
+    nameClaim: process.env.OIDC_NAME_CLAIM || 'name',
+    jitProvisioning: process.env.OIDC_JIT_PROVISIONING === 'true',
+    jitRoleId: process.env.OIDC_JIT_ROLE_ID ? Number(process.env.OIDC_JIT_ROLE_ID) : null,
+    postLoginRedirect: process.env.OIDC_POST_LOGIN_REDIRECT || '/',
+  };
+}
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+async function fetchJson(url, init) {
+  const response = await fetch(url, init);
+  const text = await response.text();
+  let body;
+  try {
+    body = text ? JSON.parse(text) : {};
+  } catch (_) {
+    throw new Error(`Expected JSON from ${url} (status ${response.status})`);
+  }
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new Error(`Request to ${url} failed with ${response.status}: ${detail}`);
+  }
+  return body;
+}
+
+async function discover(issuer) {
+  const cached = discoveryCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+    throw new Error('OIDC discovery document is missing required endpoints');
+  }
+  discoveryCache.set(issuer, { metadata, expiresAt: Date.now() + DISCOVERY_CACHE_TTL_MS });
+  return metadata;
+}
+
+function createPkcePair() {
+  const verifier = randomBytes(32).toString('base64url');
+  const challenge = createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+async function buildAuthorizationUrl(config, { state, nonce, codeChallenge }) {
+  const metadata = await discover(config.issuer);
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+  return url.toString();
+}
+
+async function exchangeCode(config, { code, codeVerifier }) {
+  const metadata = await discover(config.issuer);
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (config.clientSecret) {
+    form.set('client_secret', config.clientSecret);
+  }
+  return fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', accept: 'application/json' },
+    body: form.toString(),
+  });
+}
+
+async function fetchSigningKey(jwksUri, kid, { refresh = false } = {}) {
+  let keys = jwksCache.get(jwksUri);
+  if (!keys || refresh) {
+    const jwks = await fetchJson(jwksUri);
+    keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+    jwksCache.set(jwksUri, keys);
+  }
+  return keys.find((key) => !kid || key.kid === kid) ?? null;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verifies an ID token's signature against the issuer's JWKS and checks the
+ * standard claims. Returns the claims on success and throws otherwise.
+ */
+async function verifyIdToken(config, idToken, { nonce }) {
+  const segments = String(idToken || '').split('.');
+  if (segments.length !== 3) {
+    throw new Error('ID token is malformed');
+  }
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`Unsupported ID token algorithm: ${header.alg}`);
+  }
+
+  const metadata = await discover(config.issuer);
+  let jwk = await fetchSigningKey(metadata.jwks_uri, header.kid);
+  if (!jwk) {
+    // The IdP may have rotated keys since we cached them.
+    jwk = await fetchSigningKey(metadata.jwks_uri, header.kid, { refresh: true });
+  }
+  if (!jwk) {
+    throw new Error('No matching signing key for ID token');
+  }
+
+  const key = createPublicKey({ key: jwk, format: 'jwk' });
+  const signatureValid = verifySignature(
+    algorithm.hash,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    {
+      key,
+      ...(algorithm.dsaEncoding ? { dsaEncoding: algorithm.dsaEncoding } : {}),
+      ...(algorithm.padding === 'pss' ? { padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 } : {}),
+    },
+    Buffer.from(encodedSignature, 'base64url'),
+  );
+  if (!signatureValid) {
+    throw new Error('ID token signature is invalid');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (String(claims.iss || '').replace(/\/+$/, '') !== config.issuer) {
+    throw new Error('ID token issuer does not match');
+  }
+  if (!audiences.includes(config.clientId)) {
+    throw new Error('ID token audience does not match');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new Error('ID token has expired');
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+  return claims;
+}
+
+/**
+ * Reads a claim by name; dotted names reach into nested objects.
+ */
+function readClaim(claims, name) {
+  return String(name)
+    .split('.')
+    .reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+}
+
+function resetOidcCaches() {
+  discoveryCache.clear();
+  jwksCache.clear();
+}
+
+export {
+  getOidcConfig,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  readClaim,
+  resetOidcCaches,
+};
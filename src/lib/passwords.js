@@ -0,0 +1,126 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+
+const scryptAsync = promisify(scrypt);
+
+const HASH_ALGORITHM = 'scrypt';
+const SCRYPT_COST = 16384;
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELIZATION = 1;
+const SCRYPT_KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+function readIntegerEnv(name, fallback) {
+  const parsed = Number(process.env[name]);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Password policy, configurable through environment variables so each
+ * deployment can tighten it without a code change.
+ */
+function getPasswordPolicy() {
+  return {
+    minLength: readIntegerEnv('PASSWORD_MIN_LENGTH', 12),
+    maxLength: readIntegerEnv('PASSWORD_MAX_LENGTH', 128),
+    requiredCharacterClasses: readIntegerEnv('PASSWORD_REQUIRED_CHARACTER_CLASSES', 0),
+  };
+}
+
+function countCharacterClasses(password) {
+  return [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter((pattern) => pattern.test(password)).length;
+}
+
+/**
+ * Throws an Error describing the first policy rule the password breaks.
+ */
+function validatePassword(password, { username } = {}) {
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new Error('password is required');
+  }
+  const policy = getPasswordPolicy();
+  if (password.length < policy.minLength) {
+    throw new Error(`password must be at least ${policy.minLength} characters long`);
+  }
+  if (policy.maxLength > 0 && password.length > policy.maxLength) {
+    throw new Error(`password must be at most ${policy.maxLength} characters long`);
+  }
+  if (countCharacterClasses(password) < policy.requiredCharacterClasses) {
+    throw new Error(
+      `password must mix at least ${policy.requiredCharacterClasses} of: lowercase, uppercase, digits, symbols`,
+    );
+  }
+  if (username && password.trim().toLowerCase() === String(username).trim().toLowerCase()) {
+    throw new Error('password cannot match the username');
+  }
+  return password;
+}
+
+async function deriveKey(password, salt, { cost, blockSize, parallelization, keyLength }) {
+  return scryptAsync(password, salt, keyLength, {
+    N: cost,
+    r: blockSize,
+    p: parallelization,
+    maxmem: 256 * cost * blockSize,
+  });
+}
+
+/**
+ * Hashes a password with scrypt. The result is self-describing
+ * (`scrypt$N$r$p$salt$hash`) so cost parameters can be raised later
+ * without invalidating existing hashes.
+ */
+async function hashPassword(password) {
+  const salt = randomBytes(SALT_BYTES);
+  const params = {
+    cost: SCRYPT_COST,
+    blockSize: SCRYPT_BLOCK_SIZE,
+    parallelization: SCRYPT_PARALLELIZATION,
+    keyLength: SCRYPT_KEY_LENGTH,
+  };
+  const derived = await deriveKey(password, salt, params);
+  return [
+    HASH_ALGORITHM,
+    params.cost,
+    params.blockSize,
+    params.parallelization,
+    salt.toString('base64'),
+    derived.toString('base64'),
+  ].join('$');
+}
+
+function parseHash(storedHash) {
+  if (typeof storedHash !== 'string') return null;
+  const parts = storedHash.split('$');
+  if (parts.length !== 6 || parts[0] !== HASH_ALGORITHM) return null;
+  const [, cost, blockSize, parallelization, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64');
+  if (expected.length === 0) return null;
+  return {
+    cost: Number(cost),
+    blockSize: Number(blockSize),
+    parallelization: Number(parallelization),
+    keyLength: expected.length,
+    salt: Buffer.from(salt, 'base64'),
+    expected,
+  };
+}
+
+// Used when no stored hash exists so a miss costs as much as a wrong password.
+let dummyHashPromise = null;
+
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || password.length === 0) {
+    return false;
+  }
+  let parsed = parseHash(storedHash);
+  const hasStoredHash = Boolean(parsed);
+  if (!parsed) {
+    dummyHashPromise = dummyHashPromise || hashPassword(randomBytes(SALT_BYTES).toString('hex'));
+    parsed = parseHash(await dummyHashPromise);
+  }
+  const derived = await deriveKey(password, parsed.salt, parsed);
+  return hasStoredHash && timingSafeEqual(derived, parsed.expected);
+}
+
+export { hashPassword, verifyPassword, validatePassword, getPasswordPolicy };
@@ -0,0 +1,141 @@
+import { pool } from '../db.js';
+
+const PERMISSION_SYNC_MODES = ['fail', 'warn', 'insert'];
+
+// Permissions referenced by the mounted route map. Filled in by server.js at
+// startup so the catalog endpoints can refuse to delete them.
+const routePermissions = new Set();
+// `[path, options]` pairs of the mounted route map, for access explanations.
+let guardedRouteMap = [];
+
+function normalizePermissionName(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+/**
+ * Every permission string named in a `requirePermissions` option object,
+ * including the values of its `actions` rules.
+ */
+function permissionsForRoute(options = {}) {
+  const { scope: _scope, actions = {}, ...byMethod } = options;
+  return [...Object.values(byMethod), ...Object.values(actions)]
+    .filter((value) => typeof value === 'string')
+    .map(normalizePermissionName)
+    .filter(Boolean);
+}
+
+/**
+ * Sorted, de-duplicated permissions referenced by `[path, router, options]`
+ * entries like the `guardedRoutes` array in server.js.
+ */
+function collectRoutePermissions(guardedRoutes) {
+  const names = new Set();
+  guardedRoutes.forEach(([, , options]) => {
+    permissionsForRoute(options).forEach((name) => names.add(name));
+  });
+  return Array.from(names).sort();
+}
+
+function registerRoutePermissions(names) {
+  names.forEach((name) => routePermissions.add(normalizePermissionName(name)));
+}
+
+/**
+ * Records the mounted route map (minus the routers) and its permissions.
+ */
+function registerGuardedRoutes(guardedRoutes) {
+  guardedRouteMap = guardedRoutes.map(([path, , options]) => [path, options]);
+  registerRoutePermissions(collectRoutePermissions(guardedRoutes));
+}
+
+function getGuardedRoutes() {
+  return guardedRouteMap;
+}
+
+function isRoutePermission(name) {
+  return routePermissions.has(normalizePermissionName(name));
+}
+
+/**
+ * `names` are normalized (lowercase); stored permissions match regardless of
+ * case, as they do everywhere else.
+ */
+async function findMissingPermissions(names, client = pool) {
+  if (names.length === 0) {
+    return [];
+  }
+  const { rows } = await client.query(
+    `
+      SELECT name AS permission
+      FROM unnest($1::text[]) AS name
+      WHERE NOT EXISTS (
+        SELECT 1 FROM in_kind_tracker.permission p WHERE LOWER(p.permission) = name
+      )
+      ORDER BY name
+    `,
+    [names],
+  );
+  return rows.map((row) => row.permission);
+}
+
+/**
+ * Compares the route map's permissions with the `permission` table.
+ * PERMISSION_SYNC_MODE decides what happens to missing rows: `fail` throws,
+ * `warn` (the default) logs them and `insert` creates them.
+ */
+async function syncRoutePermissions(
+  guardedRoutes,
+  { mode = process.env.PERMISSION_SYNC_MODE || 'warn' } = {},
+  client = pool,
+) {
+  const syncMode = String(mode).toLowerCase();
+  if (!PERMISSION_SYNC_MODES.includes(syncMode)) {
+    throw new Error(`Unknown PERMISSION_SYNC_MODE: ${mode}`);
+  }
+
+  const names = collectRoutePermissions(guardedRoutes);
+  registerRoutePermissions(names);
+
+  const missing = await findMissingPermissions(names, client);
+  if (missing.length === 0) {
+    return { missing, inserted: [] };
+  }
+
+  if (syncMode === 'fail') {
+    throw new Error(`Route permissions missing from the permission table: ${missing.join(', ')}`);
+  }
+
+  if (syncMode === 'warn') {
+    console.warn(`[Permissions] Missing from the permission table: ${missing.join(', ')}`);
+    return { missing, inserted: [] };
+  }
+
+  const { rows } = await client.query(
+    `
+      INSERT INTO in_kind_tracker.permission (permission, description, category)
+      SELECT name, 'Created automatically for the route permission map', 'routes'
+      FROM unnest($1::text[]) AS name
+      WHERE NOT EXISTS (
+        SELECT 1 FROM in_kind_tracker.permission p WHERE LOWER(p.permission) = name
+      )
+      RETURNING permission
+    `,
+    [missing],
+  );
+  const inserted = rows.map((row) => row.permission);
+  console.log(`[Permissions] Inserted missing route permissions: ${inserted.join(', ')}`);
+  return { missing, inserted };
+}
+
+export {
+  PERMISSION_SYNC_MODES,
+  normalizePermissionName,
+  permissionsForRoute,
+  collectRoutePermissions,
+  registerRoutePermissions,
+  registerGuardedRoutes,
+  getGuardedRoutes,
+  isRoutePermission,
+  findMissingPermissions,
+  syncRoutePermissions,
+};
@@ -0,0 +1,77 @@
+import { createHash } from 'node:crypto';
+
+// Resources whose PATCH/DELETE must send If-Match, e.g. "role,user".
+const REQUIRE_IF_MATCH = new Set(
+  (process.env.REQUIRE_IF_MATCH || '')
+    .split(',')
+    .map((resource) => resource.trim().toLowerCase())
+    .filter(Boolean),
+);
+
+// Fields that change without anyone editing the record; they do not count
+// as a modification.
+const ETAG_IGNORED_FIELDS = {
+  user: ['last_login_at'],
+};
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Strong entity tag for a resource snapshot, as loaded from the database
+ * (before any field policy), so every caller sees the same tag.
+ */
+function entityTag(resource, snapshot) {
+  const ignored = ETAG_IGNORED_FIELDS[resource] ?? [];
+  const fields = Object.fromEntries(Object.entries(snapshot).filter(([field]) => !ignored.includes(field)));
+  const digest = createHash('sha256').update(`${resource}:${stableStringify(fields)}`).digest('base64url');
+  return `"${digest.slice(0, 27)}"`;
+}
+
+function setEntityTag(res, resource, snapshot) {
+  res.set('ETag', entityTag(resource, snapshot));
+}
+
+/**
+ * Checks the request's If-Match header against the current snapshot. Run it
+ * inside the transaction, after locking the row and before changing it.
+ * Returns null or a violation for `sendViolation`: 428 when the resource
+ * requires If-Match and it is missing, 412 when no listed tag matches.
+ */
+function checkPrecondition(req, resource, snapshot) {
+  const header = req.get('if-match');
+  if (!header) {
+    if (!REQUIRE_IF_MATCH.has(resource)) {
+      return null;
+    }
+    return {
+      status: 428,
+      code: 'precondition_required',
+      error: 'This resource requires an If-Match header with its current ETag.',
+    };
+  }
+  const current = entityTag(resource, snapshot);
+  // If-Match uses strong comparison, so weak (W/) tags never match.
+  const matches = header.trim() === '*' || header.split(',').map((tag) => tag.trim()).includes(current);
+  if (matches) {
+    return null;
+  }
+  return {
+    status: 412,
+    code: 'precondition_failed',
+    error: 'The resource has changed since it was read. Fetch it again and retry.',
+    etag: current,
+  };
+}
+
+export { REQUIRE_IF_MATCH, entityTag, setEntityTag, checkPrecondition };
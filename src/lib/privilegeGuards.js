@@ -0,0 +1,188 @@
+import { pool } from '../db.js';
+import { USER_ROLES_SQL } from './userRoles.js';
+import { EFFECTIVE_ROLE_PERMISSIONS_SQL } from './roleHierarchy.js';
+import { getUserPermissions } from '../middleware/authorization.js';
+
+// At least one active user must always hold this permission.
+const PROTECTED_PERMISSION = (process.env.PROTECTED_PERMISSION || 'manage users').trim().toLowerCase();
+
+/**
+ * Guards return null when the change is fine, or a violation to pass to
+ * `sendViolation`: `{ status, code, error }` plus optional details.
+ */
+function violation(status, code, error, details = {}) {
+  return { status, code, error, ...details };
+}
+
+function sendViolation(res, { status, ...body }) {
+  return res.status(status).json(body);
+}
+
+/**
+ * Effective (direct and inherited) permission names of the given roles.
+ */
+async function roleEffectivePermissions(roleIds, client = pool) {
+  const ids = roleIds.map(Number).filter((id) => Number.isInteger(id) && id > 0);
+  if (ids.length === 0) {
+    return new Set();
+  }
+  const { rows } = await client.query(
+    `
+      SELECT DISTINCT p.permission
+      FROM (${EFFECTIVE_ROLE_PERMISSIONS_SQL}) rp
+      JOIN in_kind_tracker.permission p ON p.permission_id = rp.permission_id
+      WHERE rp.role_id = ANY($1::int[])
+    `,
+    [ids],
+  );
+  return new Set(rows.map((row) => row.permission.toLowerCase()));
+}
+
+/**
+ * Callers may only hand out permissions they hold themselves (after any API
+ * token scoping).
+ */
+async function checkGrantable(req, permissionNames) {
+  const held = await getUserPermissions(req);
+  const missing = Array.from(new Set(Array.from(permissionNames, (name) => name.toLowerCase())))
+    .filter((name) => !held.has(name))
+    .sort();
+  if (missing.length === 0) {
+    return null;
+  }
+  return violation(
+    403,
+    'permission_escalation',
+    `You cannot grant permissions you do not hold: ${missing.join(', ')}`,
+    { permissions: missing },
+  );
+}
+
+/**
+ * Assigning a role grants all of its effective permissions.
+ */
+async function checkRolesAssignable(req, roleIds, client = pool) {
+  return checkGrantable(req, await roleEffectivePermissions(roleIds, client));
+}
+
+/**
+ * Checks a role edit after it has been applied inside a transaction:
+ * `before` is the role's effective permission set from the same transaction.
+ */
+async function checkRoleGains(req, roleId, before, client) {
+  const after = await roleEffectivePermissions([roleId], client);
+  return checkGrantable(req, Array.from(after).filter((name) => !before.has(name)));
+}
+
+function lastAdminViolation() {
+  return violation(
+    409,
+    'last_admin',
+    `At least one active user must keep the "${PROTECTED_PERMISSION}" permission.`,
+  );
+}
+
+/**
+ * Run inside a transaction after a role change and before COMMIT: fails when
+ * no active user holds PROTECTED_PERMISSION any more.
+ */
+async function checkAdminRemains(client) {
+  const { rows } = await client.query(
+    `
+      SELECT EXISTS (
+        SELECT 1
+        FROM in_kind_tracker.user_account ua
+        JOIN (${USER_ROLES_SQL}) ur ON ur.user_id = ua.user_id
+        JOIN (${EFFECTIVE_ROLE_PERMISSIONS_SQL}) rp ON rp.role_id = ur.role_id
+        JOIN in_kind_tracker.permission p ON p.permission_id = rp.permission_id
+        WHERE ua.status = 'active' AND LOWER(p.permission) = $1
+      ) AS remains
+    `,
+    [PROTECTED_PERMISSION],
+  );
+  return rows[0]?.remains ? null : lastAdminViolation();
+}
+
+/**
+ * Checks a user change before it is written. `roleIds` is the user's full
+ * role set afterwards; `deactivating` means they will no longer be active.
+ */
+async function checkUserKeepsAdmin(userId, { roleIds = null, deactivating = false }, client = pool) {
+  const keeps = !deactivating
+    && (roleIds === null || (await roleEffectivePermissions(roleIds, client)).has(PROTECTED_PERMISSION));
+  if (keeps) {
+    return null;
+  }
+  const { rows } = await client.query(
+    `
+      SELECT EXISTS (
+        SELECT 1
+        FROM in_kind_tracker.user_account ua
+        JOIN (${USER_ROLES_SQL}) ur ON ur.user_id = ua.user_id
+        JOIN (${EFFECTIVE_ROLE_PERMISSIONS_SQL}) rp ON rp.role_id = ur.role_id
+        JOIN in_kind_tracker.permission p ON p.permission_id = rp.permission_id
+        WHERE ua.status = 'active' AND ua.user_id <> $1 AND LOWER(p.permission) = $2
+      ) AS remains
+    `,
+    [userId, PROTECTED_PERMISSION],
+  );
+  return rows[0]?.remains ? null : lastAdminViolation();
+}
+
+/**
+ * Run inside a transaction after a role change: the caller may not lose any
+ * permission they currently hold, e.g. by editing or deleting their own role.
+ */
+async function checkCallerKeepsPermissions(req, client) {
+  const before = await getUserPermissions(req);
+  const { rows } = await client.query(
+    `
+      SELECT DISTINCT p.permission
+      FROM (${USER_ROLES_SQL}) ur
+      JOIN (${EFFECTIVE_ROLE_PERMISSIONS_SQL}) rp ON rp.role_id = ur.role_id
+      JOIN in_kind_tracker.permission p ON p.permission_id = rp.permission_id
+      WHERE ur.user_id = $1
+    `,
+    [req.user.user_id],
+  );
+  const after = new Set(rows.map((row) => row.permission.toLowerCase()));
+  const lost = Array.from(before).filter((name) => !after.has(name)).sort();
+  if (lost.length === 0) {
+    return null;
+  }
+  return violation(
+    403,
+    'self_demotion',
+    `You cannot remove permissions from your own roles: ${lost.join(', ')}`,
+    { permissions: lost },
+  );
+}
+
+/**
+ * Users cannot deactivate themselves or change their own roles.
+ */
+function checkSelfChange(req, userId, { roleChange = false, deactivating = false }) {
+  if (!req.user || Number(req.user.user_id) !== Number(userId)) {
+    return null;
+  }
+  if (deactivating) {
+    return violation(403, 'self_deactivation', 'You cannot deactivate your own account.');
+  }
+  if (roleChange) {
+    return violation(403, 'self_demotion', 'You cannot change your own roles.');
+  }
+  return null;
+}
+
+export {
+  PROTECTED_PERMISSION,
+  sendViolation,
+  roleEffectivePermissions,
+  checkGrantable,
+  checkRolesAssignable,
+  checkRoleGains,
+  checkAdminRemains,
+  checkCallerKeepsPermissions,
+  checkUserKeepsAdmin,
+  checkSelfChange,
+};
@@ -0,0 +1,110 @@
+import { pool } from '../db.js';
+
+/**
+ * Every (role_id, ancestor_role_id, depth) pair: a role is its own ancestor at
+ * depth 0, its parent_role_id at depth 1 and so on. The path check keeps a
+ * cycle that slipped into the data from recursing forever. With `activeOnly`
+ * archived roles are left out and cut the chain above them, as if they had
+ * been deleted.
+ */
+function roleAncestrySql({ activeOnly = false } = {}) {
+  return `
+    WITH RECURSIVE role_tree AS (
+      SELECT base.role_id, base.role_id AS ancestor_role_id, 0 AS depth, ARRAY[base.role_id] AS path
+      FROM in_kind_tracker.role base
+      ${activeOnly ? 'WHERE base.archived_at IS NULL' : ''}
+      UNION ALL
+      SELECT rt.role_id, up.parent_role_id, rt.depth + 1, rt.path || up.parent_role_id
+      FROM role_tree rt
+      JOIN in_kind_tracker.role up ON up.role_id = rt.ancestor_role_id
+      ${activeOnly ? 'JOIN in_kind_tracker.role parent ON parent.role_id = up.parent_role_id AND parent.archived_at IS NULL' : ''}
+      WHERE up.parent_role_id IS NOT NULL
+        AND NOT up.parent_role_id = ANY(rt.path)
+    )
+    SELECT role_id, ancestor_role_id, depth FROM role_tree
+  `;
+}
+
+// All roles, archived or not; used for cycle checks.
+const ROLE_ANCESTRY_SQL = roleAncestrySql();
+
+/**
+ * Drop-in replacement for role_permission that includes inherited grants:
+ * (role_id, permission_id, source_role_id, depth), where source_role_id is
+ * the role the permission is granted on directly. Archived roles grant
+ * nothing, directly or through inheritance.
+ */
+const EFFECTIVE_ROLE_PERMISSIONS_SQL = `
+  SELECT ra.role_id, grant_rp.permission_id, ra.ancestor_role_id AS source_role_id, ra.depth
+  FROM (${roleAncestrySql({ activeOnly: true })}) ra
+  JOIN in_kind_tracker.role_permission grant_rp ON grant_rp.role_id = ra.ancestor_role_id
+`;
+
+/**
+ * Select-list expression producing an `inherited_permissions` JSON array for
+ * the role aliased as `alias`. Each entry names the nearest ancestor that
+ * grants it; permissions the role holds directly are left out.
+ */
+function inheritedPermissionsJsonSql(alias = 'r') {
+  return `
+    COALESCE(
+      (
+        SELECT json_agg(
+          json_build_object(
+            'permission_id', inherited.permission_id,
+            'permission', inherited.permission,
+            'source_role_id', inherited.source_role_id,
+            'source_role_name', inherited.source_role_name
+          )
+          ORDER BY inherited.permission
+        )
+        FROM (
+          SELECT DISTINCT ON (erp.permission_id)
+            erp.permission_id,
+            ip.permission,
+            erp.source_role_id,
+            src.role_name AS source_role_name
+          FROM (${EFFECTIVE_ROLE_PERMISSIONS_SQL}) erp
+          JOIN in_kind_tracker.permission ip ON ip.permission_id = erp.permission_id
+          JOIN in_kind_tracker.role src ON src.role_id = erp.source_role_id
+          WHERE erp.role_id = ${alias}.role_id
+            AND erp.depth > 0
+            AND NOT EXISTS (
+              SELECT 1
+              FROM in_kind_tracker.role_permission direct
+              WHERE direct.role_id = ${alias}.role_id AND direct.permission_id = erp.permission_id
+            )
+          ORDER BY erp.permission_id, erp.depth
+        ) inherited
+      ),
+      '[]'::json
+    ) AS inherited_permissions
+  `;
+}
+
+/**
+ * True when making `parentRoleId` the parent of `roleId` would close a loop,
+ * i.e. `roleId` is already the parent role or one of its ancestors.
+ */
+async function wouldCreateRoleCycle(roleId, parentRoleId, client = pool) {
+  if (Number(roleId) === Number(parentRoleId)) {
+    return true;
+  }
+  const { rows } = await client.query(
+    `
+      SELECT 1
+      FROM (${ROLE_ANCESTRY_SQL}) ra
+      WHERE ra.role_id = $1 AND ra.ancestor_role_id = $2
+      LIMIT 1
+    `,
+    [parentRoleId, roleId],
+  );
+  return rows.length > 0;
+}
+
+export {
+  ROLE_ANCESTRY_SQL,
+  EFFECTIVE_ROLE_PERMISSIONS_SQL,
+  inheritedPermissionsJsonSql,
+  wouldCreateRoleCycle,
+};
@@ -0,0 +1,204 @@
+import { pool } from '../db.js';
+import { getGuardedRoutes } from './permissionCatalog.js';
+import { FIELD_POLICIES } from './fieldPolicies.js';
+import {
+  compilePermissionMap,
+  resolveRequiredPermissions,
+  getUserPermissions,
+  getLocationScope,
+  locationIdsWithPermission,
+} from '../middleware/authorization.js';
+
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGE_SIZE = 50;
+const SEARCH_MIN_LENGTH = 2;
+const SEARCH_MAX_LENGTH = 100;
+
+/**
+ * 4 for an exact match, 3 for a prefix, 2 for the start of a later word and
+ * 1 for any other substring. Uses the patterns bound as $1-$4 by `searchAll`.
+ */
+function matchRankSql(column) {
+  return `
+    CASE
+      WHEN LOWER(${column}) = $1 THEN 4
+      WHEN ${column} ILIKE $2 THEN 3
+      WHEN ${column} ILIKE $3 THEN 2
+      WHEN ${column} ILIKE $4 THEN 1
+      ELSE 0
+    END
+  `;
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+async function searchUsers(params) {
+  const { rows } = await pool.query(
+    `
+      SELECT *
+      FROM (
+        SELECT
+          ua.user_id AS id,
+          COALESCE(NULLIF(ua.name, ''), ua.username) AS title,
+          ua.username AS subtitle,
+          GREATEST(${matchRankSql('ua.username')}, ${matchRankSql('ua.name')}) * 2 AS score
+        FROM in_kind_tracker.user_account ua
+      ) matches
+      WHERE score > 0
+      ORDER BY score DESC, title ASC
+      LIMIT $5
+    `,
+    params,
+  );
+  return rows;
+}
+
+async function searchRoles(params) {
+  const { rows } = await pool.query(
+    `
+      SELECT *
+      FROM (
+        SELECT
+          r.role_id AS id,
+          r.role_name AS title,
+          NULL AS subtitle,
+          ${matchRankSql('r.role_name')} * 2 AS score
+        FROM in_kind_tracker.role r
+        WHERE r.archived_at IS NULL
+      ) matches
+      WHERE score > 0
+      ORDER BY score DESC, title ASC
+      LIMIT $5
+    `,
+    params,
+  );
+  return rows;
+}
+
+/**
+ * `locationIds` limits the rows to the caller's scope and `notesLocationIds`
+ * to those whose notes they may see (null meaning every location), so a
+ * match on hidden notes does not reveal them.
+ */
+async function searchLocations(params, { locationIds, notesLocationIds }) {
+  const { rows } = await pool.query(
+    `
+      SELECT *
+      FROM (
+        SELECT
+          l.location_id AS id,
+          l.name AS title,
+          NULL AS subtitle,
+          GREATEST(
+            ${matchRankSql('l.name')} * 2,
+            CASE
+              WHEN $7::int[] IS NULL OR l.location_id = ANY($7::int[]) THEN ${matchRankSql('l.notes')}
+              ELSE 0
+            END
+          ) AS score
+        FROM in_kind_tracker.location l
+        WHERE l.archived_at IS NULL
+          AND ($6::int[] IS NULL OR l.location_id = ANY($6::int[]))
+      ) matches
+      WHERE score > 0
+      ORDER BY score DESC, title ASC
+      LIMIT $5
+    `,
+    [...params, locationIds, notesLocationIds],
+  );
+  return rows;
+}
+
+// Searchable resources, keyed to the guardedRoutes entry that decides who may read them.
+const SEARCH_SOURCES = [
+  { type: 'user', mount: '/user', search: searchUsers },
+  { type: 'role', mount: '/role', search: searchRoles },
+  { type: 'location', mount: '/location', search: searchLocations },
+];
+
+/**
+ * Whether the caller may `GET` the router mounted at `mount`. Returns null
+ * when they may not (or nothing is mounted there), otherwise the readable
+ * location ids for location-scoped routes (null meaning all of them).
+ */
+async function readAccess(req, mount) {
+  const entry = getGuardedRoutes().find(([path]) => path === mount);
+  if (!entry) {
+    return null;
+  }
+  const compiled = compilePermissionMap(entry[1]);
+  const { permissions: required } = resolveRequiredPermissions(compiled, 'GET', '/');
+  if (compiled.scope === 'location') {
+    const scope = await getLocationScope(req);
+    const locationIds = locationIdsWithPermission(scope, required);
+    if (locationIds !== null && locationIds.length === 0) {
+      return null;
+    }
+    const notesPermission = FIELD_POLICIES.location.fields.notes;
+    return { locationIds, notesLocationIds: locationIdsWithPermission(scope, [notesPermission]) };
+  }
+  const held = await getUserPermissions(req);
+  return required.some((permission) => held.has(permission)) ? { locationIds: null } : null;
+}
+
+/**
+ * Parses the `GET /search` query string. Returns `{ q, limit }` or `{ error }`.
+ */
+function parseSearchQuery(query = {}) {
+  const rawQ = Array.isArray(query.q) ? query.q[0] : query.q;
+  const q = typeof rawQ === 'string' ? rawQ.trim() : '';
+  if (q.length < SEARCH_MIN_LENGTH || q.length > SEARCH_MAX_LENGTH) {
+    return { error: `q must be between ${SEARCH_MIN_LENGTH} and ${SEARCH_MAX_LENGTH} characters.` };
+  }
+  const rawLimit = Array.isArray(query.limit) ? query.limit[0] : query.limit;
+  const limit = rawLimit === undefined ? SEARCH_PAGE_SIZE : Number(rawLimit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${SEARCH_MAX_PAGE_SIZE}.` };
+  }
+  return { q, limit };
+}
+
+/**
+ * Case-insensitive search across every resource type the caller can read,
+ * best matches first. Returns `{ types, results }` where `types` lists the
+ * resource types that were searched.
+ */
+async function searchAll(req, { q, limit }) {
+  const term = escapeLike(q.toLowerCase());
+  const params = [q.toLowerCase(), `${term}%`, `% ${term}%`, `%${term}%`, limit];
+  const types = [];
+  const results = [];
+
+  for (const source of SEARCH_SOURCES) {
+    const access = await readAccess(req, source.mount);
+    if (!access) continue;
+    types.push(source.type);
+    const rows = await source.search(params, access);
+    rows.forEach((row) => {
+      results.push({
+        type: source.type,
+        id: row.id,
+        title: row.title,
+        subtitle: row.subtitle ?? null,
+        url: `${source.mount}/${row.id}`,
+        score: Number(row.score),
+      });
+    });
+  }
+
+  const typeOrder = (type) => SEARCH_SOURCES.findIndex((source) => source.type === type);
+  results.sort((a, b) => b.score - a.score
+    || typeOrder(a.type) - typeOrder(b.type)
+    || String(a.title).localeCompare(String(b.title)));
+  return { types, results: results.slice(0, limit) };
+}
+
+export {
+  SEARCH_PAGE_SIZE,
+  SEARCH_MAX_PAGE_SIZE,
+  SEARCH_SOURCES,
+  parseSearchQuery,
+  searchAll,
+};
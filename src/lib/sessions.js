@@ -0,0 +1,144 @@
+import { pool } from '../db.js';
+import { hashToken } from './tokens.js';
+import { invalidateSession, invalidateUser } from './authCache.js';
+
+const SESSION_MAX_AGE_DAYS = Number(process.env.SESSION_MAX_AGE_DAYS || 7);
+const SESSION_IDLE_TIMEOUT_MINUTES = Number(process.env.SESSION_IDLE_TIMEOUT_MINUTES ?? 120);
+const SESSION_MAX_AGE_SECONDS = Math.round(SESSION_MAX_AGE_DAYS * 24 * 60 * 60);
+// 0 disables the idle timeout; the absolute lifetime always applies.
+const SESSION_IDLE_TIMEOUT_SECONDS = Math.max(0, Math.round(SESSION_IDLE_TIMEOUT_MINUTES * 60));
+
+async function touchSession(sessionId) {
+  await pool.query('UPDATE in_kind_tracker.user_session SET last_seen_at = NOW() WHERE session_id = $1', [sessionId]);
+}
+
+/**
+ * Deletes one session. Returns its user_id, or null when it did not exist.
+ * Callers passing their own transaction `client` must call
+ * invalidateSession after COMMIT; otherwise another instance could reload
+ * and cache the old row before the delete is visible.
+ */
+async function revokeSession(sessionId, client = pool) {
+  const { rows } = await client.query(
+    'DELETE FROM in_kind_tracker.user_session WHERE session_id = $1 RETURNING user_id',
+    [sessionId],
+  );
+  if (client === pool) {
+    invalidateSession(sessionId);
+  }
+  return rows?.[0]?.user_id ?? null;
+}
+
+/**
+ * Deletes every session past its absolute or idle lifetime. Returns the
+ * number of rows removed.
+ */
+async function purgeExpiredSessions() {
+  const sql = `
+    DELETE FROM in_kind_tracker.user_session
+    WHERE created_at <= NOW() - make_interval(secs => $1::int)
+       OR ($2::int > 0 AND COALESCE(last_seen_at, created_at) <= NOW() - make_interval(secs => $2::int))
+  `;
+  const { rowCount } = await pool.query(sql, [SESSION_MAX_AGE_SECONDS, SESSION_IDLE_TIMEOUT_SECONDS]);
+  return rowCount ?? 0;
+}
+
+
+/**
+ * Sessions are listed and revoked by a public id derived from the session
+ * secret, so the cookie value itself is never echoed back to clients.
+ */
+function publicSessionId(sessionId) {
+  return hashToken(sessionId).slice(0, 32);
+}
+
+async function listUserSessions(userId, { currentSessionId } = {}) {
+  const sql = `
+    SELECT
+      session_id,
+      created_at,
+      last_seen_at,
+      user_agent,
+      ip_address,
+      LEAST(
+        created_at + make_interval(secs => $2::int),
+        CASE WHEN $3::int > 0 THEN COALESCE(last_seen_at, created_at) + make_interval(secs => $3::int) END
+      ) AS expires_at
+    FROM in_kind_tracker.user_session
+    WHERE user_id = $1
+      AND created_at > NOW() - make_interval(secs => $2::int)
+      AND ($3::int = 0 OR COALESCE(last_seen_at, created_at) > NOW() - make_interval(secs => $3::int))
+    ORDER BY COALESCE(last_seen_at, created_at) DESC
+  `;
+  const { rows } = await pool.query(sql, [userId, SESSION_MAX_AGE_SECONDS, SESSION_IDLE_TIMEOUT_SECONDS]);
+  return rows.map(({ session_id, ...session }) => ({
+    id: publicSessionId(session_id),
+    ...session,
+    current: session_id === currentSessionId,
+  }));
+}
+
+/**
+ * Revokes one of the user's sessions by its public id. Returns false when no
+ * such session belongs to the user. With a transaction `client`, the caller
+ * invalidates the user's cache entries after COMMIT.
+ */
+async function revokeUserSessionById(userId, publicId, client = pool) {
+  const { rows } = await client.query(
+    'SELECT session_id FROM in_kind_tracker.user_session WHERE user_id = $1',
+    [userId],
+  );
+  const match = rows.find((row) => publicSessionId(row.session_id) === publicId);
+  if (!match) {
+    return false;
+  }
+  await revokeSession(match.session_id, client);
+  return true;
+}
+
+/**
+ * Revokes all of a user's sessions, optionally keeping one (the caller's).
+ * Returns the number of sessions removed. With a transaction `client`, the
+ * caller calls invalidateUser after COMMIT.
+ */
+async function revokeUserSessions(userId, { exceptSessionId = null, client = pool } = {}) {
+  const { rowCount } = await client.query(
+    `
+      DELETE FROM in_kind_tracker.user_session
+      WHERE user_id = $1
+        AND ($2::text IS NULL OR session_id <> $2::text)
+    `,
+    [userId, exceptSessionId],
+  );
+  if (client === pool) {
+    invalidateUser(userId);
+  }
+  return rowCount ?? 0;
+}
+
+/**
+ * Ends every impersonation of the user, e.g. when they are deactivated.
+ * The sessions belong to the admins, so revokeUserSessions misses them.
+ * Returns the number of sessions removed; the caller invalidates the user
+ * after COMMIT.
+ */
+async function revokeImpersonationsOf(userId, client = pool) {
+  const { rowCount } = await client.query(
+    'DELETE FROM in_kind_tracker.user_session WHERE impersonated_user_id = $1',
+    [userId],
+  );
+  return rowCount ?? 0;
+}
+
+export {
+  SESSION_MAX_AGE_SECONDS,
+  SESSION_IDLE_TIMEOUT_SECONDS,
+  touchSession,
+  revokeSession,
+  purgeExpiredSessions,
+  publicSessionId,
+  listUserSessions,
+  revokeUserSessionById,
+  revokeUserSessions,
+  revokeImpersonationsOf,
+};
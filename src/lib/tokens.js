@@ -0,0 +1,18 @@
+import { createHash, randomBytes } from 'node:crypto';
+
+/**
+ * Returns a URL-safe random secret suitable for handing to a user once.
+ */
+function generateToken(bytes = 32) {
+  return randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Tokens are stored as SHA-256 digests so a database leak does not expose
+ * usable secrets. They are high-entropy, so a slow KDF is unnecessary.
+ */
+function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+export { generateToken, hashToken };
@@ -0,0 +1,123 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept one step either side of "now" to tolerate clock drift.
+const TOTP_WINDOW = 1;
+const SECRET_BYTES = 20;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateTotpSecret() {
+  return base32Encode(randomBytes(SECRET_BYTES));
+}
+
+function currentTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * RFC 6238 code for the given time step (HMAC-SHA1, 6 digits).
+ */
+function generateTotp(secret, step = currentTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Returns the matching time step, or null. Steps at or before `lastUsedStep`
+ * are rejected so a code cannot be replayed.
+ */
+function verifyTotp(secret, code, { lastUsedStep = null, now = Date.now() } = {}) {
+  const normalized = String(code ?? '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+  const step = currentTimeStep(now);
+  for (let candidate = step - TOTP_WINDOW; candidate <= step + TOTP_WINDOW; candidate += 1) {
+    if (lastUsedStep !== null && lastUsedStep !== undefined && candidate <= Number(lastUsedStep)) {
+      continue;
+    }
+    if (timingSafeEqual(Buffer.from(generateTotp(secret, candidate)), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * One-time recovery codes formatted as `xxxxx-xxxxx` (lowercase base32).
+ */
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = base32Encode(randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code ?? '').trim().toLowerCase().replace(/[\s-]/g, '');
+}
+
+export {
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  currentTimeStep,
+};
@@ -0,0 +1,210 @@
+import { pool } from '../db.js';
+import { generateToken, hashToken } from './tokens.js';
+import { USER_ROLES_SQL } from './userRoles.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} from './totp.js';
+
+const MFA_CHALLENGE_TTL_MINUTES = Number(process.env.MFA_CHALLENGE_TTL_MINUTES || 5);
+const MFA_CHALLENGE_MAX_ATTEMPTS = Number(process.env.MFA_CHALLENGE_MAX_ATTEMPTS || 5);
+
+async function getTwoFactorState(userId, client = pool) {
+  const sql = `
+    SELECT
+      ua.totp_secret,
+      ua.totp_pending_secret,
+      ua.totp_enabled_at,
+      ua.totp_last_used_step,
+      EXISTS (
+        SELECT 1
+        FROM (${USER_ROLES_SQL}) ur
+        JOIN in_kind_tracker.role r ON r.role_id = ur.role_id
+        WHERE ur.user_id = ua.user_id AND r.require_2fa
+      ) AS role_requires_2fa,
+      (
+        SELECT COUNT(*)::int
+        FROM in_kind_tracker.user_recovery_code rc
+        WHERE rc.user_id = ua.user_id AND rc.used_at IS NULL
+      ) AS recovery_codes_remaining
+    FROM in_kind_tracker.user_account ua
+    WHERE ua.user_id = $1
+    LIMIT 1
+  `;
+  const { rows } = await client.query(sql, [userId]);
+  if (rows.length === 0) {
+    return null;
+  }
+  const row = rows[0];
+  return {
+    enabled: Boolean(row.totp_secret && row.totp_enabled_at),
+    required: Boolean(row.role_requires_2fa),
+    enabledAt: row.totp_enabled_at ?? null,
+    secret: row.totp_secret ?? null,
+    pendingSecret: row.totp_pending_secret ?? null,
+    lastUsedStep: row.totp_last_used_step ?? null,
+    recoveryCodesRemaining: row.recovery_codes_remaining ?? 0,
+  };
+}
+
+/**
+ * Stores a fresh pending secret. It only replaces the active secret once
+ * `activateEnrollment` sees a valid code for it.
+ */
+async function beginEnrollment(userId, client = pool) {
+  const secret = generateTotpSecret();
+  await client.query(
+    'UPDATE in_kind_tracker.user_account SET totp_pending_secret = $1 WHERE user_id = $2',
+    [secret, userId],
+  );
+  return secret;
+}
+
+async function replaceRecoveryCodes(userId, client) {
+  const codes = generateRecoveryCodes();
+  await client.query('DELETE FROM in_kind_tracker.user_recovery_code WHERE user_id = $1', [userId]);
+  await client.query(
+    `
+      INSERT INTO in_kind_tracker.user_recovery_code (user_id, code_hash)
+      SELECT $1, unnest($2::text[])
+    `,
+    [userId, codes.map((code) => hashToken(normalizeRecoveryCode(code)))],
+  );
+  return codes;
+}
+
+/**
+ * Confirms the pending secret with a code from the authenticator app and
+ * enables 2FA. Returns the new recovery codes, or null if the code is wrong.
+ */
+async function activateEnrollment(userId, code, state, client = pool) {
+  const step = verifyTotp(state.pendingSecret, code);
+  if (step === null) {
+    return null;
+  }
+  await client.query(
+    `
+      UPDATE in_kind_tracker.user_account
+      SET totp_secret = totp_pending_secret,
+          totp_pending_secret = NULL,
+          totp_enabled_at = NOW(),
+          totp_last_used_step = $1
+      WHERE user_id = $2
+    `,
+    [step, userId],
+  );
+  return replaceRecoveryCodes(userId, client);
+}
+
+/**
+ * Checks a TOTP code or an unused recovery code for a user with 2FA enabled.
+ * Successful codes are burned so they cannot be replayed.
+ */
+async function verifySecondFactor(userId, { code, recoveryCode }, state, client = pool) {
+  if (code) {
+    const step = verifyTotp(state.secret, code, { lastUsedStep: state.lastUsedStep });
+    if (step === null) {
+      return false;
+    }
+    await client.query(
+      'UPDATE in_kind_tracker.user_account SET totp_last_used_step = $1 WHERE user_id = $2',
+      [step, userId],
+    );
+    return true;
+  }
+  if (recoveryCode) {
+    const { rowCount } = await client.query(
+      `
+        UPDATE in_kind_tracker.user_recovery_code
+        SET used_at = NOW()
+        WHERE user_id = $1
+          AND code_hash = $2
+          AND used_at IS NULL
+      `,
+      [userId, hashToken(normalizeRecoveryCode(recoveryCode))],
+    );
+    return rowCount > 0;
+  }
+  return false;
+}
+
+async function resetTwoFactor(userId, client = pool) {
+  const { rowCount } = await client.query(
+    `
+      UPDATE in_kind_tracker.user_account
+      SET totp_secret = NULL,
+          totp_pending_secret = NULL,
+          totp_enabled_at = NULL,
+          totp_last_used_step = NULL
+      WHERE user_id = $1
+    `,
+    [userId],
+  );
+  if (rowCount > 0) {
+    await client.query('DELETE FROM in_kind_tracker.user_recovery_code WHERE user_id = $1', [userId]);
+  }
+  return rowCount > 0;
+}
+
+/**
+ * Issues the short-lived token that links the password step of a login to
+ * its second-factor step.
+ */
+async function createLoginChallenge(userId, client = pool) {
+  const token = generateToken();
+  await client.query(
+    `
+      INSERT INTO in_kind_tracker.login_challenge (challenge_hash, user_id, expires_at)
+      VALUES ($1, $2, NOW() + make_interval(mins => $3::int))
+    `,
+    [hashToken(token), userId, MFA_CHALLENGE_TTL_MINUTES],
+  );
+  return token;
+}
+
+async function findLoginChallenge(token, client = pool) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  const { rows } = await client.query(
+    `
+      SELECT challenge_hash, user_id, attempts
+      FROM in_kind_tracker.login_challenge
+      WHERE challenge_hash = $1
+        AND expires_at > NOW()
+        AND attempts < $2
+      LIMIT 1
+      FOR UPDATE
+    `,
+    [hashToken(token), MFA_CHALLENGE_MAX_ATTEMPTS],
+  );
+  return rows[0] ?? null;
+}
+
+async function recordFailedChallengeAttempt(challenge, client = pool) {
+  await client.query(
+    'UPDATE in_kind_tracker.login_challenge SET attempts = attempts + 1 WHERE challenge_hash = $1',
+    [challenge.challenge_hash],
+  );
+}
+
+async function deleteLoginChallenge(challenge, client = pool) {
+  await client.query(
+    'DELETE FROM in_kind_tracker.login_challenge WHERE challenge_hash = $1 OR expires_at <= NOW()',
+    [challenge.challenge_hash],
+  );
+}
+
+export {
+  getTwoFactorState,
+  beginEnrollment,
+  activateEnrollment,
+  verifySecondFactor,
+  resetTwoFactor,
+  createLoginChallenge,
+  findLoginChallenge,
+  recordFailedChallengeAttempt,
+  deleteLoginChallenge,
+};
@@ -0,0 +1,184 @@
+import { pool } from '../db.js';
+import { invalidateUser } from './authCache.js';
+
+/**
+ * Every (user_id, role_id) pair a user holds right now: the primary role on
+ * user_account.role_id plus any extra roles in user_role whose
+ * `starts_at`/`expires_at` window is open. Use it as a subquery, e.g.
+ * `JOIN (${USER_ROLES_SQL}) ur ON ur.user_id = ua.user_id`.
+ */
+const USER_ROLES_SQL = `
+  SELECT ua_primary.user_id, ua_primary.role_id
+  FROM in_kind_tracker.user_account ua_primary
+  WHERE ua_primary.role_id IS NOT NULL
+  UNION
+  SELECT user_role.user_id, user_role.role_id
+  FROM in_kind_tracker.user_role
+  WHERE (user_role.starts_at IS NULL OR user_role.starts_at <= NOW())
+    AND (user_role.expires_at IS NULL OR user_role.expires_at > NOW())
+`;
+
+const GRANT_STATUS_SQL = `
+  CASE
+    WHEN ur.expires_at IS NOT NULL AND ur.expires_at <= NOW() THEN 'expired'
+    WHEN ur.starts_at IS NOT NULL AND ur.starts_at > NOW() THEN 'scheduled'
+    ELSE 'active'
+  END
+`;
+
+/**
+ * Select-list expression producing a `roles` JSON array for the user_account
+ * aliased as `alias`, primary role first.
+ */
+function userRolesJsonSql(alias = 'ua') {
+  return `
+    COALESCE(
+      (
+        SELECT json_agg(
+          json_build_object(
+            'role_id', rr.role_id,
+            'role_name', rr.role_name,
+            'default_route', rr.default_route,
+            'primary', rr.role_id IS NOT DISTINCT FROM ${alias}.role_id
+          )
+          ORDER BY rr.role_id IS NOT DISTINCT FROM ${alias}.role_id DESC, rr.role_name ASC
+        )
+        FROM (${USER_ROLES_SQL}) held
+        JOIN in_kind_tracker.role rr ON rr.role_id = held.role_id
+        WHERE held.user_id = ${alias}.user_id
+      ),
+      '[]'::json
+    ) AS roles
+  `;
+}
+
+/**
+ * Parses the optional `starts_at`, `expires_at` and `reason` of a role grant.
+ * Throws with a client-facing message when they are invalid.
+ */
+function parseRoleGrant({ starts_at, expires_at, reason } = {}, now = new Date()) {
+  const parseTime = (value, field) => {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const parsed = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(parsed.getTime())) {
+      throw new Error(`${field} must be an ISO 8601 timestamp`);
+    }
+    return parsed;
+  };
+  const startsAt = parseTime(starts_at, 'starts_at');
+  const expiresAt = parseTime(expires_at, 'expires_at');
+  if (expiresAt && expiresAt <= (startsAt ?? now)) {
+    throw new Error('expires_at must be in the future and after starts_at');
+  }
+  if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+    throw new Error('reason must be a string');
+  }
+  return { startsAt, expiresAt, reason: reason?.trim() || null };
+}
+
+/**
+ * Adds an extra role, optionally limited to a `startsAt`/`expiresAt` window.
+ * Granting a role the user already has in user_role replaces its window and
+ * reason. Returns `'inserted'` or `'updated'`, or null when nothing was
+ * written because the role is already the user's primary role.
+ */
+async function addUserRole(userId, roleId, grant = {}, client = pool) {
+  const { startsAt = null, expiresAt = null, reason = null, grantedBy = null } = grant;
+  const { rows } = await client.query(
+    `
+      INSERT INTO in_kind_tracker.user_role (user_id, role_id, starts_at, expires_at, reason, granted_by)
+      SELECT $1, $2, $3, $4, $5, $6
+      WHERE NOT EXISTS (
+        SELECT 1 FROM in_kind_tracker.user_account WHERE user_id = $1 AND role_id = $2
+      )
+      ON CONFLICT (user_id, role_id) DO UPDATE SET
+        starts_at = EXCLUDED.starts_at,
+        expires_at = EXCLUDED.expires_at,
+        reason = EXCLUDED.reason,
+        granted_by = EXCLUDED.granted_by,
+        granted_at = NOW()
+      RETURNING (xmax = 0) AS inserted
+    `,
+    [userId, roleId, startsAt, expiresAt, reason, grantedBy],
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  return rows[0].inserted ? 'inserted' : 'updated';
+}
+
+/**
+ * Every user_role grant of a user with its window, reason and current
+ * `status` (`scheduled`, `active` or `expired`).
+ */
+async function listUserRoleGrants(userId, client = pool) {
+  const { rows } = await client.query(
+    `
+      SELECT
+        ur.role_id,
+        r.role_name,
+        ur.starts_at,
+        ur.expires_at,
+        ur.reason,
+        ur.granted_by,
+        ur.granted_at,
+        ${GRANT_STATUS_SQL} AS status
+      FROM in_kind_tracker.user_role ur
+      JOIN in_kind_tracker.role r ON r.role_id = ur.role_id
+      WHERE ur.user_id = $1
+      ORDER BY ur.starts_at ASC NULLS FIRST, r.role_name ASC
+    `,
+    [userId],
+  );
+  return rows;
+}
+
+/**
+ * Returns a function that finds grants which started or lapsed since its
+ * previous call and drops the cached permissions of those users. The first
+ * call only records the database clock.
+ */
+function createRoleGrantSweeper({ onChange = invalidateUser, client = pool } = {}) {
+  let checkedAt = null;
+  return async function sweepRoleGrants() {
+    const { rows } = await client.query(
+      `
+        SELECT
+          NOW() AS checked_at,
+          COALESCE(
+            array_agg(DISTINCT ur.user_id) FILTER (
+              WHERE (ur.starts_at > $1 AND ur.starts_at <= NOW())
+                 OR (ur.expires_at > $1 AND ur.expires_at <= NOW())
+            ),
+            '{}'
+          ) AS user_ids
+        FROM in_kind_tracker.user_role ur
+      `,
+      [checkedAt],
+    );
+    checkedAt = rows[0].checked_at;
+    const userIds = rows[0].user_ids ?? [];
+    userIds.forEach((userId) => onChange(userId));
+    return userIds;
+  };
+}
+
+async function removeUserRole(userId, roleId, client = pool) {
+  const { rowCount } = await client.query(
+    'DELETE FROM in_kind_tracker.user_role WHERE user_id = $1 AND role_id = $2',
+    [userId, roleId],
+  );
+  return rowCount > 0;
+}
+
+export {
+  USER_ROLES_SQL,
+  userRolesJsonSql,
+  parseRoleGrant,
+  addUserRole,
+  listUserRoleGrants,
+  createRoleGrantSweeper,
+  removeUserRole,
+};
@@ -0,0 +1,122 @@
+import {
+  extractSessionId,
+  extractBearerToken,
+  lookupSession,
+  lookupApiToken,
+  setSessionCookie,
+  clearSessionCookie,
+} from '../routes/auth.js';
+import { touchSession, revokeSession } from '../lib/sessions.js';
+import { touchApiToken } from '../lib/apiTokens.js';
+import { cachedSession } from '../lib/authCache.js';
+
+const AUTH_EXEMPT_PATHS = new Set([
+  '/auth/login',
+  '/auth/login/2fa',
+  '/auth/login/2fa/enroll',
+  '/auth/logout',
+  '/auth/oidc/start',
+  '/auth/oidc/callback',
+  '/auth/magic-link',
+  '/auth/magic-link/verify',
+  '/auth/users',
+  '/auth/password/reset',
+  '/health',
+]);
+
+function isAuthExemptPath(pathname) {
+  if (!pathname) return false;
+  const normalized = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+  if (AUTH_EXEMPT_PATHS.has(normalized)) {
+    return true;
+  }
+  for (const exempt of AUTH_EXEMPT_PATHS) {
+    if (
+      normalized.length > exempt.length &&
+      normalized.endsWith(exempt) &&
+      normalized.charAt(normalized.length - exempt.length - 1) === '/'
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+const updateSessionActivity = async (sessionId) => {
+  try {
+    await touchSession(sessionId);
+  } catch (err) {
+    console.error('Failed to update session activity:', err?.message || err);
+  }
+};
+
+const updateApiTokenActivity = async (tokenId) => {
+  try {
+    await touchApiToken(tokenId);
+  } catch (err) {
+    console.error('Failed to update API token activity:', err?.message || err);
+  }
+};
+
+async function authenticateBearer(token, req, res, next) {
+  const resolved = await lookupApiToken(token);
+  if (!resolved) {
+    return res.status(401).json({ error: 'Invalid or expired API token', code: 'invalid_token' });
+  }
+  req.user = resolved.user;
+  req.apiToken = resolved.apiToken;
+  updateApiTokenActivity(resolved.apiToken.api_token_id);
+  return next();
+}
+
+/**
+ * Global authentication middleware. A `Authorization: Bearer` API token wins
+ * over the cookie and sets `req.apiToken`. Otherwise the session cookie is
+ * resolved into `req.user`/`req.sessionId`, expired sessions are rejected with
+ * a distinct `session_expired` code, and the cookie expiry slides forward.
+ * Impersonation sessions also set `req.impersonator` to the real admin.
+ */
+async function authenticateRequest(req, res, next) {
+  try {
+    if (req.method === 'OPTIONS' || isAuthExemptPath(req.path)) {
+      return next();
+    }
+
+    const bearerToken = extractBearerToken(req);
+    if (bearerToken) {
+      return await authenticateBearer(bearerToken, req, res, next);
+    }
+
+    const sessionId = extractSessionId(req);
+    if (!sessionId) {
+      clearSessionCookie(res);
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const session = await cachedSession(sessionId, () => lookupSession(sessionId));
+    if (!session) {
+      clearSessionCookie(res);
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    if (session.status === 'expired') {
+      await revokeSession(sessionId);
+      clearSessionCookie(res);
+      return res.status(401).json({ error: 'Session expired', code: 'session_expired', reason: session.reason });
+    }
+
+    req.sessionId = sessionId;
+    req.user = session.user;
+    if (session.impersonator) {
+      req.impersonator = session.impersonator;
+    }
+    setSessionCookie(res, sessionId, session.expiresAt);
+    updateSessionActivity(sessionId);
+    return next();
+  } catch (err) {
+    console.error('Error authenticating request:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+}
+
+export { authenticateRequest, isAuthExemptPath };
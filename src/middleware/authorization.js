@@ -1,16 +1,28 @@
 import { pool } from '../db.js';
+import { USER_ROLES_SQL } from '../lib/userRoles.js';
+import { EFFECTIVE_ROLE_PERMISSIONS_SQL } from '../lib/roleHierarchy.js';
+import { cachedUserPermissions } from '../lib/authCache.js';
 
 const READ_METHODS = new Set(['GET', 'HEAD']);
 const USER_PERMISSION_CACHE_KEY = Symbol('userPermissions');
+const LOCATION_SCOPE_CACHE_KEY = Symbol('locationScope');
 
+/**
+ * Union of the effective permissions (direct and inherited from parent roles)
+ * of every role the user holds. Results are shared across requests for
+ * AUTH_CACHE_TTL_SECONDS; see src/lib/authCache.js for invalidation.
+ */
 async function queryUserPermissions(userId) {
+  return cachedUserPermissions(userId, () => loadUserPermissions(userId));
+}
+
+async function loadUserPermissions(userId) {
   const sql = `
     SELECT DISTINCT p.permission
-    FROM in_kind_tracker.user_account ua
-    LEFT JOIN in_kind_tracker.role_permission rp ON rp.role_id = ua.role_id
-    LEFT JOIN in_kind_tracker.permission p ON p.permission_id = rp.permission_id
-    WHERE ua.user_id = $1
-      AND p.permission IS NOT NULL
+    FROM (${USER_ROLES_SQL}) ur
+    JOIN (${EFFECTIVE_ROLE_PERMISSIONS_SQL}) rp ON rp.role_id = ur.role_id
+    JOIN in_kind_tracker.permission p ON p.permission_id = rp.permission_id
+    WHERE ur.user_id = $1
   `;
   const { rows } = await pool.query(sql, [userId]);
   return rows.map((row) => row.permission.toLowerCase());
@@ -22,16 +34,196 @@ async function getUserPermissions(req) {
   }
 
   if (!req[USER_PERMISSION_CACHE_KEY]) {
-    const permissions = await queryUserPermissions(req.user.user_id);
+    let permissions = await queryUserPermissions(req.user.user_id);
+    // A scoped API token can only narrow what its owner is allowed to do.
+    if (Array.isArray(req.apiToken?.permissions)) {
+      const scope = new Set(req.apiToken.permissions.map((permission) => permission.toLowerCase()));
+      permissions = permissions.filter((permission) => scope.has(permission));
+    }
     req[USER_PERMISSION_CACHE_KEY] = new Set(permissions);
   }
 
   return req[USER_PERMISSION_CACHE_KEY];
 }
 
-function requirePermissions({ read, manage }) {
-  const requiredRead = read ? read.toLowerCase() : null;
-  const requiredManage = manage ? manage.toLowerCase() : null;
+/**
+ * Works out where the caller holds each permission for location-bound
+ * resources. Org-wide roles (`role.org_wide`, where NULL counts as org-wide
+ * like everywhere else in the API) grant their permissions at
+ * every location. Other roles' permissions apply only at the locations in
+ * `user_location`, and a `user_location.role_id` adds that role's
+ * permissions at that one location.
+ */
+async function getLocationScope(req) {
+  if (!req || !req.user) {
+    return { orgWide: new Set(), byLocation: new Map() };
+  }
+
+  if (!req[LOCATION_SCOPE_CACHE_KEY]) {
+    // getUserPermissions already applies any API token scope.
+    const allowed = await getUserPermissions(req);
+    const { rows: orgWideRows } = await pool.query(
+      `
+        SELECT DISTINCT p.permission
+        FROM (${USER_ROLES_SQL}) ur
+        JOIN in_kind_tracker.role r ON r.role_id = ur.role_id AND COALESCE(r.org_wide, true)
+        JOIN (${EFFECTIVE_ROLE_PERMISSIONS_SQL}) rp ON rp.role_id = r.role_id
+        JOIN in_kind_tracker.permission p ON p.permission_id = rp.permission_id
+        WHERE ur.user_id = $1
+      `,
+      [req.user.user_id],
+    );
+    const { rows: grantRows } = await pool.query(
+      `
+        SELECT DISTINCT ul.location_id, p.permission
+        FROM in_kind_tracker.user_location ul
+        JOIN (${EFFECTIVE_ROLE_PERMISSIONS_SQL}) rp
+          ON rp.role_id = ul.role_id
+          OR rp.role_id IN (SELECT ur.role_id FROM (${USER_ROLES_SQL}) ur WHERE ur.user_id = ul.user_id)
+        JOIN in_kind_tracker.permission p ON p.permission_id = rp.permission_id
+        WHERE ul.user_id = $1
+      `,
+      [req.user.user_id],
+    );
+
+    const tokenScope = Array.isArray(req.apiToken?.permissions)
+      ? new Set(req.apiToken.permissions.map((permission) => permission.toLowerCase()))
+      : null;
+
+    const byLocation = new Map();
+    grantRows.forEach(({ location_id, permission }) => {
+      const normalized = permission.toLowerCase();
+      if (tokenScope && !tokenScope.has(normalized)) return;
+      if (!byLocation.has(location_id)) byLocation.set(location_id, new Set());
+      byLocation.get(location_id).add(normalized);
+    });
+
+    req[LOCATION_SCOPE_CACHE_KEY] = {
+      orgWide: new Set(
+        orgWideRows
+          .map(({ permission }) => permission.toLowerCase())
+          .filter((permission) => allowed.has(permission)),
+      ),
+      byLocation,
+    };
+  }
+
+  return req[LOCATION_SCOPE_CACHE_KEY];
+}
+
+/**
+ * Returns null when any of `permissions` is held org-wide, otherwise the
+ * ids of the locations where at least one of them is held.
+ */
+function locationIdsWithPermission(scope, permissions) {
+  const wanted = permissions.filter(Boolean);
+  if (wanted.some((permission) => scope.orgWide.has(permission))) {
+    return null;
+  }
+  return Array.from(scope.byLocation.entries())
+    .filter(([, granted]) => wanted.some((permission) => granted.has(permission)))
+    .map(([locationId]) => locationId)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Location ids the request may `read` or `manage`, or null for all of them.
+ * Routers mounted without `scope: 'location'` are treated as unrestricted.
+ */
+function locationAccessFor(req, action = 'read') {
+  return req.locationAccess?.[action] ?? null;
+}
+
+function canAccessLocation(req, locationId, action = 'read') {
+  const ids = locationAccessFor(req, action);
+  return ids === null || ids.includes(Number(locationId));
+}
+
+const WRITE_METHOD_ACTIONS = {
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete',
+};
+
+function normalizeRequirement(value) {
+  return typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null;
+}
+
+function pathSegments(pathname) {
+  return String(pathname || '').split('?')[0].split('/').filter(Boolean);
+}
+
+/**
+ * Parses `actions` entries such as `{ 'DELETE /:role_id': 'delete roles' }`.
+ * Paths are relative to the mount point; `:name` and `*` segments match any
+ * single segment and a `*` method matches every method. Literal segments
+ * match case-insensitively, like the Express routers they guard.
+ */
+function parseActionRules(actions = {}) {
+  return Object.entries(actions).map(([rule, permission]) => {
+    const [method, path = '/'] = rule.trim().split(/\s+/, 2);
+    return {
+      pattern: rule.trim(),
+      method: method.toUpperCase(),
+      segments: pathSegments(path).map((segment) => (segment.startsWith(':') ? segment : segment.toLowerCase())),
+      permission: normalizeRequirement(permission),
+    };
+  });
+}
+
+function matchesActionRule(rule, method, segments) {
+  return (rule.method === '*' || rule.method === String(method).toUpperCase())
+    && rule.segments.length === segments.length
+    && rule.segments.every((segment, index) => (
+      segment === '*' || segment.startsWith(':') || segment === segments[index].toLowerCase()
+    ));
+}
+
+/**
+ * Normalizes a permission map entry. `{ read, manage }` is the shorthand:
+ * `create`, `update` and `delete` fall back to `manage` when omitted.
+ */
+function compilePermissionMap({ read, manage, create, update, delete: remove, actions, scope = null }) {
+  const requiredManage = normalizeRequirement(manage);
+  return {
+    read: normalizeRequirement(read),
+    manage: requiredManage,
+    create: normalizeRequirement(create) ?? requiredManage,
+    update: normalizeRequirement(update) ?? requiredManage,
+    delete: normalizeRequirement(remove) ?? requiredManage,
+    rules: parseActionRules(actions),
+    scope,
+  };
+}
+
+/**
+ * Which permissions allow `method path` (path relative to the mount point).
+ * Holding any one of them is enough. A matching `actions` rule wins over the
+ * method defaults; reads accept `read` or `manage`.
+ */
+function resolveRequiredPermissions(permissionMap, method, path) {
+  const compiled = permissionMap.rules ? permissionMap : compilePermissionMap(permissionMap);
+  const segments = pathSegments(path);
+  const rule = compiled.rules.find((candidate) => matchesActionRule(candidate, method, segments));
+  if (rule) {
+    return { action: 'custom', rule, permissions: [rule.permission].filter(Boolean) };
+  }
+  if (READ_METHODS.has(method)) {
+    return { action: 'read', rule: null, permissions: [compiled.read, compiled.manage].filter(Boolean) };
+  }
+  const action = WRITE_METHOD_ACTIONS[method] || 'manage';
+  return { action, rule: null, permissions: [compiled[action]].filter(Boolean) };
+}
+
+/**
+ * Express middleware guarding a router with a permission map entry. For
+ * `scope: 'location'`, `req.locationAccess.read` lists the readable location
+ * ids and `req.locationAccess.manage` those where the current write action is
+ * allowed (null meaning every location).
+ */
+function requirePermissions(permissionMap) {
+  const compiled = compilePermissionMap(permissionMap);
 
   return async (req, res, next) => {
     try {
@@ -43,17 +235,24 @@ function requirePermissions({ read, manage }) {
         return res.status(401).json({ error: 'Not authenticated' });
       }
 
-      const permissions = await getUserPermissions(req);
-      const hasPermission = (permission) => permission && permissions.has(permission);
+      const { permissions: required } = resolveRequiredPermissions(compiled, req.method, req.path);
 
-      if (READ_METHODS.has(req.method)) {
-        if (hasPermission(requiredRead) || hasPermission(requiredManage)) {
-          return next();
+      if (compiled.scope === 'location') {
+        const locationScope = await getLocationScope(req);
+        const ids = locationIdsWithPermission(locationScope, required);
+        if (ids !== null && ids.length === 0) {
+          return res.status(403).json({ error: 'Forbidden' });
         }
-        return res.status(403).json({ error: 'Forbidden' });
+        const readable = locationIdsWithPermission(locationScope, [compiled.read, compiled.manage]);
+        const manageable = READ_METHODS.has(req.method)
+          ? locationIdsWithPermission(locationScope, [compiled.manage])
+          : ids;
+        req.locationAccess = { read: readable, manage: manageable };
+        return next();
       }
 
-      if (hasPermission(requiredManage)) {
+      const permissions = await getUserPermissions(req);
+      if (required.some((permission) => permissions.has(permission))) {
         return next();
       }
 
@@ -73,4 +272,14 @@ async function listUserPermissions(userId) {
   return Array.from(new Set(permissions));
 }
 
-export { requirePermissions, getUserPermissions, listUserPermissions };
+export {
+  requirePermissions,
+  compilePermissionMap,
+  resolveRequiredPermissions,
+  getUserPermissions,
+  listUserPermissions,
+  getLocationScope,
+  locationIdsWithPermission,
+  locationAccessFor,
+  canAccessLocation,
+};
@@ -0,0 +1,36 @@
+const CORS_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+/**
+ * With no CORS_ALLOWED_ORIGINS configured every origin is allowed, which keeps
+ * local development working. Production deployments should set the list.
+ */
+function isAllowedOrigin(origin) {
+  if (!origin) return true;
+  if (CORS_ALLOWED_ORIGINS.length === 0) return true;
+  return CORS_ALLOWED_ORIGINS.includes(String(origin).replace(/\/+$/, ''));
+}
+
+function cors(req, res, next) {
+  const origin = req.headers.origin;
+  if (origin) {
+    res.set('Vary', 'Origin');
+    if (isAllowedOrigin(origin)) {
+      res.set('Access-Control-Allow-Origin', origin);
+      res.set('Access-Control-Allow-Credentials', 'true');
+    }
+  } else {
+    res.set('Access-Control-Allow-Origin', '*');
+  }
+  res.set('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-CSRF-Token, If-Match');
+  res.set('Access-Control-Expose-Headers', 'X-Total-Count, Link, ETag');
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(204);
+  }
+  next();
+}
+
+export { cors, isAllowedOrigin };
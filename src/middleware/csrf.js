@@ -0,0 +1,42 @@
+import { timingSafeEqual } from 'node:crypto';
+import { csrfTokenForSession } from '../routes/auth.js';
+import { isAllowedOrigin } from './cors.js';
+
+const CSRF_PROTECTION_ENABLED = process.env.CSRF_PROTECTION_ENABLED !== 'false';
+const CSRF_HEADER_NAME = 'x-csrf-token';
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+function tokensMatch(provided, expected) {
+  if (typeof provided !== 'string' || provided.length !== expected.length) {
+    return false;
+  }
+  return timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+}
+
+function rejectCsrf(res) {
+  return res.status(403).json({ error: 'CSRF token missing or invalid', code: 'csrf_failed' });
+}
+
+/**
+ * Double-submit check for state-changing requests that rely on the session
+ * cookie. The browser must echo the `pp_csrf` cookie value in X-CSRF-Token.
+ * Bearer-token requests carry no ambient credentials and are not checked.
+ * Runs after authenticateRequest so `req.sessionId` is already resolved.
+ */
+function verifyCsrfToken(req, res, next) {
+  if (!CSRF_PROTECTION_ENABLED || SAFE_METHODS.has(req.method)) {
+    return next();
+  }
+  if (!req.sessionId || req.apiToken) {
+    return next();
+  }
+  if (!isAllowedOrigin(req.headers.origin)) {
+    return rejectCsrf(res);
+  }
+  if (!tokensMatch(req.get(CSRF_HEADER_NAME), csrfTokenForSession(req.sessionId))) {
+    return rejectCsrf(res);
+  }
+  return next();
+}
+
+export { verifyCsrfToken };
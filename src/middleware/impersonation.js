@@ -0,0 +1,64 @@
+// Credential and account-security changes made "as" someone else would act on
+// the impersonated user's account, so they are refused by default.
+const DEFAULT_BLOCKED_ACTIONS = [
+  'POST /auth/password',
+  '* /auth/2fa',
+  '* /auth/2fa/*',
+  '* /auth/tokens',
+  '* /auth/tokens/*',
+  'DELETE /auth/sessions',
+  'DELETE /auth/sessions/*',
+  'POST /auth/impersonate',
+  '* /user/*/password-reset',
+  '* /user/*/tokens',
+  '* /user/*/tokens/*',
+];
+
+/**
+ * Parses "METHOD /path" rules. `*` as the method matches any method and a
+ * `*` path segment matches exactly one segment. Paths match
+ * case-insensitively, as Express routes do.
+ */
+function parseBlockedActions(value) {
+  return value
+    .split(',')
+    .map((rule) => rule.trim())
+    .filter(Boolean)
+    .map((rule) => {
+      const [method, path = ''] = rule.split(/\s+/, 2);
+      return {
+        method: method.toUpperCase(),
+        segments: path.toLowerCase().split('/').filter(Boolean),
+      };
+    });
+}
+
+const IMPERSONATION_BLOCKED_ACTIONS = parseBlockedActions(
+  process.env.IMPERSONATION_BLOCKED_ACTIONS ?? DEFAULT_BLOCKED_ACTIONS.join(','),
+);
+
+function isBlockedWhileImpersonating(method, pathname, rules = IMPERSONATION_BLOCKED_ACTIONS) {
+  const segments = String(pathname || '').split('?')[0].toLowerCase().split('/').filter(Boolean);
+  const normalizedMethod = String(method).toUpperCase();
+  return rules.some((rule) => (
+    (rule.method === '*' || rule.method === normalizedMethod)
+    && rule.segments.length === segments.length
+    && rule.segments.every((segment, index) => segment === '*' || segment === segments[index])
+  ));
+}
+
+/**
+ * Rejects configured actions for impersonation sessions. Runs after
+ * authenticateRequest, which sets `req.impersonator`.
+ */
+function blockImpersonatedActions(req, res, next) {
+  if (req.impersonator && isBlockedWhileImpersonating(req.method, req.path)) {
+    return res.status(403).json({
+      error: 'This action is not allowed while impersonating another user',
+      code: 'impersonation_blocked',
+    });
+  }
+  return next();
+}
+
+export { blockImpersonatedActions, isBlockedWhileImpersonating, parseBlockedActions };
@@ -0,0 +1,15 @@
+/**
+ * For routes that manage the caller's credentials or sessions: a leaked API
+ * token must not be able to change the password, 2FA, tokens or sessions.
+ */
+function requireInteractiveSession(req, res, next) {
+  if (req.apiToken) {
+    return res.status(403).json({
+      error: 'This action requires an interactive session, not an API token',
+      code: 'interactive_session_required',
+    });
+  }
+  return next();
+}
+
+export { requireInteractiveSession };
@@ -1,5 +1,8 @@
 import express from 'express';
 import { pool } from '../db.js';
+import { USER_ROLES_SQL } from '../lib/userRoles.js';
+import { EFFECTIVE_ROLE_PERMISSIONS_SQL } from '../lib/roleHierarchy.js';
+import { EXPLAIN_METHODS, explainAccess, buildAccessMatrix } from '../lib/accessExplain.js';
 
 const router = express.Router();
 
@@ -13,8 +16,8 @@ router.get('/', async (req, res) => {
     const sql = `
       SELECT DISTINCT p.permission
       FROM in_kind_tracker.user_account ua
-      JOIN in_kind_tracker.role r ON r.role_id = ua.role_id
-      JOIN in_kind_tracker.role_permission rp ON rp.role_id = r.role_id
+      JOIN (${USER_ROLES_SQL}) ur ON ur.user_id = ua.user_id
+      JOIN (${EFFECTIVE_ROLE_PERMISSIONS_SQL}) rp ON rp.role_id = ur.role_id
       JOIN in_kind_tracker.permission p ON p.permission_id = rp.permission_id
       WHERE ua.username = $1
       ORDER BY p.permission ASC
@@ -29,4 +32,76 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * Reads the subject of an explain/matrix request from `user_id` or
+ * `username`. Returns `{ error }` when neither is usable.
+ */
+function parseSubject(query) {
+  const { user_id, username } = query;
+  if (user_id !== undefined) {
+    const userId = Number(user_id);
+    if (!Number.isInteger(userId) || userId <= 0) {
+      return { error: 'user_id must be a positive integer' };
+    }
+    return { userId };
+  }
+  if (typeof username === 'string' && username.trim()) {
+    return { username };
+  }
+  return { error: 'username or user_id query parameter is required' };
+}
+
+/**
+ * GET /allowed-permissions/explain?username=&method=&path=
+ * Explains why a user would be allowed or denied `method path`: the matching
+ * guardedRoutes entry, the required permission, the roles granting it and a
+ * step-by-step trace.
+ */
+router.get('/explain', async (req, res) => {
+  try {
+    const subject = parseSubject(req.query);
+    if (subject.error) {
+      return res.status(400).json({ error: subject.error });
+    }
+    const method = String(req.query.method || 'GET').trim().toUpperCase();
+    if (!EXPLAIN_METHODS.has(method)) {
+      return res.status(400).json({ error: `method must be one of: ${Array.from(EXPLAIN_METHODS).join(', ')}` });
+    }
+    const { path } = req.query;
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+      return res.status(400).json({ error: 'path query parameter must start with /' });
+    }
+
+    const explanation = await explainAccess({ ...subject, method, path });
+    if (!explanation) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    return res.json(explanation);
+  } catch (err) {
+    console.error('Error explaining access:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+/**
+ * GET /allowed-permissions/matrix?username=
+ * Every guarded route and action with whether the user may perform it.
+ */
+router.get('/matrix', async (req, res) => {
+  try {
+    const subject = parseSubject(req.query);
+    if (subject.error) {
+      return res.status(400).json({ error: subject.error });
+    }
+    const matrix = await buildAccessMatrix(subject);
+    if (!matrix) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    return res.json(matrix);
+  } catch (err) {
+    console.error('Error building access matrix:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
 export { router };
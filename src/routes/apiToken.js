@@ -0,0 +1,118 @@
+import express from 'express';
+import { pool } from '../db.js';
+import { listUserPermissions } from '../middleware/authorization.js';
+import { recordAudit } from '../lib/audit.js';
+import { requireInteractiveSession } from '../middleware/interactiveSession.js';
+import {
+  parseTokenRequest,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+} from '../lib/apiTokens.js';
+
+const router = express.Router();
+
+router.use(express.json());
+
+router.use((req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  return next();
+});
+
+/**
+ * GET /auth/tokens
+ * Lists the caller's active personal API tokens (never the secrets).
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tokens = await listApiTokens(req.user.user_id);
+    return res.json(tokens);
+  } catch (err) {
+    console.error('Error listing API tokens:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+/**
+ * POST /auth/tokens
+ * Creates a personal API token. `permissions` optionally narrows the token to
+ * a subset of the caller's permissions. The plaintext token is only returned here.
+ */
+router.post('/', requireInteractiveSession, async (req, res) => {
+  let client;
+  try {
+    const ownerPermissions = await listUserPermissions(req.user.user_id);
+    let request;
+    try {
+      request = parseTokenRequest(req.body || {}, ownerPermissions);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const created = await createApiToken(req.user.user_id, request, { createdBy: req.user.user_id, client });
+    const { token: _token, ...tokenRow } = created;
+    await recordAudit(client, req, {
+      action: 'create_token',
+      resource: 'user',
+      resourceId: req.user.user_id,
+      after: tokenRow,
+    });
+    await client.query('COMMIT');
+    return res.status(201).json(created);
+  } catch (err) {
+    if (client) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction during API token creation:', rollbackErr);
+      }
+    }
+    console.error('Error creating API token:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * DELETE /auth/tokens/:token_id
+ * Revokes one of the caller's tokens.
+ */
+router.delete('/:token_id', requireInteractiveSession, async (req, res) => {
+  const tokenId = Number(req.params.token_id);
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const revoked = await revokeApiToken(req.user.user_id, tokenId, client);
+    if (!revoked) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'API token not found' });
+    }
+    await recordAudit(client, req, {
+      action: 'revoke_token',
+      resource: 'user',
+      resourceId: req.user.user_id,
+      before: { api_token_id: tokenId },
+    });
+    await client.query('COMMIT');
+    return res.status(204).send();
+  } catch (err) {
+    if (client) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction during API token revocation:', rollbackErr);
+      }
+    }
+    console.error('Error revoking API token:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
+  }
+});
+
+export { router };
@@ -0,0 +1,26 @@
+import express from 'express';
+import { parseAuditQuery, listAuditEntries } from '../lib/audit.js';
+
+const router = express.Router();
+
+/**
+ * GET /audit
+ * Lists audit log entries, newest first. Filters: `actor_user_id`, `action`,
+ * `resource`, `resource_id`, `from` and `to` (ISO timestamps, `to` exclusive).
+ * Paginated with `limit` (default 50, max 200) and `offset`.
+ */
+router.get('/', async (req, res) => {
+  const parsed = parseAuditQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  try {
+    const { entries, total } = await listAuditEntries(parsed);
+    return res.json({ entries, total, limit: parsed.limit, offset: parsed.offset });
+  } catch (err) {
+    console.error('Error listing audit entries:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+export { router };
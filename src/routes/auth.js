@@ -2,18 +2,56 @@ import express from 'express';
 import { randomUUID } from 'node:crypto';
 import { pool } from '../db.js';
 import { normalizeUserRow } from './userAccount.js';
-import { listUserPermissions } from '../middleware/authorization.js';
+import { listUserPermissions, getUserPermissions } from '../middleware/authorization.js';
+import { hashPassword, validatePassword, verifyPassword } from '../lib/passwords.js';
+import { hashToken } from '../lib/tokens.js';
+import { USER_ROLES_SQL, userRolesJsonSql } from '../lib/userRoles.js';
+import { recordAudit } from '../lib/audit.js';
+import { invalidateSession, invalidateUser } from '../lib/authCache.js';
+import {
+  SESSION_MAX_AGE_SECONDS,
+  SESSION_IDLE_TIMEOUT_SECONDS,
+  revokeSession,
+  revokeUserSessions,
+  revokeUserSessionById,
+  listUserSessions,
+  publicSessionId,
+} from '../lib/sessions.js';
+import {
+  getTwoFactorState,
+  beginEnrollment,
+  activateEnrollment,
+  verifySecondFactor,
+  createLoginChallenge,
+  findLoginChallenge,
+  recordFailedChallengeAttempt,
+  deleteLoginChallenge,
+} from '../lib/twoFactor.js';
+import {
+  accountThrottleKey,
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearAccountFailures,
+} from '../lib/loginThrottle.js';
+import { buildOtpauthUri } from '../lib/totp.js';
+import { router as twoFactorRouter, TOTP_ISSUER } from './twoFactor.js';
+import { router as apiTokenRouter } from './apiToken.js';
+import { requireInteractiveSession } from '../middleware/interactiveSession.js';
 
 const USER_STATUSES = new Set(['pending', 'active', 'inactive']);
 
 const router = express.Router();
 
 router.use(express.json());
+router.use('/2fa', twoFactorRouter);
+router.use('/tokens', apiTokenRouter);
 
 const SESSION_COOKIE_NAME = process.env.SESSION_COOKIE_NAME || 'pp_session';
-const SESSION_MAX_AGE_DAYS = Number(process.env.SESSION_MAX_AGE_DAYS || 7);
 // TODO: revert secure cookies to align with production HTTPS once TLS is configured
 const SESSION_COOKIE_SECURE = false;
+// Lets accounts that have never set a password sign in by user_id alone. Only
+// meant for local development and for bootstrapping the first admin password.
+const ALLOW_PASSWORDLESS_LOGIN = process.env.AUTH_ALLOW_PASSWORDLESS_LOGIN === 'true';
 
 const SESSION_COOKIE_OPTIONS = {
   httpOnly: true,
@@ -22,20 +60,55 @@ const SESSION_COOKIE_OPTIONS = {
   path: '/',
 };
 
-function setSessionCookie(res, sessionId) {
+const CSRF_COOKIE_NAME = process.env.CSRF_COOKIE_NAME || 'pp_csrf';
+// Readable by the web client so it can echo the value in X-CSRF-Token.
+const CSRF_COOKIE_OPTIONS = {
+  ...SESSION_COOKIE_OPTIONS,
+  httpOnly: false,
+};
+
+/**
+ * CSRF tokens are derived from the session id, so they need no storage and
+ * die with the session. A cross-site page can neither read the HttpOnly
+ * session cookie nor compute the token from it.
+ */
+function csrfTokenForSession(sessionId) {
+  return hashToken(`csrf:${sessionId}`);
+}
+
+function initialSessionMaxAgeMs() {
+  const seconds = SESSION_IDLE_TIMEOUT_SECONDS > 0
+    ? Math.min(SESSION_MAX_AGE_SECONDS, SESSION_IDLE_TIMEOUT_SECONDS)
+    : SESSION_MAX_AGE_SECONDS;
+  return seconds * 1000;
+}
+
+/**
+ * Writes the session cookie. Pass `expiresAt` (the server-side expiry of the
+ * session) to slide the cookie along with the session on activity.
+ */
+function setSessionCookie(res, sessionId, expiresAt) {
+  const maxAge = expiresAt
+    ? Math.max(0, new Date(expiresAt).getTime() - Date.now())
+    : initialSessionMaxAgeMs();
   res.cookie(SESSION_COOKIE_NAME, sessionId, {
     ...SESSION_COOKIE_OPTIONS,
-    maxAge: SESSION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000,
+    maxAge,
+  });
+  res.cookie(CSRF_COOKIE_NAME, csrfTokenForSession(sessionId), {
+    ...CSRF_COOKIE_OPTIONS,
+    maxAge,
   });
 }
 
 function clearSessionCookie(res) {
   res.clearCookie(SESSION_COOKIE_NAME, SESSION_COOKIE_OPTIONS);
+  res.clearCookie(CSRF_COOKIE_NAME, CSRF_COOKIE_OPTIONS);
 }
 
 async function fetchUserForLogin(userId, client = pool) {
   const sql = `
-    SELECT ua.*, r.role_name, r.default_route
+    SELECT ua.*, r.role_name, r.default_route, ${userRolesJsonSql('ua')}
     FROM in_kind_tracker.user_account ua
     LEFT JOIN in_kind_tracker.role r ON r.role_id = ua.role_id
     WHERE ua.user_id = $1
@@ -45,78 +118,299 @@ async function fetchUserForLogin(userId, client = pool) {
   return rows.length ? normalizeUserRow(rows[0]) : null;
 }
 
-async function fetchUserBySession(sessionId) {
+async function fetchLoginCandidate({ userId, username }, client = pool) {
+  const sql = `
+    SELECT ua.*, r.role_name, r.default_route,
+      EXISTS (
+        SELECT 1
+        FROM (${USER_ROLES_SQL}) held
+        JOIN in_kind_tracker.role rr ON rr.role_id = held.role_id
+        WHERE held.user_id = ua.user_id AND rr.require_2fa
+      ) AS role_requires_2fa
+    FROM in_kind_tracker.user_account ua
+    LEFT JOIN in_kind_tracker.role r ON r.role_id = ua.role_id
+    WHERE ${username ? 'ua.username = $1' : 'ua.user_id = $1'}
+    LIMIT 1
+    FOR UPDATE OF ua
+  `;
+  const { rows } = await client.query(sql, [username || userId]);
+  if (rows.length === 0) {
+    return null;
+  }
+  const { role_requires_2fa, ...userRow } = rows[0];
+  return {
+    user: normalizeUserRow(userRow),
+    passwordHash: userRow.password_hash ?? null,
+    twoFactorEnabled: Boolean(userRow.totp_secret && userRow.totp_enabled_at),
+    twoFactorRequired: Boolean(role_requires_2fa),
+  };
+}
+
+function loginStatusError(user) {
+  if (user.is_service_account) {
+    return 'Service accounts cannot sign in interactively';
+  }
+  const normalizedStatus = String(user.status ?? '').trim().toLowerCase();
+  if (!USER_STATUSES.has(normalizedStatus) || normalizedStatus === 'inactive') {
+    return normalizedStatus === 'inactive'
+      ? 'User account is inactive'
+      : 'User status does not permit login';
+  }
+  return null;
+}
+
+/**
+ * Inserts a user_session row. Impersonation sessions belong to the real
+ * admin (`user_id`) and name the user being viewed in `impersonated_user_id`.
+ */
+async function insertSession(client, userId, req, { impersonatedUserId = null } = {}) {
+  const sessionId = randomUUID();
+  await client.query(
+    `
+      INSERT INTO in_kind_tracker.user_session (session_id, user_id, impersonated_user_id, user_agent, ip_address)
+      VALUES ($1, $2, $3, $4, $5)
+    `,
+    [sessionId, userId, impersonatedUserId, req.get('user-agent') ?? null, req.ip ?? null],
+  );
+  return sessionId;
+}
+
+/**
+ * Activates a pending user, stamps last_login_at, inserts the session row
+ * and records the login in the audit log. Callers run this inside their
+ * login transaction once every credential check has passed.
+ */
+async function openSession(client, userId, req) {
+  await client.query(
+    `
+      UPDATE in_kind_tracker.user_account
+      SET status = CASE WHEN status = 'pending' THEN 'active' ELSE status END,
+          last_login_at = NOW()
+      WHERE user_id = $1
+    `,
+    [userId],
+  );
+
+  const sessionId = await insertSession(client, userId, req);
+  await recordAudit(client, req, { action: 'login', resource: 'user', resourceId: userId, actorUserId: userId });
+  return sessionId;
+}
+
+function parseLoginIdentifier(body) {
+  const { username, user_id } = body || {};
+  if (username !== undefined && username !== null && String(username).trim()) {
+    return { username: String(username).trim().toLowerCase() };
+  }
+  if (user_id && Number.isInteger(Number(user_id))) {
+    return { userId: Number(user_id) };
+  }
+  return null;
+}
+
+/**
+ * Resolves a session id against user_session, enforcing the absolute
+ * (SESSION_MAX_AGE_DAYS) and idle (SESSION_IDLE_TIMEOUT_MINUTES) lifetimes
+ * using the database clock. Returns null for unknown sessions,
+ * `{ status: 'expired', reason }` for timed-out ones and
+ * `{ status: 'active', user, expiresAt, impersonator }` otherwise. For an
+ * impersonation session `user` is the impersonated user and `impersonator`
+ * the admin behind it; `impersonator` is null for ordinary sessions.
+ */
+async function lookupSession(sessionId, client = pool) {
   const sql = `
-    SELECT s.session_id, ua.*, r.role_name, r.default_route
+    SELECT
+      s.session_id,
+      s.created_at <= NOW() - make_interval(secs => $2::int) AS session_absolute_expired,
+      $3::int > 0 AND COALESCE(s.last_seen_at, s.created_at) <= NOW() - make_interval(secs => $3::int)
+        AS session_idle_expired,
+      LEAST(
+        s.created_at + make_interval(secs => $2::int),
+        CASE WHEN $3::int > 0 THEN NOW() + make_interval(secs => $3::int) END
+      ) AS session_expires_at,
+      ua.*, r.role_name, r.default_route, ${userRolesJsonSql('ua')},
+      imp.user_id AS impersonator_user_id,
+      imp.username AS impersonator_username,
+      imp.name AS impersonator_name,
+      imp.status AS impersonator_status
     FROM in_kind_tracker.user_session s
-    JOIN in_kind_tracker.user_account ua ON ua.user_id = s.user_id
+    JOIN in_kind_tracker.user_account ua ON ua.user_id = COALESCE(s.impersonated_user_id, s.user_id)
     LEFT JOIN in_kind_tracker.role r ON r.role_id = ua.role_id
+    LEFT JOIN in_kind_tracker.user_account imp
+      ON imp.user_id = s.user_id AND s.impersonated_user_id IS NOT NULL
     WHERE s.session_id = $1
     LIMIT 1
   `;
-  const { rows } = await pool.query(sql, [sessionId]);
+  const { rows } = await client.query(sql, [sessionId, SESSION_MAX_AGE_SECONDS, SESSION_IDLE_TIMEOUT_SECONDS]);
   if (rows.length === 0) {
     return null;
   }
-  const { session_id, ...userRow } = rows[0];
-  return normalizeUserRow(userRow);
+  const {
+    session_id,
+    session_absolute_expired,
+    session_idle_expired,
+    session_expires_at,
+    impersonator_user_id,
+    impersonator_username,
+    impersonator_name,
+    impersonator_status,
+    ...userRow
+  } = rows[0];
+  if (session_absolute_expired) {
+    return { status: 'expired', reason: 'absolute_timeout' };
+  }
+  if (session_idle_expired) {
+    return { status: 'expired', reason: 'idle_timeout' };
+  }
+  // An admin who has since been deactivated loses their impersonation sessions too.
+  if (impersonator_user_id && impersonator_status !== 'active') {
+    return null;
+  }
+  return {
+    status: 'active',
+    user: normalizeUserRow(userRow),
+    expiresAt: session_expires_at,
+    impersonator: impersonator_user_id
+      ? { user_id: impersonator_user_id, username: impersonator_username, name: impersonator_name }
+      : null,
+  };
 }
 
-function extractSessionId(req) {
+async function fetchUserBySession(sessionId) {
+  const session = await lookupSession(sessionId);
+  return session?.status === 'active' ? session.user : null;
+}
+
+/**
+ * Resolves a bearer API token to its owner. Revoked or expired tokens and
+ * inactive owners resolve to null. `apiToken.permissions` is null for tokens
+ * that carry the owner's full permission set.
+ */
+async function lookupApiToken(token, client = pool) {
+  const sql = `
+    SELECT
+      t.api_token_id AS token_api_token_id,
+      t.name AS token_name,
+      t.permissions AS token_permissions,
+      ua.*, r.role_name, r.default_route, ${userRolesJsonSql('ua')}
+    FROM in_kind_tracker.api_token t
+    JOIN in_kind_tracker.user_account ua ON ua.user_id = t.user_id
+    LEFT JOIN in_kind_tracker.role r ON r.role_id = ua.role_id
+    WHERE t.token_hash = $1
+      AND t.revoked_at IS NULL
+      AND (t.expires_at IS NULL OR t.expires_at > NOW())
+      AND ua.status = 'active'
+    LIMIT 1
+  `;
+  const { rows } = await client.query(sql, [hashToken(token)]);
+  if (rows.length === 0) {
+    return null;
+  }
+  const { token_api_token_id, token_name, token_permissions, ...userRow } = rows[0];
+  return {
+    user: normalizeUserRow(userRow),
+    apiToken: {
+      api_token_id: token_api_token_id,
+      name: token_name,
+      permissions: Array.isArray(token_permissions) ? token_permissions : null,
+    },
+  };
+}
+
+function extractBearerToken(req) {
+  const header = req.headers?.authorization;
+  if (!header) return null;
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+function readCookie(req, name) {
   const cookieHeader = req.headers?.cookie;
   if (!cookieHeader) return null;
   const cookies = cookieHeader.split(';');
   for (const cookie of cookies) {
     const [key, ...rest] = cookie.trim().split('=');
-    if (key === SESSION_COOKIE_NAME) {
+    if (key === name) {
       return decodeURIComponent(rest.join('='));
     }
   }
   return null;
 }
 
+function sendLoginThrottled(res, throttle) {
+  res.set('Retry-After', String(throttle.retryAfterSeconds));
+  return res.status(429).json({
+    error: throttle.locked
+      ? 'Too many failed login attempts. Sign-in is temporarily locked.'
+      : 'Too many failed login attempts. Try again shortly.',
+    code: throttle.locked ? 'login_locked' : 'login_throttled',
+    retry_after: throttle.retryAfterSeconds,
+  });
+}
+
+function extractSessionId(req) {
+  return readCookie(req, SESSION_COOKIE_NAME);
+}
+
 router.post('/login', async (req, res) => {
   let client;
   try {
-    const { user_id } = req.body || {};
-    if (!user_id || !Number.isInteger(Number(user_id))) {
-      return res.status(400).json({ error: 'user_id is required.' });
+    const identifier = parseLoginIdentifier(req.body);
+    if (!identifier) {
+      return res.status(400).json({ error: 'username or user_id is required.' });
+    }
+    const { password } = req.body || {};
+    if (!ALLOW_PASSWORDLESS_LOGIN && (typeof password !== 'string' || password.length === 0)) {
+      return res.status(400).json({ error: 'password is required.' });
     }
 
     client = await pool.connect();
     await client.query('BEGIN');
 
-    const user = await fetchUserForLogin(Number(user_id), client);
-    if (!user) {
+    const candidate = await fetchLoginCandidate(identifier, client);
+    const accountKey = accountThrottleKey({ userId: candidate?.user.user_id, username: identifier.username });
+    const throttle = await checkLoginThrottle({ accountKey, ipAddress: req.ip }, client);
+    if (throttle) {
       await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'User not found' });
+      return sendLoginThrottled(res, throttle);
     }
 
-    const normalizedStatus = String(user.status ?? '').trim().toLowerCase();
-    if (!USER_STATUSES.has(normalizedStatus) || normalizedStatus === 'inactive') {
+    const passwordlessAllowed = ALLOW_PASSWORDLESS_LOGIN && candidate && !candidate.passwordHash;
+    const credentialsValid = passwordlessAllowed
+      || await verifyPassword(password, candidate?.passwordHash ?? null);
+    if (!candidate || !credentialsValid) {
       await client.query('ROLLBACK');
-      const message = normalizedStatus === 'inactive'
-        ? 'User account is inactive'
-        : 'User status does not permit login';
-      return res.status(403).json({ error: message });
+      await recordLoginFailure({
+        accountKey,
+        userId: candidate?.user.user_id ?? null,
+        identifier: identifier.username ?? String(identifier.userId),
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent') ?? null,
+        reason: candidate ? 'invalid_password' : 'unknown_user',
+      }, client);
+      return res.status(401).json({ error: 'Invalid credentials' });
     }
+    const { user } = candidate;
 
-    const sessionId = randomUUID();
+    const statusError = loginStatusError(user);
+    if (statusError) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: statusError });
+    }
 
-    await client.query(
-      `
-        UPDATE in_kind_tracker.user_account
-        SET status = CASE WHEN status = 'pending' THEN 'active' ELSE status END,
-            last_login_at = NOW()
-        WHERE user_id = $1
-      `,
-      [user.user_id],
-    );
+    if (candidate.twoFactorEnabled || candidate.twoFactorRequired) {
+      const mfaToken = await createLoginChallenge(user.user_id, client);
+      await client.query('COMMIT');
+      return res.json({
+        mfa_required: true,
+        mfa_enrollment_required: !candidate.twoFactorEnabled,
+        mfa_token: mfaToken,
+      });
+    }
 
-    await client.query(
-      `INSERT INTO in_kind_tracker.user_session (session_id, user_id) VALUES ($1, $2)`,
-      [sessionId, user.user_id],
-    );
+    // Only a completed login resets the counter; with 2FA that happens after
+    // the second step.
+    await clearAccountFailures(accountKey, client);
+    const sessionId = await openSession(client, user.user_id, req);
 
     const loggedInUser = await fetchUserForLogin(user.user_id, client);
 
@@ -127,7 +421,7 @@ router.post('/login', async (req, res) => {
     setSessionCookie(res, sessionId);
 
     const permissions = await listUserPermissions(user.user_id);
-    return res.json({ ...(loggedInUser ?? user), permissions });
+    return res.json({ ...(loggedInUser ?? user), permissions, csrf_token: csrfTokenForSession(sessionId) });
   } catch (err) {
     if (client) {
       try {
@@ -148,17 +442,426 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * POST /auth/login/2fa/enroll
+ * For users whose role requires 2FA but who have not enrolled yet: starts
+ * enrollment using the `mfa_token` from POST /auth/login.
+ */
+router.post('/login/2fa/enroll', async (req, res) => {
+  const { mfa_token } = req.body || {};
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const challenge = await findLoginChallenge(mfa_token, client);
+    if (!challenge) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Two-factor challenge is invalid or has expired' });
+    }
+    const state = await getTwoFactorState(challenge.user_id, client);
+    if (state?.enabled) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    const user = await fetchUserForLogin(challenge.user_id, client);
+    const secret = await beginEnrollment(challenge.user_id, client);
+    await recordAudit(client, req, {
+      action: 'start_2fa_enrollment',
+      resource: 'user',
+      resourceId: challenge.user_id,
+      actorUserId: challenge.user_id,
+    });
+    await client.query('COMMIT');
+    return res.json({
+      secret,
+      otpauth_uri: buildOtpauthUri({ secret, accountName: user?.username ?? String(challenge.user_id), issuer: TOTP_ISSUER }),
+    });
+  } catch (err) {
+    if (client) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction during two-factor enrollment:', rollbackErr);
+      }
+    }
+    console.error('Error starting two-factor enrollment during login:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * POST /auth/login/2fa
+ * Second login step. Accepts `{ mfa_token, code }` or `{ mfa_token, recovery_code }`.
+ * When the user is finishing a required enrollment, a valid `code` activates
+ * 2FA and the response includes the one-time `recovery_codes`. Wrong codes
+ * count towards the same account and IP throttle as wrong passwords.
+ */
+router.post('/login/2fa', async (req, res) => {
+  const { mfa_token, code, recovery_code } = req.body || {};
+  if (!code && !recovery_code) {
+    return res.status(400).json({ error: 'code or recovery_code is required.' });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const challenge = await findLoginChallenge(mfa_token, client);
+    if (!challenge) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Two-factor challenge is invalid or has expired' });
+    }
+
+    const userId = challenge.user_id;
+    const accountKey = accountThrottleKey({ userId });
+    const throttle = await checkLoginThrottle({ accountKey, ipAddress: req.ip }, client);
+    if (throttle) {
+      await client.query('ROLLBACK');
+      return sendLoginThrottled(res, throttle);
+    }
+    const state = await getTwoFactorState(userId, client);
+    let recoveryCodes = null;
+    let verified = false;
+    if (state?.enabled) {
+      verified = await verifySecondFactor(userId, { code, recoveryCode: recovery_code }, state, client);
+    } else if (state?.pendingSecret && code) {
+      recoveryCodes = await activateEnrollment(userId, code, state, client);
+      verified = Boolean(recoveryCodes);
+    } else {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Two-factor enrollment has not been started' });
+    }
+
+    if (!verified) {
+      await recordFailedChallengeAttempt(challenge, client);
+      await recordLoginFailure({
+        accountKey,
+        userId,
+        identifier: null,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent') ?? null,
+        reason: 'invalid_2fa_code',
+      }, client);
+      await client.query('COMMIT');
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    const user = await fetchUserForLogin(userId, client);
+    const statusError = user ? loginStatusError(user) : 'User not found';
+    if (statusError) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: statusError });
+    }
+
+    await deleteLoginChallenge(challenge, client);
+    if (recoveryCodes) {
+      await recordAudit(client, req, { action: 'enable_2fa', resource: 'user', resourceId: userId, actorUserId: userId });
+    }
+    await clearAccountFailures(accountKey, client);
+    const sessionId = await openSession(client, userId, req);
+    const loggedInUser = await fetchUserForLogin(userId, client);
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+
+    setSessionCookie(res, sessionId);
+
+    const permissions = await listUserPermissions(userId);
+    const payload = { ...(loggedInUser ?? user), permissions, csrf_token: csrfTokenForSession(sessionId) };
+    if (recoveryCodes) {
+      payload.recovery_codes = recoveryCodes;
+    }
+    return res.json(payload);
+  } catch (err) {
+    if (client) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction during two-factor login:', rollbackErr);
+      }
+    }
+    console.error('Error completing two-factor login:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
 router.post('/logout', async (req, res) => {
+  const sessionId = extractSessionId(req);
+  if (!sessionId) {
+    clearSessionCookie(res);
+    return res.status(204).send();
+  }
+  let client;
   try {
-    const sessionId = extractSessionId(req);
-    if (sessionId) {
-      await pool.query('DELETE FROM in_kind_tracker.user_session WHERE session_id = $1', [sessionId]);
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const userId = await revokeSession(sessionId, client);
+    if (userId !== null) {
+      await recordAudit(client, req, { action: 'logout', resource: 'user', resourceId: userId, actorUserId: userId });
     }
+    await client.query('COMMIT');
+    invalidateSession(sessionId);
     clearSessionCookie(res);
     return res.status(204).send();
   } catch (err) {
+    if (client) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction during logout:', rollbackErr);
+      }
+    }
     console.error('Error logging out:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
+  }
+});
+
+async function storePassword(client, userId, newPassword) {
+  const passwordHash = await hashPassword(newPassword);
+  await client.query(
+    `
+      UPDATE in_kind_tracker.user_account
+      SET password_hash = $1,
+          password_changed_at = NOW(),
+          password_reset_token_hash = NULL,
+          password_reset_expires_at = NULL
+      WHERE user_id = $2
+    `,
+    [passwordHash, userId],
+  );
+}
+
+/**
+ * POST /auth/password
+ * Sets or changes the caller's password. The current password is required
+ * whenever one is already set. Other sessions for the user are revoked.
+ */
+router.post('/password', requireInteractiveSession, async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  const { current_password, new_password } = req.body || {};
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `
+        SELECT username, password_hash
+        FROM in_kind_tracker.user_account
+        WHERE user_id = $1
+        FOR UPDATE
+      `,
+      [req.user.user_id],
+    );
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { username, password_hash } = rows[0];
+    if (password_hash && !(await verifyPassword(current_password, password_hash))) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    try {
+      validatePassword(new_password, { username });
+    } catch (validationErr) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    await storePassword(client, req.user.user_id, new_password);
+    await revokeUserSessions(req.user.user_id, { exceptSessionId: req.sessionId ?? null, client });
+    await recordAudit(client, req, { action: 'change_password', resource: 'user', resourceId: req.user.user_id });
+    await client.query('COMMIT');
+    invalidateUser(req.user.user_id);
+    return res.status(204).send();
+  } catch (err) {
+    if (client) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction during password change:', rollbackErr);
+      }
+    }
+    console.error('Error changing password:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * POST /auth/password/reset
+ * Redeems an admin-issued reset token and sets a new password. All of the
+ * user's sessions are revoked so the new password takes effect everywhere.
+ */
+router.post('/password/reset', async (req, res) => {
+  const { token, new_password } = req.body || {};
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ error: 'token is required.' });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `
+        SELECT user_id, username
+        FROM in_kind_tracker.user_account
+        WHERE password_reset_token_hash = $1
+          AND password_reset_expires_at > NOW()
+        LIMIT 1
+        FOR UPDATE
+      `,
+      [hashToken(token)],
+    );
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Reset token is invalid or has expired' });
+    }
+
+    const { user_id, username } = rows[0];
+    try {
+      validatePassword(new_password, { username });
+    } catch (validationErr) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    await storePassword(client, user_id, new_password);
+    await revokeUserSessions(user_id, { client });
+    await recordAudit(client, req, {
+      action: 'complete_password_reset',
+      resource: 'user',
+      resourceId: user_id,
+      actorUserId: user_id,
+    });
+    await client.query('COMMIT');
+    invalidateUser(user_id);
+    return res.status(204).send();
+  } catch (err) {
+    if (client) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction during password reset:', rollbackErr);
+      }
+    }
+    console.error('Error resetting password:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * GET /auth/sessions
+ * Lists the caller's active sessions, flagging the one making the request.
+ */
+router.get('/sessions', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+    const sessions = await listUserSessions(req.user.user_id, { currentSessionId: req.sessionId });
+    return res.json(sessions);
+  } catch (err) {
+    console.error('Error listing sessions:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+/**
+ * DELETE /auth/sessions
+ * Logs the caller out everywhere except the current session.
+ */
+router.delete('/sessions', requireInteractiveSession, async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const revoked = await revokeUserSessions(req.user.user_id, { exceptSessionId: req.sessionId ?? null, client });
+    await recordAudit(client, req, {
+      action: 'revoke_sessions',
+      resource: 'user',
+      resourceId: req.user.user_id,
+      after: { revoked },
+    });
+    await client.query('COMMIT');
+    invalidateUser(req.user.user_id);
+    return res.json({ revoked });
+  } catch (err) {
+    if (client) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction during session revocation:', rollbackErr);
+      }
+    }
+    console.error('Error revoking other sessions:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * DELETE /auth/sessions/:id
+ * Revokes one of the caller's sessions by the id returned from GET /auth/sessions.
+ */
+router.delete('/sessions/:id', requireInteractiveSession, async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const revoked = await revokeUserSessionById(req.user.user_id, req.params.id, client);
+    if (!revoked) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    await recordAudit(client, req, {
+      action: 'revoke_session',
+      resource: 'user',
+      resourceId: req.user.user_id,
+      before: { session: req.params.id },
+    });
+    await client.query('COMMIT');
+    invalidateUser(req.user.user_id);
+    if (req.sessionId && publicSessionId(req.sessionId) === req.params.id) {
+      clearSessionCookie(res);
+    }
+    return res.status(204).send();
+  } catch (err) {
+    if (client) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction during session revocation:', rollbackErr);
+      }
+    }
+    console.error('Error revoking session:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
   }
 });
 
@@ -218,6 +921,20 @@ router.get('/users', async (req, res) => {
 
 router.get('/me', async (req, res) => {
   try {
+    if (req.user) {
+      const permissions = await getUserPermissions(req);
+      const payload = {
+        ...req.user,
+        permissions: Array.from(permissions),
+        impersonating: Boolean(req.impersonator),
+        impersonator: req.impersonator ?? null,
+      };
+      if (req.sessionId) {
+        payload.csrf_token = csrfTokenForSession(req.sessionId);
+      }
+      return res.json(payload);
+    }
+
     const sessionId = extractSessionId(req);
     if (!sessionId) {
       clearSessionCookie(res);
@@ -231,11 +948,30 @@ router.get('/me', async (req, res) => {
     }
 
     const permissions = await listUserPermissions(user.user_id);
-    return res.json({ ...user, permissions });
+    return res.json({ ...user, permissions, csrf_token: csrfTokenForSession(sessionId) });
   } catch (err) {
     console.error('Error fetching current user:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
   }
 });
 
-export { router, extractSessionId, fetchUserBySession, setSessionCookie, clearSessionCookie, SESSION_COOKIE_NAME };
+export {
+  router,
+  fetchLoginCandidate,
+  fetchUserForLogin,
+  insertSession,
+  openSession,
+  loginStatusError,
+  extractSessionId,
+  extractBearerToken,
+  lookupSession,
+  lookupApiToken,
+  fetchUserBySession,
+  setSessionCookie,
+  clearSessionCookie,
+  csrfTokenForSession,
+  readCookie,
+  SESSION_COOKIE_NAME,
+  SESSION_COOKIE_OPTIONS,
+  CSRF_COOKIE_NAME,
+};
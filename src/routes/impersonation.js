@@ -0,0 +1,160 @@
+import express from 'express';
+import { pool } from '../db.js';
+import { getUserPermissions, listUserPermissions } from '../middleware/authorization.js';
+import { revokeSession } from '../lib/sessions.js';
+import { recordLoginEvent } from '../lib/loginThrottle.js';
+import { checkGrantable, sendViolation } from '../lib/privilegeGuards.js';
+import { recordAudit } from '../lib/audit.js';
+import {
+  insertSession,
+  lookupSession,
+  loginStatusError,
+  setSessionCookie,
+  csrfTokenForSession,
+} from './auth.js';
+
+const IMPERSONATION_PERMISSION = (process.env.IMPERSONATION_PERMISSION || 'manage users').toLowerCase();
+
+const router = express.Router();
+
+router.use(express.json());
+
+router.use((req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'Impersonation requires an interactive session' });
+  }
+  return next();
+});
+
+/**
+ * Replaces the caller's session with a new one for `userId`, optionally
+ * impersonating `impersonatedUserId`, and records the event in login_event
+ * and audit_log. Returns the new session id and its resolved session.
+ */
+async function switchSession(req, { userId, impersonatedUserId = null, eventType, eventUserId, action }) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const sessionId = await insertSession(client, userId, req, { impersonatedUserId });
+    await recordLoginEvent({
+      eventType,
+      userId: eventUserId,
+      actorUserId: userId,
+      ipAddress: req.ip ?? null,
+      userAgent: req.get('user-agent') ?? null,
+    }, client);
+    await recordAudit(client, req, { action, resource: 'user', resourceId: eventUserId, actorUserId: userId });
+    const session = await lookupSession(sessionId, client);
+    await client.query('COMMIT');
+    await revokeSession(req.sessionId);
+    return { sessionId, session };
+  } catch (err) {
+    if (client) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction during impersonation:', rollbackErr);
+      }
+    }
+    throw err;
+  } finally {
+    client?.release();
+  }
+}
+
+async function respondWithSession(res, { sessionId, session }) {
+  setSessionCookie(res, sessionId, session.expiresAt);
+  const permissions = await listUserPermissions(session.user.user_id);
+  return res.json({
+    ...session.user,
+    permissions,
+    impersonating: Boolean(session.impersonator),
+    impersonator: session.impersonator,
+    csrf_token: csrfTokenForSession(sessionId),
+  });
+}
+
+/**
+ * POST /auth/impersonate
+ * Starts viewing the app as `user_id`. The caller's session is swapped for
+ * one that resolves to the target user while remembering the real admin.
+ * Refused when the target holds permissions the caller does not.
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (req.impersonator) {
+      return res.status(409).json({ error: 'Stop the current impersonation first' });
+    }
+    const permissions = await getUserPermissions(req);
+    if (!permissions.has(IMPERSONATION_PERMISSION)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const targetId = Number(req.body?.user_id);
+    if (!Number.isInteger(targetId) || targetId <= 0) {
+      return res.status(400).json({ error: 'user_id is required.' });
+    }
+    if (targetId === req.user.user_id) {
+      return res.status(400).json({ error: 'You cannot impersonate yourself' });
+    }
+
+    const { rows } = await pool.query(
+      'SELECT user_id, status, is_service_account FROM in_kind_tracker.user_account WHERE user_id = $1 LIMIT 1',
+      [targetId],
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const statusError = loginStatusError(rows[0]);
+    if (statusError) {
+      return res.status(409).json({ error: statusError });
+    }
+    const escalation = await checkGrantable(req, await listUserPermissions(targetId));
+    if (escalation) {
+      return sendViolation(res, {
+        ...escalation,
+        error: `You cannot impersonate a user with permissions you do not hold: ${escalation.permissions.join(', ')}`,
+      });
+    }
+
+    const switched = await switchSession(req, {
+      userId: req.user.user_id,
+      impersonatedUserId: targetId,
+      eventType: 'impersonation_started',
+      eventUserId: targetId,
+      action: 'start_impersonation',
+    });
+    return respondWithSession(res, switched);
+  } catch (err) {
+    console.error('Error starting impersonation:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+/**
+ * POST /auth/impersonate/stop
+ * Returns to the admin's own identity with a fresh ordinary session.
+ */
+router.post('/stop', async (req, res) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(409).json({ error: 'Not impersonating anyone' });
+    }
+    const switched = await switchSession(req, {
+      userId: req.impersonator.user_id,
+      eventType: 'impersonation_stopped',
+      eventUserId: req.user.user_id,
+      action: 'stop_impersonation',
+    });
+    return respondWithSession(res, switched);
+  } catch (err) {
+    console.error('Error stopping impersonation:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+export { router };
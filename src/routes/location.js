@@ -1,23 +1,85 @@
 import express from 'express';
 import { pool } from '../db.js';
+import { locationAccessFor, canAccessLocation } from '../middleware/authorization.js';
+import { applyFieldPolicy } from '../lib/fieldPolicies.js';
+import { recordAudit } from '../lib/audit.js';
+import { sendViolation } from '../lib/privilegeGuards.js';
+import { setEntityTag, checkPrecondition } from '../lib/preconditions.js';
+import { parseListRequest, queryListPage, setListHeaders } from '../lib/listQuery.js';
 
 const router = express.Router();
 
 router.use(express.json());
 
+// Sorting and filtering accepted by GET /location.
+const LOCATION_LIST = {
+  resource: 'location',
+  archivable: true,
+  defaultSort: 'location_id',
+  tieBreaker: 'page.location_id',
+  sort: {
+    location_id: 'page.location_id',
+    name: 'page.name',
+    created_at: 'page.created_at',
+    archived_at: 'page.archived_at',
+  },
+  filters: {
+    name: { type: 'contains', sql: (param) => `page.name ILIKE ${param}` },
+    created_after: { type: 'timestamp', field: 'created_at', sql: (param) => `page.created_at >= ${param}` },
+    created_before: { type: 'timestamp', field: 'created_at', sql: (param) => `page.created_at < ${param}` },
+  },
+};
+
+/**
+ * Locations outside the caller's scope look missing; ones they can see but
+ * not manage are forbidden. Returns the response when the request is refused.
+ */
+function rejectLocationMutation(req, res, locationId) {
+  if (!canAccessLocation(req, locationId, 'read')) {
+    return res.status(404).json({ error: 'Location not found' });
+  }
+  if (!canAccessLocation(req, locationId, 'manage')) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  return null;
+}
+
+async function lockLocation(client, locationId) {
+  const { rows } = await client.query(
+    'SELECT * FROM in_kind_tracker.location WHERE location_id = $1 FOR UPDATE',
+    [locationId],
+  );
+  return rows[0] ?? null;
+}
+
 /**
  * GET /location
- * Returns all locations ordered by creation.
+ * Returns a page of the locations the caller can see, ordered by id unless
+ * `sort` says otherwise. `name` matches part of the name; `created_after`
+ * and `created_before` bound the creation time. Archived locations are left
+ * out unless `include_archived=true`. The total and page links are in the
+ * `X-Total-Count` and `Link` headers.
  */
-router.get('/', async (_req, res) => {
+router.get('/', async (req, res) => {
   try {
+    const list = await parseListRequest(req, LOCATION_LIST);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+    const visibleIds = locationAccessFor(req, 'read');
     const sql = `
       SELECT *
       FROM in_kind_tracker.location
-      ORDER BY location_id ASC
+      ${visibleIds === null ? '' : 'WHERE location_id = ANY($1::int[])'}
     `;
-    const { rows } = await pool.query(sql);
-    return res.json(rows);
+    const { rows, total } = await queryListPage(pool, {
+      sql,
+      params: visibleIds === null ? [] : [visibleIds],
+      spec: LOCATION_LIST,
+      list,
+    });
+    setListHeaders(req, res, { total, limit: list.limit, offset: list.offset });
+    return res.json(await applyFieldPolicy(req, 'location', rows));
   } catch (err) {
     console.error('Error listing locations:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
@@ -26,37 +88,57 @@ router.get('/', async (_req, res) => {
 
 /**
  * POST /location
- * Creates a new location record.
+ * Creates a new location record. Only org-wide location managers can create
+ * locations, since a new site is outside every per-location grant.
  */
 router.post('/', async (req, res) => {
-  try {
-    const { name, notes } = req.body || {};
+  if (locationAccessFor(req, 'manage') !== null) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
 
-    if (!name || typeof name !== 'string' || !name.trim()) {
-      return res.status(400).json({ error: 'Location name is required' });
-    }
+  const { name, notes } = req.body || {};
 
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: 'Location name is required' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
     const sql = `
       INSERT INTO in_kind_tracker.location (name, notes)
       VALUES ($1, $2)
       RETURNING *
     `;
     const params = [name.trim(), notes ?? null];
-    const { rows } = await pool.query(sql, params);
-    return res.status(201).json(rows[0]);
+    const { rows } = await client.query(sql, params);
+    await recordAudit(client, req, {
+      action: 'create',
+      resource: 'location',
+      resourceId: rows[0].location_id,
+      after: rows[0],
+    });
+    await client.query('COMMIT');
+    return res.status(201).json(await applyFieldPolicy(req, 'location', rows[0]));
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('Error creating location:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
   }
 });
 
 /**
  * GET /location/:location_id
- * Returns a single location by id.
+ * Returns a single location by id, archived or not, with its `ETag`.
  */
 router.get('/:location_id', async (req, res) => {
   try {
     const { location_id } = req.params;
+    if (!canAccessLocation(req, location_id, 'read')) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
     const sql = `
       SELECT *
       FROM in_kind_tracker.location
@@ -67,7 +149,8 @@ router.get('/:location_id', async (req, res) => {
     if (rows.length === 0) {
       return res.status(404).json({ error: 'Location not found' });
     }
-    return res.json(rows[0]);
+    setEntityTag(res, 'location', rows[0]);
+    return res.json(await applyFieldPolicy(req, 'location', rows[0]));
   } catch (err) {
     console.error('Error fetching location:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
@@ -76,21 +159,42 @@ router.get('/:location_id', async (req, res) => {
 
 /**
  * PATCH /location/:location_id
- * Partially updates a location record.
+ * Partially updates a location record. Honors `If-Match`.
  */
 router.patch('/:location_id', async (req, res) => {
-  try {
-    const { location_id } = req.params;
-    const updatableFields = ['name', 'notes'];
-    const providedEntries = Object.entries(req.body || {}).filter(([key]) => updatableFields.includes(key));
+  const { location_id } = req.params;
+  const denied = rejectLocationMutation(req, res, location_id);
+  if (denied) {
+    return denied;
+  }
+  const updatableFields = ['name', 'notes'];
+  const providedEntries = Object.entries(req.body || {}).filter(([key]) => updatableFields.includes(key));
 
-    if (providedEntries.length === 0) {
-      return res.status(400).json({ error: 'No updatable fields provided' });
-    }
+  if (providedEntries.length === 0) {
+    return res.status(400).json({ error: 'No updatable fields provided' });
+  }
 
-    const setClauses = providedEntries.map(([key], idx) => `${key} = $${idx + 1}`);
-    const values = providedEntries.map(([, value]) => value);
-    values.push(location_id);
+  const setClauses = providedEntries.map(([key], idx) => `${key} = $${idx + 1}`);
+  const values = providedEntries.map(([, value]) => value);
+  values.push(location_id);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = await lockLocation(client, location_id);
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Location not found' });
+    }
+    const precondition = checkPrecondition(req, 'location', before);
+    if (precondition) {
+      await client.query('ROLLBACK');
+      return sendViolation(res, precondition);
+    }
+    if (before.archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Location is archived; restore it first' });
+    }
 
     const sql = `
       UPDATE in_kind_tracker.location
@@ -98,37 +202,181 @@ router.patch('/:location_id', async (req, res) => {
       WHERE location_id = $${values.length}
       RETURNING *
     `;
-    const { rows } = await pool.query(sql, values);
-    if (rows.length === 0) {
-      return res.status(404).json({ error: 'Location not found' });
-    }
-    return res.json(rows[0]);
+    const { rows } = await client.query(sql, values);
+    await recordAudit(client, req, {
+      action: 'update',
+      resource: 'location',
+      resourceId: location_id,
+      before,
+      after: rows[0],
+    });
+    await client.query('COMMIT');
+    setEntityTag(res, 'location', rows[0]);
+    return res.json(await applyFieldPolicy(req, 'location', rows[0]));
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('Error updating location:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
   }
 });
 
 /**
  * DELETE /location/:location_id
- * Deletes a location record.
+ * Archives a location, recording who archived it and when. Archived
+ * locations drop out of listings and search until restored. Honors
+ * `If-Match`.
  */
 router.delete('/:location_id', async (req, res) => {
+  const { location_id } = req.params;
+  const denied = rejectLocationMutation(req, res, location_id);
+  if (denied) {
+    return denied;
+  }
+
+  const client = await pool.connect();
   try {
-    const { location_id } = req.params;
-    const sql = `
-      DELETE FROM in_kind_tracker.location
-      WHERE location_id = $1
-      RETURNING location_id
-    `;
-    const { rows } = await pool.query(sql, [location_id]);
-    if (rows.length === 0) {
+    await client.query('BEGIN');
+    const before = await lockLocation(client, location_id);
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Location not found' });
+    }
+    const precondition = checkPrecondition(req, 'location', before);
+    if (precondition) {
+      await client.query('ROLLBACK');
+      return sendViolation(res, precondition);
+    }
+    if (before.archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Location is already archived' });
+    }
+    const { rows } = await client.query(
+      `
+        UPDATE in_kind_tracker.location
+        SET archived_at = NOW(), archived_by = $2
+        WHERE location_id = $1
+        RETURNING *
+      `,
+      [location_id, req.user?.user_id ?? null],
+    );
+    await recordAudit(client, req, {
+      action: 'archive',
+      resource: 'location',
+      resourceId: location_id,
+      before,
+      after: rows[0],
+    });
+    await client.query('COMMIT');
+    return res.status(204).send();
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error archiving location:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /location/:location_id/restore
+ * Brings an archived location back.
+ */
+router.post('/:location_id/restore', async (req, res) => {
+  const { location_id } = req.params;
+  const denied = rejectLocationMutation(req, res, location_id);
+  if (denied) {
+    return denied;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = await lockLocation(client, location_id);
+    if (!before) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'Location not found' });
     }
+    if (!before.archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Location is not archived' });
+    }
+    const { rows } = await client.query(
+      `
+        UPDATE in_kind_tracker.location
+        SET archived_at = NULL, archived_by = NULL
+        WHERE location_id = $1
+        RETURNING *
+      `,
+      [location_id],
+    );
+    await recordAudit(client, req, {
+      action: 'restore',
+      resource: 'location',
+      resourceId: location_id,
+      before,
+      after: rows[0],
+    });
+    await client.query('COMMIT');
+    setEntityTag(res, 'location', rows[0]);
+    return res.json(await applyFieldPolicy(req, 'location', rows[0]));
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error restoring location:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /location/:location_id/purge
+ * Permanently deletes an archived location. Mounted with its own permission
+ * (`purge locations` in server.js). Honors `If-Match`.
+ */
+router.delete('/:location_id/purge', async (req, res) => {
+  const { location_id } = req.params;
+  const denied = rejectLocationMutation(req, res, location_id);
+  if (denied) {
+    return denied;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = await lockLocation(client, location_id);
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Location not found' });
+    }
+    const precondition = checkPrecondition(req, 'location', before);
+    if (precondition) {
+      await client.query('ROLLBACK');
+      return sendViolation(res, precondition);
+    }
+    if (!before.archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Archive the location before purging it' });
+    }
+    await client.query('DELETE FROM in_kind_tracker.location WHERE location_id = $1', [location_id]);
+    await recordAudit(client, req, {
+      action: 'purge',
+      resource: 'location',
+      resourceId: location_id,
+      before,
+    });
+    await client.query('COMMIT');
     return res.status(204).send();
   } catch (err) {
-    console.error('Error deleting location:', err);
+    await client.query('ROLLBACK');
+    console.error('Error purging location:', err);
+    if (err?.code === '23503') {
+      return res.status(409).json({ error: 'The location is still referenced and cannot be purged.' });
+    }
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
   }
 });
 
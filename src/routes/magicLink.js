@@ -0,0 +1,163 @@
+import express from 'express';
+import { pool } from '../db.js';
+import { listUserPermissions } from '../middleware/authorization.js';
+import { sendMail } from '../lib/mail.js';
+import { createLoginChallenge } from '../lib/twoFactor.js';
+import {
+  getMagicLinkConfig,
+  buildMagicLinkUrl,
+  issueMagicLink,
+  consumeMagicLink,
+} from '../lib/magicLinks.js';
+import {
+  fetchLoginCandidate,
+  fetchUserForLogin,
+  openSession,
+  loginStatusError,
+  setSessionCookie,
+  csrfTokenForSession,
+} from './auth.js';
+
+const MAGIC_LINK_ACKNOWLEDGEMENT = 'If that address belongs to an active account, a sign-in link is on its way.';
+
+const router = express.Router();
+
+router.use(express.json());
+
+router.use((_req, res, next) => {
+  if (!getMagicLinkConfig().enabled) {
+    return res.status(404).json({ error: 'Magic-link sign-in is not enabled' });
+  }
+  return next();
+});
+
+function renderMagicLinkEmail(link, ttlMinutes) {
+  return [
+    'Use the link below to sign in to Practice Pulse.',
+    `It expires in ${ttlMinutes} minutes and works only once.`,
+    '',
+    link,
+    '',
+    "If you didn't ask to sign in, you can ignore this email.",
+  ].join('\n');
+}
+
+/**
+ * POST /auth/magic-link
+ * Emails a single-use sign-in link to an active account. The response is
+ * the same whether or not the address matches an account.
+ */
+router.post('/', async (req, res) => {
+  const username = String(req.body?.username ?? req.body?.email ?? '').trim().toLowerCase();
+  if (!username) {
+    return res.status(400).json({ error: 'username is required.' });
+  }
+
+  try {
+    const config = getMagicLinkConfig();
+    const { rows } = await pool.query(
+      `
+        SELECT user_id, username, status, is_service_account
+        FROM in_kind_tracker.user_account
+        WHERE username = $1
+        LIMIT 1
+      `,
+      [username],
+    );
+    const user = rows[0];
+    if (user && user.status === 'active' && !user.is_service_account) {
+      const token = await issueMagicLink(user.user_id, { ipAddress: req.ip ?? null });
+      if (token) {
+        const link = buildMagicLinkUrl(config.url, token);
+        try {
+          await sendMail({
+            to: user.username,
+            subject: 'Your Practice Pulse sign-in link',
+            text: renderMagicLinkEmail(link, config.ttlMinutes),
+          });
+        } catch (mailErr) {
+          // Still answer 202 so delivery failures do not reveal which addresses exist.
+          console.error('Failed to send magic-link email:', mailErr?.message || mailErr);
+        }
+      }
+    }
+    return res.status(202).json({ message: MAGIC_LINK_ACKNOWLEDGEMENT });
+  } catch (err) {
+    console.error('Error issuing magic link:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+/**
+ * POST /auth/magic-link/verify
+ * Redeems `{ token }` from the emailed link. Behaves like POST /auth/login:
+ * either sets the session cookie or, for 2FA users, returns an mfa_token.
+ * The web app posts the token rather than linking here directly so mail
+ * scanners that prefetch links cannot burn it.
+ */
+router.post('/verify', async (req, res) => {
+  const { token } = req.body || {};
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ error: 'token is required.' });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const userId = await consumeMagicLink(token, client);
+    if (!userId) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Sign-in link is invalid or has expired' });
+    }
+
+    const candidate = await fetchLoginCandidate({ userId }, client);
+    const statusError = candidate ? loginStatusError(candidate.user) : 'User not found';
+    if (statusError) {
+      // Keep the link burned even though the sign-in is refused.
+      await client.query('COMMIT');
+      return res.status(403).json({ error: statusError });
+    }
+
+    if (candidate.twoFactorEnabled || candidate.twoFactorRequired) {
+      const mfaToken = await createLoginChallenge(userId, client);
+      await client.query('COMMIT');
+      return res.json({
+        mfa_required: true,
+        mfa_enrollment_required: !candidate.twoFactorEnabled,
+        mfa_token: mfaToken,
+      });
+    }
+
+    const sessionId = await openSession(client, userId, req);
+    const loggedInUser = await fetchUserForLogin(userId, client);
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+
+    setSessionCookie(res, sessionId);
+
+    const permissions = await listUserPermissions(userId);
+    return res.json({
+      ...(loggedInUser ?? candidate.user),
+      permissions,
+      csrf_token: csrfTokenForSession(sessionId),
+    });
+  } catch (err) {
+    if (client) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction during magic-link sign-in:', rollbackErr);
+      }
+    }
+    console.error('Error redeeming magic link:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+export { router };
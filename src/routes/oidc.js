@@ -0,0 +1,232 @@
+import express from 'express';
+import { pool } from '../db.js';
+import { generateToken, hashToken } from '../lib/tokens.js';
+import {
+  getOidcConfig,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  readClaim,
+} from '../lib/oidc.js';
+import { createLoginChallenge } from '../lib/twoFactor.js';
+import { accountThrottleKey, checkLoginThrottle, clearAccountFailures } from '../lib/loginThrottle.js';
+import {
+  fetchLoginCandidate,
+  openSession,
+  loginStatusError,
+  setSessionCookie,
+  readCookie,
+  SESSION_COOKIE_OPTIONS,
+} from './auth.js';
+import { validateEmail } from './userAccount.js';
+
+const OIDC_STATE_TTL_MINUTES = 10;
+// Binds a login to the browser that started it: holds the state's hash, and
+// the callback only accepts a state whose hash matches (login CSRF).
+const OIDC_STATE_COOKIE_NAME = 'pp_oidc_state';
+
+const router = express.Router();
+
+/**
+ * Only same-site relative paths are accepted as `return_to` so the callback
+ * cannot be used as an open redirect.
+ */
+function sanitizeReturnTo(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (!trimmed.startsWith('/') || trimmed.startsWith('//') || trimmed.includes('\\')) {
+    return null;
+  }
+  return trimmed;
+}
+
+/**
+ * `fragment` values go after `#` so they are never sent to a server or
+ * copied into a Referer header.
+ */
+function buildRedirectTarget(base, { path = null, error = null, fragment = null } = {}) {
+  let target = path ? `${base.replace(/\/+$/, '')}${path}` : base;
+  if (error) {
+    const separator = target.includes('?') ? '&' : '?';
+    target = `${target}${separator}sso_error=${encodeURIComponent(error)}`;
+  }
+  if (fragment) {
+    target = `${target}#${new URLSearchParams(fragment)}`;
+  }
+  return target;
+}
+
+async function consumeLoginState(state) {
+  if (!state || typeof state !== 'string') {
+    return null;
+  }
+  const { rows } = await pool.query(
+    `
+      DELETE FROM in_kind_tracker.oidc_login_state
+      WHERE state_hash = $1
+      RETURNING code_verifier, nonce, return_to, expires_at > NOW() AS is_current
+    `,
+    [hashToken(state)],
+  );
+  return rows[0]?.is_current ? rows[0] : null;
+}
+
+/**
+ * GET /auth/oidc/start
+ * Redirects the browser to the identity provider (authorization code + PKCE).
+ * Pass `?return_to=/some/page` to land there after login.
+ */
+router.get('/start', async (req, res) => {
+  try {
+    const config = getOidcConfig();
+    if (!config.enabled) {
+      return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    const state = generateToken();
+    const nonce = generateToken();
+    const { verifier, challenge } = createPkcePair();
+
+    await pool.query(
+      `
+        INSERT INTO in_kind_tracker.oidc_login_state (state_hash, code_verifier, nonce, return_to, expires_at)
+        VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5::int))
+      `,
+      [hashToken(state), verifier, nonce, sanitizeReturnTo(req.query?.return_to), OIDC_STATE_TTL_MINUTES],
+    );
+
+    const authorizationUrl = await buildAuthorizationUrl(config, { state, nonce, codeChallenge: challenge });
+    res.cookie(OIDC_STATE_COOKIE_NAME, hashToken(state), {
+      ...SESSION_COOKIE_OPTIONS,
+      maxAge: OIDC_STATE_TTL_MINUTES * 60 * 1000,
+    });
+    return res.redirect(302, authorizationUrl);
+  } catch (err) {
+    console.error('Error starting OIDC login:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+/**
+ * GET /auth/oidc/callback
+ * Completes the login: validates state (which must belong to this browser's
+ * state cookie), exchanges the code, verifies the ID
+ * token, matches its email claim to user_account.username (optionally
+ * provisioning a pending user) and issues the normal session cookie.
+ * The login throttle applies as for passwords, and 2FA users get a login
+ * challenge instead of a session: the redirect carries
+ * `#mfa_token=...&mfa_enrollment_required=...` for POST /auth/login/2fa.
+ * Failures redirect back to the web app with `?sso_error=<code>`.
+ */
+router.get('/callback', async (req, res) => {
+  const config = getOidcConfig();
+  if (!config.enabled) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+  const fail = (code) => res.redirect(302, buildRedirectTarget(config.postLoginRedirect, { error: code }));
+  const stateCookie = readCookie(req, OIDC_STATE_COOKIE_NAME);
+  res.clearCookie(OIDC_STATE_COOKIE_NAME, SESSION_COOKIE_OPTIONS);
+
+  let client;
+  try {
+    const { code, state, error } = req.query || {};
+    if (!stateCookie || typeof state !== 'string' || hashToken(state) !== stateCookie) {
+      return fail('invalid_state');
+    }
+    const loginState = await consumeLoginState(state);
+    if (!loginState) {
+      return fail('invalid_state');
+    }
+    if (error || !code) {
+      return fail('idp_error');
+    }
+
+    let claims;
+    try {
+      const tokens = await exchangeCode(config, { code: String(code), codeVerifier: loginState.code_verifier });
+      claims = await verifyIdToken(config, tokens.id_token, { nonce: loginState.nonce });
+    } catch (tokenErr) {
+      console.error('OIDC token validation failed:', tokenErr?.message || tokenErr);
+      return fail('token_invalid');
+    }
+
+    let email;
+    try {
+      email = validateEmail(readClaim(claims, config.emailClaim));
+    } catch (_) {
+      return fail('email_claim_missing');
+    }
+    if (claims.email_verified === false) {
+      return fail('email_unverified');
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    let candidate = await fetchLoginCandidate({ username: email }, client);
+
+    if (!candidate && config.jitProvisioning) {
+      const name = readClaim(claims, config.nameClaim);
+      const { rows: inserted } = await client.query(
+        `
+          INSERT INTO in_kind_tracker.user_account (username, name, status, role_id)
+          VALUES ($1, $2, 'pending', $3)
+          RETURNING user_id
+        `,
+        [email, typeof name === 'string' && name.trim() ? name.trim() : null, config.jitRoleId],
+      );
+      // Re-read so the provisioning role's require_2fa applies.
+      candidate = await fetchLoginCandidate({ userId: inserted[0].user_id }, client);
+    }
+
+    if (!candidate) {
+      await client.query('ROLLBACK');
+      return fail('account_not_found');
+    }
+    const { user } = candidate;
+    if (loginStatusError(user)) {
+      await client.query('ROLLBACK');
+      return fail('account_inactive');
+    }
+
+    const accountKey = accountThrottleKey({ userId: user.user_id });
+    const throttle = await checkLoginThrottle({ accountKey, ipAddress: req.ip }, client);
+    if (throttle) {
+      await client.query('ROLLBACK');
+      return fail(throttle.locked ? 'login_locked' : 'login_throttled');
+    }
+
+    if (candidate.twoFactorEnabled || candidate.twoFactorRequired) {
+      const mfaToken = await createLoginChallenge(user.user_id, client);
+      await client.query('COMMIT');
+      return res.redirect(302, buildRedirectTarget(config.postLoginRedirect, {
+        path: loginState.return_to,
+        fragment: { mfa_token: mfaToken, mfa_enrollment_required: String(!candidate.twoFactorEnabled) },
+      }));
+    }
+
+    await clearAccountFailures(accountKey, client);
+    const sessionId = await openSession(client, user.user_id, req);
+    await client.query('COMMIT');
+
+    setSessionCookie(res, sessionId);
+    return res.redirect(302, buildRedirectTarget(config.postLoginRedirect, { path: loginState.return_to }));
+  } catch (err) {
+    if (client) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction during OIDC login:', rollbackErr);
+      }
+    }
+    console.error('Error completing OIDC login:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+export { router };
@@ -1,23 +1,251 @@
 import express from 'express';
 import { pool } from '../db.js';
+import { isRoutePermission, normalizePermissionName } from '../lib/permissionCatalog.js';
+import { invalidateAllAuthCache } from '../lib/authCache.js';
+import { recordAudit } from '../lib/audit.js';
 
 const router = express.Router();
 
 router.use(express.json());
 
-router.get('/', async (_req, res) => {
+const PERMISSION_COLUMNS = 'permission_id, permission, description, category';
+
+function normalizePermissionRow(row) {
+  if (!row) return row;
+  const { permission_id, permission, description, category } = row;
+  return {
+    permission_id,
+    permission,
+    description: description ?? null,
+    category: category ?? null,
+  };
+}
+
+/**
+ * Optional text fields: undefined means "not provided", null or an empty
+ * string clears the value. Returns `{ error }` for anything else.
+ */
+function parseOptionalText(value, field) {
+  if (value === undefined) {
+    return { provided: false };
+  }
+  if (value === null) {
+    return { provided: true, value: null };
+  }
+  if (typeof value !== 'string') {
+    return { error: `${field} must be a string.` };
+  }
+  return { provided: true, value: value.trim() || null };
+}
+
+async function fetchPermissionById(permissionId, client = pool) {
+  const { rows } = await client.query(
+    `SELECT ${PERMISSION_COLUMNS} FROM in_kind_tracker.permission WHERE permission_id = $1`,
+    [permissionId],
+  );
+  return rows.length ? normalizePermissionRow(rows[0]) : null;
+}
+
+router.get('/', async (req, res) => {
   try {
+    const category = typeof req.query.category === 'string' ? req.query.category.trim() : '';
     const sql = `
-      SELECT permission_id, permission
+      SELECT ${PERMISSION_COLUMNS}
       FROM in_kind_tracker.permission
+      ${category ? 'WHERE category = $1' : ''}
       ORDER BY permission ASC
     `;
-    const { rows } = await pool.query(sql);
-    return res.json(rows);
+    const { rows } = await pool.query(sql, category ? [category] : []);
+    return res.json(rows.map(normalizePermissionRow));
   } catch (err) {
     console.error('Error listing permissions:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
   }
 });
 
+/**
+ * Creates a catalog entry. Names are stored trimmed and lower-cased, which is
+ * how `requirePermissions` compares them.
+ */
+router.post('/', async (req, res) => {
+  const { permission, description, category } = req.body || {};
+
+  if (typeof permission !== 'string' || !normalizePermissionName(permission)) {
+    return res.status(400).json({ error: 'permission is required.' });
+  }
+  const parsedDescription = parseOptionalText(description, 'description');
+  const parsedCategory = parseOptionalText(category, 'category');
+  const invalid = parsedDescription.error || parsedCategory.error;
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `
+        INSERT INTO in_kind_tracker.permission (permission, description, category)
+        VALUES ($1, $2, $3)
+        RETURNING ${PERMISSION_COLUMNS}
+      `,
+      [normalizePermissionName(permission), parsedDescription.value ?? null, parsedCategory.value ?? null],
+    );
+    const created = normalizePermissionRow(rows[0]);
+    await recordAudit(client, req, {
+      action: 'create',
+      resource: 'permission',
+      resourceId: created.permission_id,
+      after: created,
+    });
+    await client.query('COMMIT');
+    return res.status(201).json(created);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err?.code === '23505') {
+      return res.status(409).json({ error: 'A permission with that name already exists.' });
+    }
+    console.error('Error creating permission:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * Updates the description or category. Renaming is refused for permissions
+ * the route map depends on, since requests would start failing, and to any
+ * name the route map or catalog already uses, since every role holding the
+ * permission would silently gain that one.
+ */
+router.patch('/:permission_id', async (req, res) => {
+  const permissionId = Number(req.params.permission_id);
+  if (!Number.isInteger(permissionId) || permissionId <= 0) {
+    return res.status(400).json({ error: 'Invalid permission_id' });
+  }
+
+  const { permission, description, category } = req.body || {};
+  const hasRename = permission !== undefined;
+  if (hasRename && (typeof permission !== 'string' || !normalizePermissionName(permission))) {
+    return res.status(400).json({ error: 'permission cannot be empty.' });
+  }
+  const parsedDescription = parseOptionalText(description, 'description');
+  const parsedCategory = parseOptionalText(category, 'category');
+  const invalid = parsedDescription.error || parsedCategory.error;
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  if (!hasRename && !parsedDescription.provided && !parsedCategory.provided) {
+    return res.status(400).json({ error: 'No updatable fields provided.' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await fetchPermissionById(permissionId, client);
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Permission not found' });
+    }
+    const newName = hasRename ? normalizePermissionName(permission) : existing.permission;
+    if (newName !== existing.permission) {
+      if (isRoutePermission(existing.permission)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Permission is required by the route map and cannot be renamed.' });
+      }
+      if (isRoutePermission(newName)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'That name is used by the route map and cannot be taken by a rename.' });
+      }
+      const { rowCount: taken } = await client.query(
+        'SELECT 1 FROM in_kind_tracker.permission WHERE LOWER(permission) = $1 AND permission_id <> $2 LIMIT 1',
+        [newName, permissionId],
+      );
+      if (taken > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'A permission with that name already exists.' });
+      }
+    }
+
+    const { rows } = await client.query(
+      `
+        UPDATE in_kind_tracker.permission
+        SET permission = $2, description = $3, category = $4
+        WHERE permission_id = $1
+        RETURNING ${PERMISSION_COLUMNS}
+      `,
+      [
+        permissionId,
+        newName,
+        parsedDescription.provided ? parsedDescription.value : existing.description,
+        parsedCategory.provided ? parsedCategory.value : existing.category,
+      ],
+    );
+    const updated = normalizePermissionRow(rows[0]);
+    await recordAudit(client, req, {
+      action: 'update',
+      resource: 'permission',
+      resourceId: permissionId,
+      before: existing,
+      after: updated,
+    });
+    await client.query('COMMIT');
+    if (newName !== existing.permission) {
+      invalidateAllAuthCache();
+    }
+    return res.json(updated);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err?.code === '23505') {
+      return res.status(409).json({ error: 'A permission with that name already exists.' });
+    }
+    console.error('Error updating permission:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * Deletes a permission and its role grants. Permissions the route map
+ * depends on cannot be deleted.
+ */
+router.delete('/:permission_id', async (req, res) => {
+  const permissionId = Number(req.params.permission_id);
+  if (!Number.isInteger(permissionId) || permissionId <= 0) {
+    return res.status(400).json({ error: 'Invalid permission_id' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await fetchPermissionById(permissionId, client);
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Permission not found' });
+    }
+    if (isRoutePermission(existing.permission)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Permission is required by the route map and cannot be deleted.' });
+    }
+    await client.query('DELETE FROM in_kind_tracker.role_permission WHERE permission_id = $1', [permissionId]);
+    await client.query('DELETE FROM in_kind_tracker.permission WHERE permission_id = $1', [permissionId]);
+    await recordAudit(client, req, {
+      action: 'delete',
+      resource: 'permission',
+      resourceId: permissionId,
+      before: existing,
+    });
+    await client.query('COMMIT');
+    invalidateAllAuthCache();
+    return res.status(204).send();
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting permission:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
+  }
+});
+
 export { router };
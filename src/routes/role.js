@@ -1,27 +1,90 @@
 import express from 'express';
 import { pool } from '../db.js';
+import { inheritedPermissionsJsonSql, wouldCreateRoleCycle } from '../lib/roleHierarchy.js';
+import { invalidateAllAuthCache } from '../lib/authCache.js';
+import { recordAudit } from '../lib/audit.js';
+import { setEntityTag, checkPrecondition } from '../lib/preconditions.js';
+import { parseListRequest, queryListPage, setListHeaders } from '../lib/listQuery.js';
+import {
+  sendViolation,
+  roleEffectivePermissions,
+  checkRoleGains,
+  checkAdminRemains,
+  checkCallerKeepsPermissions,
+} from '../lib/privilegeGuards.js';
 
 const router = express.Router();
 
 router.use(express.json());
 
+// Sorting and filtering accepted by GET /role.
+const ROLE_LIST = {
+  archivable: true,
+  defaultSort: 'role_name',
+  tieBreaker: 'page.role_id',
+  sort: {
+    role_id: 'page.role_id',
+    role_name: 'page.role_name',
+    archived_at: 'page.archived_at',
+  },
+  filters: {
+    org_wide: { type: 'boolean', sql: (param) => `COALESCE(page.org_wide, true) = ${param}` },
+    require_2fa: { type: 'boolean', sql: (param) => `COALESCE(page.require_2fa, false) = ${param}` },
+    parent_role_id: { type: 'int', sql: (param) => `page.parent_role_id = ${param}` },
+  },
+};
+
 function normalizeRoleRow(row) {
   if (!row) return row;
-  const { role_id, role_name, default_route, permissions } = row;
+  const {
+    role_id,
+    role_name,
+    default_route,
+    require_2fa,
+    org_wide,
+    parent_role_id,
+    archived_at,
+    archived_by,
+    permissions,
+    inherited_permissions,
+  } = row;
   return {
     role_id,
     role_name,
     default_route: default_route ?? null,
+    require_2fa: Boolean(require_2fa),
+    org_wide: org_wide === undefined || org_wide === null ? true : Boolean(org_wide),
+    parent_role_id: parent_role_id ?? null,
+    archived_at: archived_at ?? null,
+    archived_by: archived_by ?? null,
     permissions: Array.isArray(permissions) ? permissions : [],
+    inherited_permissions: Array.isArray(inherited_permissions) ? inherited_permissions : [],
   };
 }
 
-async function fetchRoleById(roleId, client = pool) {
+/**
+ * parent_role_id may be omitted, null (no parent) or a positive integer.
+ */
+function isValidParentRoleId(value) {
+  return value === undefined || value === null || (Number.isInteger(value) && value > 0);
+}
+
+/**
+ * With `lock`, the role row stays locked until the transaction ends. The lock
+ * is taken in a sub-select because FOR UPDATE cannot be used with GROUP BY.
+ */
+async function fetchRoleById(roleId, client = pool, { lock = false } = {}) {
   const sql = `
     SELECT
       r.role_id,
       r.role_name,
       r.default_route,
+      r.require_2fa,
+      r.org_wide,
+      r.parent_role_id,
+      r.archived_at,
+      r.archived_by,
+      ${inheritedPermissionsJsonSql('r')},
       COALESCE(
         json_agg(
           json_build_object(
@@ -35,21 +98,38 @@ async function fetchRoleById(roleId, client = pool) {
     FROM in_kind_tracker.role r
     LEFT JOIN in_kind_tracker.role_permission rp ON rp.role_id = r.role_id
     LEFT JOIN in_kind_tracker.permission p ON p.permission_id = rp.permission_id
-    WHERE r.role_id = $1
-    GROUP BY r.role_id, r.role_name, r.default_route
+    WHERE r.role_id = ${lock ? '(SELECT role_id FROM in_kind_tracker.role WHERE role_id = $1 FOR UPDATE)' : '$1'}
+    GROUP BY r.role_id, r.role_name, r.default_route, r.require_2fa, r.org_wide, r.parent_role_id, r.archived_at, r.archived_by
     LIMIT 1
   `;
   const { rows } = await client.query(sql, [roleId]);
   return rows.length ? normalizeRoleRow(rows[0]) : null;
 }
 
-router.get('/', async (_req, res) => {
+/**
+ * GET /role
+ * Lists roles a page at a time, by name unless `sort` says otherwise.
+ * Filters: `org_wide`, `require_2fa` and `parent_role_id`. Archived roles are
+ * left out unless `include_archived=true`. The total and page links are in
+ * the `X-Total-Count` and `Link` headers.
+ */
+router.get('/', async (req, res) => {
   try {
+    const list = await parseListRequest(req, ROLE_LIST);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
     const sql = `
       SELECT
         r.role_id,
         r.role_name,
         r.default_route,
+        r.require_2fa,
+        r.org_wide,
+        r.parent_role_id,
+        r.archived_at,
+        r.archived_by,
+        ${inheritedPermissionsJsonSql('r')},
         COALESCE(
           json_agg(
             json_build_object(
@@ -63,10 +143,10 @@ router.get('/', async (_req, res) => {
       FROM in_kind_tracker.role r
       LEFT JOIN in_kind_tracker.role_permission rp ON rp.role_id = r.role_id
       LEFT JOIN in_kind_tracker.permission p ON p.permission_id = rp.permission_id
-      GROUP BY r.role_id, r.role_name, r.default_route
-      ORDER BY r.role_name ASC
+      GROUP BY r.role_id, r.role_name, r.default_route, r.require_2fa, r.org_wide, r.parent_role_id, r.archived_at, r.archived_by
     `;
-    const { rows } = await pool.query(sql);
+    const { rows, total } = await queryListPage(pool, { sql, spec: ROLE_LIST, list });
+    setListHeaders(req, res, { total, limit: list.limit, offset: list.offset });
     return res.json(rows.map(normalizeRoleRow));
   } catch (err) {
     console.error('Error listing roles:', err);
@@ -74,13 +154,43 @@ router.get('/', async (_req, res) => {
   }
 });
 
+router.get('/:role_id', async (req, res) => {
+  try {
+    const roleId = Number(req.params.role_id);
+    if (!Number.isInteger(roleId) || roleId <= 0) {
+      return res.status(400).json({ error: 'Invalid role_id' });
+    }
+    const role = await fetchRoleById(roleId);
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    setEntityTag(res, 'role', role);
+    return res.json(role);
+  } catch (err) {
+    console.error('Error fetching role:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
 router.post('/', async (req, res) => {
-  const { role_name, permission_ids, default_route } = req.body || {};
+  const { role_name, permission_ids, default_route, require_2fa, org_wide, parent_role_id } = req.body || {};
 
   if (!role_name || !String(role_name).trim()) {
     return res.status(400).json({ error: 'role_name is required.' });
   }
 
+  if (!isValidParentRoleId(parent_role_id)) {
+    return res.status(400).json({ error: 'parent_role_id must be a positive integer or null.' });
+  }
+
+  if (require_2fa !== undefined && typeof require_2fa !== 'boolean') {
+    return res.status(400).json({ error: 'require_2fa must be a boolean.' });
+  }
+
+  if (org_wide !== undefined && typeof org_wide !== 'boolean') {
+    return res.status(400).json({ error: 'org_wide must be a boolean.' });
+  }
+
   const trimmedDefaultRoute = default_route === undefined || default_route === null
     ? null
     : String(default_route).trim() || null;
@@ -93,11 +203,14 @@ router.post('/', async (req, res) => {
   try {
     await client.query('BEGIN');
     const insertSql = `
-      INSERT INTO in_kind_tracker.role (role_name, default_route)
-      VALUES ($1, $2)
+      INSERT INTO in_kind_tracker.role (role_name, default_route, require_2fa, org_wide, parent_role_id)
+      VALUES ($1, $2, $3, $4, $5)
       RETURNING role_id
     `;
-    const { rows: insertRows } = await client.query(insertSql, [role_name.trim(), trimmedDefaultRoute]);
+    const { rows: insertRows } = await client.query(
+      insertSql,
+      [role_name.trim(), trimmedDefaultRoute, require_2fa ?? false, org_wide ?? true, parent_role_id ?? null],
+    );
     const newRoleId = insertRows[0].role_id;
 
     if (permissionIds.length > 0) {
@@ -110,9 +223,17 @@ router.post('/', async (req, res) => {
       await client.query(insertPermissionsSql, [newRoleId, permissionIds]);
     }
 
-    await client.query('COMMIT');
+    if (permissionIds.length > 0 || parent_role_id) {
+      const denied = await checkRoleGains(req, newRoleId, new Set(), client);
+      if (denied) {
+        await client.query('ROLLBACK');
+        return sendViolation(res, denied);
+      }
+    }
 
-    const fresh = await fetchRoleById(newRoleId);
+    const fresh = await fetchRoleById(newRoleId, client);
+    await recordAudit(client, req, { action: 'create', resource: 'role', resourceId: newRoleId, after: fresh });
+    await client.query('COMMIT');
     return res.status(201).json(fresh);
   } catch (err) {
     await client.query('ROLLBACK');
@@ -120,6 +241,9 @@ router.post('/', async (req, res) => {
     if (err?.code === '23505') {
       return res.status(409).json({ error: 'A role with that name already exists.' });
     }
+    if (err?.code === '23503') {
+      return res.status(400).json({ error: 'Parent role not found.' });
+    }
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
   } finally {
     client.release();
@@ -128,20 +252,64 @@ router.post('/', async (req, res) => {
 
 router.patch('/:role_id', async (req, res) => {
   const { role_id } = req.params;
-  const { role_name, permission_ids, default_route } = req.body || {};
+  const { role_name, permission_ids, default_route, require_2fa, org_wide, parent_role_id } = req.body || {};
 
   const hasRoleNameUpdate = role_name !== undefined;
   const hasPermissionsUpdate = Array.isArray(permission_ids);
   const hasDefaultRouteUpdate = default_route !== undefined;
+  const hasRequire2faUpdate = require_2fa !== undefined;
+  const hasOrgWideUpdate = org_wide !== undefined;
+  const hasParentUpdate = parent_role_id !== undefined;
 
-  if (!hasRoleNameUpdate && !hasPermissionsUpdate && !hasDefaultRouteUpdate) {
+  if (
+    !hasRoleNameUpdate
+    && !hasPermissionsUpdate
+    && !hasDefaultRouteUpdate
+    && !hasRequire2faUpdate
+    && !hasOrgWideUpdate
+    && !hasParentUpdate
+  ) {
     return res.status(400).json({ error: 'No updatable fields provided.' });
   }
 
+  if (hasRequire2faUpdate && typeof require_2fa !== 'boolean') {
+    return res.status(400).json({ error: 'require_2fa must be a boolean.' });
+  }
+
+  if (hasOrgWideUpdate && typeof org_wide !== 'boolean') {
+    return res.status(400).json({ error: 'org_wide must be a boolean.' });
+  }
+
+  if (!isValidParentRoleId(parent_role_id)) {
+    return res.status(400).json({ error: 'parent_role_id must be a positive integer or null.' });
+  }
+
+  const changesPermissions = hasPermissionsUpdate || hasParentUpdate;
+
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
+    if (hasParentUpdate && parent_role_id !== null && await wouldCreateRoleCycle(role_id, parent_role_id, client)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'parent_role_id would create a cycle in the role hierarchy.' });
+    }
+    const before = await fetchRoleById(role_id, client, { lock: true });
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    const precondition = checkPrecondition(req, 'role', before);
+    if (precondition) {
+      await client.query('ROLLBACK');
+      return sendViolation(res, precondition);
+    }
+    if (before.archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Role is archived; restore it first.' });
+    }
+    const permissionsBefore = changesPermissions ? await roleEffectivePermissions([role_id], client) : null;
+
     if (hasRoleNameUpdate) {
       if (!role_name || !String(role_name).trim()) {
         await client.query('ROLLBACK');
@@ -163,6 +331,27 @@ router.patch('/:role_id', async (req, res) => {
       );
     }
 
+    if (hasRequire2faUpdate) {
+      await client.query(
+        `UPDATE in_kind_tracker.role SET require_2fa = $1 WHERE role_id = $2`,
+        [require_2fa, role_id],
+      );
+    }
+
+    if (hasOrgWideUpdate) {
+      await client.query(
+        `UPDATE in_kind_tracker.role SET org_wide = $1 WHERE role_id = $2`,
+        [org_wide, role_id],
+      );
+    }
+
+    if (hasParentUpdate) {
+      await client.query(
+        `UPDATE in_kind_tracker.role SET parent_role_id = $1 WHERE role_id = $2`,
+        [parent_role_id, role_id],
+      );
+    }
+
     if (hasPermissionsUpdate) {
       const permissionIds = Array.from(
         new Set(permission_ids.map(Number).filter((id) => Number.isInteger(id) && id > 0)),
@@ -200,11 +389,22 @@ router.patch('/:role_id', async (req, res) => {
       }
     }
 
-    await client.query('COMMIT');
-    const fresh = await fetchRoleById(role_id);
-    if (!fresh) {
-      return res.status(404).json({ error: 'Role not found' });
+    if (changesPermissions) {
+      const denied = await checkRoleGains(req, role_id, permissionsBefore, client)
+        || await checkAdminRemains(client)
+        || await checkCallerKeepsPermissions(req, client);
+      if (denied) {
+        await client.query('ROLLBACK');
+        return sendViolation(res, denied);
+      }
     }
+
+    const fresh = await fetchRoleById(role_id, client);
+    await recordAudit(client, req, { action: 'update', resource: 'role', resourceId: role_id, before, after: fresh });
+    await client.query('COMMIT');
+    // Role changes reach every holder and every inheriting role.
+    invalidateAllAuthCache();
+    setEntityTag(res, 'role', fresh);
     return res.json(fresh);
   } catch (err) {
     await client.query('ROLLBACK');
@@ -212,29 +412,175 @@ router.patch('/:role_id', async (req, res) => {
     if (err?.code === '23505') {
       return res.status(409).json({ error: 'A role with that name already exists.' });
     }
+    if (err?.code === '23503') {
+      return res.status(400).json({ error: 'Parent role not found.' });
+    }
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
   } finally {
     client.release();
   }
 });
 
+/**
+ * Archives a role unless that would leave no active user with the protected
+ * permission or strip permissions from the caller. Archived roles grant no
+ * permissions, to their holders or through inheritance, until restored.
+ * Honors `If-Match`.
+ */
 router.delete('/:role_id', async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { role_id } = req.params;
-    const sql = `
-      DELETE FROM in_kind_tracker.role
-      WHERE role_id = $1
-        AND role_name <> 'admin'
-      RETURNING role_id
-    `;
-    const { rows } = await pool.query(sql, [Number(role_id)]);
-    if (rows.length === 0) {
-      return res.status(404).json({ error: 'Role not found or cannot be deleted' });
+    await client.query('BEGIN');
+    const roleId = Number(req.params.role_id);
+    const before = await fetchRoleById(roleId, client, { lock: true });
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    const precondition = checkPrecondition(req, 'role', before);
+    if (precondition) {
+      await client.query('ROLLBACK');
+      return sendViolation(res, precondition);
+    }
+    if (before.archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Role is already archived.' });
+    }
+    await client.query(
+      'UPDATE in_kind_tracker.role SET archived_at = NOW(), archived_by = $2 WHERE role_id = $1',
+      [roleId, req.user?.user_id ?? null],
+    );
+    const denied = await checkAdminRemains(client) || await checkCallerKeepsPermissions(req, client);
+    if (denied) {
+      await client.query('ROLLBACK');
+      return sendViolation(res, denied);
+    }
+    const fresh = await fetchRoleById(roleId, client);
+    await recordAudit(client, req, { action: 'archive', resource: 'role', resourceId: roleId, before, after: fresh });
+    await client.query('COMMIT');
+    invalidateAllAuthCache();
+    return res.status(204).send();
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error archiving role:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * Restores an archived role. Its permissions come back for every holder, so
+ * the caller must hold all of them.
+ */
+router.post('/:role_id/restore', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const roleId = Number(req.params.role_id);
+    const before = await fetchRoleById(roleId, client);
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    if (!before.archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Role is not archived.' });
+    }
+    await client.query(
+      'UPDATE in_kind_tracker.role SET archived_at = NULL, archived_by = NULL WHERE role_id = $1',
+      [roleId],
+    );
+    const denied = await checkRoleGains(req, roleId, new Set(), client);
+    if (denied) {
+      await client.query('ROLLBACK');
+      return sendViolation(res, denied);
     }
+    const fresh = await fetchRoleById(roleId, client);
+    await recordAudit(client, req, { action: 'restore', resource: 'role', resourceId: roleId, before, after: fresh });
+    await client.query('COMMIT');
+    invalidateAllAuthCache();
+    setEntityTag(res, 'role', fresh);
+    return res.json(fresh);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error restoring role:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * Counts where a role is still assigned: as a primary role, an extra role
+ * grant or a per-location role.
+ */
+async function countRoleAssignments(roleId, client = pool) {
+  const { rows } = await client.query(
+    `
+      SELECT
+        (SELECT COUNT(*) FROM in_kind_tracker.user_account WHERE role_id = $1) AS primary_users,
+        (SELECT COUNT(*) FROM in_kind_tracker.user_role WHERE role_id = $1) AS role_grants,
+        (SELECT COUNT(*) FROM in_kind_tracker.user_location WHERE role_id = $1) AS location_grants
+    `,
+    [roleId],
+  );
+  const counts = rows[0] ?? {};
+  return {
+    primary_users: Number(counts.primary_users ?? 0),
+    role_grants: Number(counts.role_grants ?? 0),
+    location_grants: Number(counts.location_grants ?? 0),
+  };
+}
+
+/**
+ * Permanently deletes an archived role and its permission links. Mounted
+ * with its own permission (`purge roles` in server.js). Refused with 409
+ * while any user still holds the role. Honors `If-Match`.
+ */
+router.delete('/:role_id/purge', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const roleId = Number(req.params.role_id);
+    const before = await fetchRoleById(roleId, client, { lock: true });
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    const precondition = checkPrecondition(req, 'role', before);
+    if (precondition) {
+      await client.query('ROLLBACK');
+      return sendViolation(res, precondition);
+    }
+    if (!before.archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Archive the role before purging it.' });
+    }
+    const assignments = await countRoleAssignments(roleId, client);
+    if (Object.values(assignments).some((count) => count > 0)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        code: 'role_in_use',
+        error: 'The role is still assigned to users. Remove those assignments before purging it.',
+        assignments,
+      });
+    }
+    await client.query('DELETE FROM in_kind_tracker.role_permission WHERE role_id = $1', [roleId]);
+    await client.query('DELETE FROM in_kind_tracker.role WHERE role_id = $1', [roleId]);
+    await recordAudit(client, req, { action: 'purge', resource: 'role', resourceId: roleId, before });
+    await client.query('COMMIT');
+    invalidateAllAuthCache();
     return res.status(204).send();
   } catch (err) {
-    console.error('Error deleting role:', err);
+    await client.query('ROLLBACK');
+    console.error('Error purging role:', err);
+    if (err?.code === '23503') {
+      return res.status(409).json({ error: 'The role is still referenced and cannot be purged.' });
+    }
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
   }
 });
 
@@ -0,0 +1,33 @@
+import express from 'express';
+import { parseSearchQuery, searchAll } from '../lib/search.js';
+
+const router = express.Router();
+
+/**
+ * GET /search?q=
+ * Finds users (username, name), roles (role_name) and locations (name, and
+ * notes where the caller may see them) by partial, case-insensitive match.
+ * Archived roles and locations are left out.
+ * Each resource type is searched only when the caller could `GET` its
+ * guardedRoutes entry; location results follow the caller's location scope.
+ * Returns `{ query, types, results }`, best matches first, where each result
+ * is `{ type, id, title, subtitle, url, score }`.
+ */
+router.get('/', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  const parsed = parseSearchQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  try {
+    const { types, results } = await searchAll(req, parsed);
+    return res.json({ query: parsed.q, types, results });
+  } catch (err) {
+    console.error('Error searching:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+export { router };
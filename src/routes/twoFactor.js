@@ -0,0 +1,181 @@
+import express from 'express';
+import { pool } from '../db.js';
+import { buildOtpauthUri } from '../lib/totp.js';
+import {
+  getTwoFactorState,
+  beginEnrollment,
+  activateEnrollment,
+  verifySecondFactor,
+  resetTwoFactor,
+} from '../lib/twoFactor.js';
+import { invalidateUser } from '../lib/authCache.js';
+import { recordAudit } from '../lib/audit.js';
+import { requireInteractiveSession } from '../middleware/interactiveSession.js';
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Practice Pulse';
+
+const router = express.Router();
+
+router.use(express.json());
+
+router.use((req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  return next();
+});
+
+/**
+ * GET /auth/2fa
+ * Reports whether 2FA is enabled or required for the caller.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const state = await getTwoFactorState(req.user.user_id);
+    if (!state) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    return res.json({
+      enabled: state.enabled,
+      required: state.required,
+      enabled_at: state.enabledAt,
+      recovery_codes_remaining: state.enabled ? state.recoveryCodesRemaining : 0,
+    });
+  } catch (err) {
+    console.error('Error fetching two-factor status:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+/**
+ * POST /auth/2fa/enroll
+ * Generates a new secret and returns it with an otpauth:// URI for QR codes.
+ * 2FA is not enforced until the secret is confirmed via POST /auth/2fa/activate.
+ */
+router.post('/enroll', requireInteractiveSession, async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const state = await getTwoFactorState(req.user.user_id, client);
+    if (state?.enabled) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    const secret = await beginEnrollment(req.user.user_id, client);
+    await recordAudit(client, req, { action: 'start_2fa_enrollment', resource: 'user', resourceId: req.user.user_id });
+    await client.query('COMMIT');
+    return res.json({
+      secret,
+      otpauth_uri: buildOtpauthUri({ secret, accountName: req.user.username, issuer: TOTP_ISSUER }),
+    });
+  } catch (err) {
+    if (client) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction during two-factor enrollment:', rollbackErr);
+      }
+    }
+    console.error('Error starting two-factor enrollment:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * POST /auth/2fa/activate
+ * Confirms enrollment with a current code and returns one-time recovery codes.
+ */
+router.post('/activate', requireInteractiveSession, async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) {
+    return res.status(400).json({ error: 'code is required.' });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const state = await getTwoFactorState(req.user.user_id, client);
+    if (!state?.pendingSecret) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Two-factor enrollment has not been started' });
+    }
+    const recoveryCodes = await activateEnrollment(req.user.user_id, code, state, client);
+    if (!recoveryCodes) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+    await recordAudit(client, req, { action: 'enable_2fa', resource: 'user', resourceId: req.user.user_id });
+    await client.query('COMMIT');
+    invalidateUser(req.user.user_id);
+    return res.json({ enabled: true, recovery_codes: recoveryCodes });
+  } catch (err) {
+    if (client) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction during two-factor activation:', rollbackErr);
+      }
+    }
+    console.error('Error activating two-factor authentication:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * DELETE /auth/2fa
+ * Turns 2FA off for the caller after checking a current code. Not allowed
+ * while the caller's role requires 2FA.
+ */
+router.delete('/', requireInteractiveSession, async (req, res) => {
+  const { code, recovery_code } = req.body || {};
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const state = await getTwoFactorState(req.user.user_id, client);
+    if (!state?.enabled) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (state.required) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Your role requires two-factor authentication' });
+    }
+    const verified = await verifySecondFactor(
+      req.user.user_id,
+      { code, recoveryCode: recovery_code },
+      state,
+      client,
+    );
+    if (!verified) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+    await resetTwoFactor(req.user.user_id, client);
+    await recordAudit(client, req, { action: 'disable_2fa', resource: 'user', resourceId: req.user.user_id });
+    await client.query('COMMIT');
+    invalidateUser(req.user.user_id);
+    return res.status(204).send();
+  } catch (err) {
+    if (client) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction during two-factor disable:', rollbackErr);
+      }
+    }
+    console.error('Error disabling two-factor authentication:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
+  }
+});
+
+export { router, TOTP_ISSUER };
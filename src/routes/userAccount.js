@@ -1,15 +1,99 @@
 import express from 'express';
 import { pool } from '../db.js';
+import { generateToken, hashToken } from '../lib/tokens.js';
+import { revokeUserSessions, revokeImpersonationsOf } from '../lib/sessions.js';
+import { resetTwoFactor } from '../lib/twoFactor.js';
+import { unlockAccount, listLoginEvents } from '../lib/loginThrottle.js';
+import {
+  USER_ROLES_SQL,
+  userRolesJsonSql,
+  parseRoleGrant,
+  addUserRole,
+  listUserRoleGrants,
+  removeUserRole,
+} from '../lib/userRoles.js';
+import { listUserPermissions } from '../middleware/authorization.js';
+import { invalidateUser } from '../lib/authCache.js';
+import { applyFieldPolicy } from '../lib/fieldPolicies.js';
+import { recordAudit } from '../lib/audit.js';
+import { setEntityTag, checkPrecondition } from '../lib/preconditions.js';
+import { parseListRequest, queryListPage, setListHeaders } from '../lib/listQuery.js';
+import {
+  sendViolation,
+  checkGrantable,
+  checkRolesAssignable,
+  checkUserKeepsAdmin,
+  checkSelfChange,
+} from '../lib/privilegeGuards.js';
+import {
+  parseTokenRequest,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+} from '../lib/apiTokens.js';
 
 const router = express.Router();
 
 router.use(express.json());
 
 const ALLOWED_STATUS = new Set(['pending', 'active', 'inactive']);
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
 
+// Sorting and filtering accepted by GET /user.
+const USER_LIST = {
+  resource: 'user',
+  defaultSort: '-created_at',
+  tieBreaker: 'page.user_id',
+  sort: {
+    user_id: 'page.user_id',
+    username: 'page.username',
+    name: 'page.name',
+    status: 'page.status',
+    role_name: 'page.role_name',
+    created_at: 'page.created_at',
+    last_login_at: 'page.last_login_at',
+  },
+  filters: {
+    status: { type: 'enum', values: Array.from(ALLOWED_STATUS), sql: (param) => `page.status = ${param}` },
+    // Any role the user currently holds, not only the primary one.
+    role_id: {
+      type: 'int',
+      sql: (param) => `EXISTS (SELECT 1 FROM (${USER_ROLES_SQL}) ur WHERE ur.user_id = page.user_id AND ur.role_id = ${param})`,
+    },
+    is_service_account: {
+      type: 'boolean',
+      sql: (param) => `COALESCE(page.is_service_account, false) = ${param}`,
+    },
+    created_after: { type: 'timestamp', field: 'created_at', sql: (param) => `page.created_at >= ${param}` },
+    created_before: { type: 'timestamp', field: 'created_at', sql: (param) => `page.created_at < ${param}` },
+  },
+};
+
+// Credential columns live on user_account but must never leave the API.
+const SENSITIVE_USER_COLUMNS = [
+  'password_hash',
+  'password_reset_token_hash',
+  'password_reset_expires_at',
+  'totp_secret',
+  'totp_pending_secret',
+  'totp_last_used_step',
+];
+
+/**
+ * `role_id`/`role_name`/`default_route` describe the primary role; `roles`
+ * lists every role the user holds. Rows selected without the aggregated
+ * `roles` column fall back to just the primary role.
+ */
 function normalizeUserRow(row) {
   if (!row) return row;
-  const { user_id, role_id, role_name, default_route, ...rest } = row;
+  const { user_id, role_id, role_name, default_route, roles, ...columns } = row;
+  const rest = { ...columns };
+  SENSITIVE_USER_COLUMNS.forEach((column) => {
+    delete rest[column];
+  });
+  const primaryRoles = role_id
+    ? [{ role_id, role_name: role_name ?? null, default_route: default_route ?? null, primary: true }]
+    : [];
   return {
     user_id,
     role_id,
@@ -17,6 +101,7 @@ function normalizeUserRow(row) {
     role: role_name ?? null,
     app_role: role_name ?? null,
     default_route: default_route ?? null,
+    roles: Array.isArray(roles) ? roles : primaryRoles,
     ...rest,
   };
 }
@@ -43,28 +128,63 @@ async function ensureRoleExists(roleId) {
   if (!Number.isInteger(parsed) || parsed < 1) {
     throw new Error('role_id must be a positive integer');
   }
-  const { rowCount } = await pool.query(
-    'SELECT 1 FROM in_kind_tracker.role WHERE role_id = $1 LIMIT 1',
+  const { rows } = await pool.query(
+    'SELECT archived_at FROM in_kind_tracker.role WHERE role_id = $1 LIMIT 1',
     [parsed],
   );
-  if (rowCount === 0) {
+  if (rows.length === 0) {
     throw new Error('Referenced role does not exist');
   }
+  if (rows[0].archived_at) {
+    throw new Error('Referenced role is archived');
+  }
   return parsed;
 }
 
-async function fetchUserById(userId, client = pool) {
+/**
+ * With `lock`, the user row stays locked until the transaction ends.
+ */
+async function fetchUserById(userId, client = pool, { lock = false } = {}) {
   const sql = `
-    SELECT ua.*, r.role_name, r.default_route
+    SELECT ua.*, r.role_name, r.default_route, ${userRolesJsonSql('ua')}
     FROM in_kind_tracker.user_account ua
     LEFT JOIN in_kind_tracker.role r ON r.role_id = ua.role_id
     WHERE ua.user_id = $1
     LIMIT 1
+    ${lock ? 'FOR UPDATE OF ua' : ''}
   `;
   const { rows } = await client.query(sql, [userId]);
   return rows.length ? normalizeUserRow(rows[0]) : null;
 }
 
+/**
+ * Privilege checks for a PATCH that changes `role_id` or deactivates
+ * `target`, run before the UPDATE. Returns a violation or null.
+ */
+async function checkUserUpdate(req, target, { roleProvided, roleId, deactivating }, client = pool) {
+  const userId = target.user_id;
+  const roleChange = roleProvided && roleId !== target.role_id;
+  const deactivates = deactivating && target.status !== 'inactive';
+  if (!roleChange && !deactivates) {
+    return null;
+  }
+  const selfChange = checkSelfChange(req, userId, { roleChange, deactivating: deactivates });
+  if (selfChange) {
+    return selfChange;
+  }
+  if (roleChange && roleId !== null) {
+    const escalation = await checkRolesAssignable(req, [roleId], client);
+    if (escalation) {
+      return escalation;
+    }
+  }
+  const extraRoleIds = target.roles.filter((role) => !role.primary).map((role) => role.role_id);
+  return checkUserKeepsAdmin(userId, {
+    roleIds: roleChange ? (roleId === null ? extraRoleIds : [...extraRoleIds, roleId]) : null,
+    deactivating: deactivates,
+  }, client);
+}
+
 function validateEmail(username) {
   if (!username) {
     throw new Error('username (email) is required');
@@ -77,16 +197,27 @@ function validateEmail(username) {
   return trimmed;
 }
 
-router.get('/', async (_req, res) => {
+/**
+ * GET /user
+ * Lists users a page at a time (`limit`, `offset`), newest first unless
+ * `sort` says otherwise. Filters: `status`, `role_id`, `is_service_account`,
+ * `created_after` and `created_before`. The total and page links are in the
+ * `X-Total-Count` and `Link` headers.
+ */
+router.get('/', async (req, res) => {
   try {
+    const list = await parseListRequest(req, USER_LIST);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
     const sql = `
-      SELECT ua.*, r.role_name, r.default_route
+      SELECT ua.*, r.role_name, r.default_route, ${userRolesJsonSql('ua')}
       FROM in_kind_tracker.user_account ua
       LEFT JOIN in_kind_tracker.role r ON r.role_id = ua.role_id
-      ORDER BY created_at DESC, user_id DESC
     `;
-    const { rows } = await pool.query(sql);
-    return res.json(rows.map(normalizeUserRow));
+    const { rows, total } = await queryListPage(pool, { sql, spec: USER_LIST, list });
+    setListHeaders(req, res, { total, limit: list.limit, offset: list.offset });
+    return res.json(await applyFieldPolicy(req, 'user', rows.map(normalizeUserRow)));
   } catch (err) {
     console.error('Error listing users:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
@@ -100,7 +231,8 @@ router.get('/:user_id', async (req, res) => {
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    return res.json(user);
+    setEntityTag(res, 'user', user);
+    return res.json(await applyFieldPolicy(req, 'user', user));
   } catch (err) {
     console.error('Error fetching user:', err);
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
@@ -108,6 +240,7 @@ router.get('/:user_id', async (req, res) => {
 });
 
 router.post('/', async (req, res) => {
+  let client;
   try {
     const {
       username,
@@ -115,16 +248,28 @@ router.post('/', async (req, res) => {
       status,
       profile_image_url,
       role_id,
+      is_service_account,
     } = req.body || {};
 
+    if (is_service_account !== undefined && typeof is_service_account !== 'boolean') {
+      throw new Error('is_service_account must be a boolean');
+    }
+    const serviceAccount = is_service_account === true;
     const validatedUsername = validateEmail(username);
-    const validatedStatus = validateStatus(status) ?? 'pending';
+    // Service accounts never sign in interactively, so there is no login to activate them.
+    const validatedStatus = validateStatus(status) ?? (serviceAccount ? 'active' : 'pending');
     const validatedRoleId = await ensureRoleExists(role_id);
+    if (validatedRoleId !== null) {
+      const escalation = await checkRolesAssignable(req, [validatedRoleId]);
+      if (escalation) {
+        return sendViolation(res, escalation);
+      }
+    }
 
     const sql = `
       INSERT INTO in_kind_tracker.user_account
-        (username, name, status, profile_image_url, role_id)
-      VALUES ($1, $2, $3, $4, $5)
+        (username, name, status, profile_image_url, role_id, is_service_account)
+      VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING *
     `;
     const params = [
@@ -133,12 +278,20 @@ router.post('/', async (req, res) => {
       validatedStatus,
       profile_image_url ?? null,
       validatedRoleId ?? null,
+      serviceAccount,
     ];
 
-    const { rows } = await pool.query(sql, params);
-    const created = await fetchUserById(rows[0].user_id);
-    return res.status(201).json(created ?? normalizeUserRow(rows[0]));
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(sql, params);
+    const created = await fetchUserById(rows[0].user_id, client) ?? normalizeUserRow(rows[0]);
+    await recordAudit(client, req, { action: 'create', resource: 'user', resourceId: created.user_id, after: created });
+    await client.query('COMMIT');
+    return res.status(201).json(await applyFieldPolicy(req, 'user', created));
   } catch (err) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
     console.error('Error creating user:', err);
     if (err?.code === '23505') {
       return res.status(409).json({ error: 'A user with that username already exists.' });
@@ -147,12 +300,15 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: err.message });
     }
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
   }
 });
 
 router.patch('/:user_id', async (req, res) => {
+  let client;
   try {
-    const { user_id } = req.params;
+    const userId = Number(req.params.user_id);
     const payload = req.body || {};
     const entries = Object.entries(payload);
     if (entries.length === 0) {
@@ -161,6 +317,9 @@ router.patch('/:user_id', async (req, res) => {
 
     const setClauses = [];
     const values = [];
+    let deactivating = false;
+    let roleProvided = false;
+    let newRoleId = null;
 
     for (const [key, value] of entries) {
       switch (key) {
@@ -179,12 +338,15 @@ router.patch('/:user_id', async (req, res) => {
           const validated = validateStatus(value);
           values.push(validated);
           setClauses.push(`status = $${values.length}`);
+          deactivating = validated === 'inactive';
           break;
         }
         case 'role_id': {
           const validated = await ensureRoleExists(value);
           values.push(validated ?? null);
           setClauses.push(`role_id = $${values.length}`);
+          roleProvided = true;
+          newRoleId = validated;
           break;
         }
         case 'last_login_at':
@@ -198,21 +360,53 @@ router.patch('/:user_id', async (req, res) => {
       return res.status(400).json({ error: 'No updatable fields provided' });
     }
 
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const before = await fetchUserById(userId, client, { lock: true });
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const precondition = checkPrecondition(req, 'user', before);
+    if (precondition) {
+      await client.query('ROLLBACK');
+      return sendViolation(res, precondition);
+    }
+    if (roleProvided || deactivating) {
+      const denied = await checkUserUpdate(req, before, {
+        roleProvided,
+        roleId: newRoleId,
+        deactivating,
+      }, client);
+      if (denied) {
+        await client.query('ROLLBACK');
+        return sendViolation(res, denied);
+      }
+    }
+
     const sql = `
       UPDATE in_kind_tracker.user_account
       SET ${setClauses.join(', ')}
       WHERE user_id = $${values.length + 1}
       RETURNING *
     `;
-    values.push(Number(user_id));
+    values.push(userId);
 
-    const { rows } = await pool.query(sql, values);
-    if (rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    const { rows } = await client.query(sql, values);
+    if (deactivating) {
+      await revokeUserSessions(userId, { client });
+      await revokeImpersonationsOf(userId, client);
     }
-    const updated = await fetchUserById(rows[0].user_id);
-    return res.json(updated ?? normalizeUserRow(rows[0]));
+    const updated = await fetchUserById(userId, client) ?? normalizeUserRow(rows[0]);
+    await recordAudit(client, req, { action: 'update', resource: 'user', resourceId: userId, before, after: updated });
+    await client.query('COMMIT');
+    invalidateUser(userId);
+    setEntityTag(res, 'user', updated);
+    return res.json(await applyFieldPolicy(req, 'user', updated));
   } catch (err) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
     console.error('Error updating user:', err);
     if (err?.code === '23505') {
       return res.status(409).json({ error: 'A user with that username already exists.' });
@@ -221,6 +415,479 @@ router.patch('/:user_id', async (req, res) => {
       return res.status(400).json({ error: err.message });
     }
     return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * POST /user/:user_id/password-reset
+ * Issues a single-use password reset token for the user. The token is only
+ * returned here; the database keeps its hash. Redeem it via POST /auth/password/reset.
+ */
+router.post('/:user_id/password-reset', async (req, res) => {
+  const userId = Number(req.params.user_id);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const resetToken = generateToken();
+    const sql = `
+      UPDATE in_kind_tracker.user_account
+      SET password_reset_token_hash = $1,
+          password_reset_expires_at = NOW() + make_interval(mins => $2)
+      WHERE user_id = $3
+      RETURNING user_id, password_reset_expires_at
+    `;
+    const { rows } = await client.query(sql, [hashToken(resetToken), PASSWORD_RESET_TTL_MINUTES, userId]);
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await recordAudit(client, req, { action: 'password_reset', resource: 'user', resourceId: userId, after: rows[0] });
+    await client.query('COMMIT');
+    return res.status(201).json({
+      user_id: rows[0].user_id,
+      reset_token: resetToken,
+      expires_at: rows[0].password_reset_expires_at,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error issuing password reset:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /user/:user_id/sessions
+ * Signs the user out of every device.
+ */
+router.delete('/:user_id/sessions', async (req, res) => {
+  const userId = Number(req.params.user_id);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rowCount } = await client.query(
+      'SELECT 1 FROM in_kind_tracker.user_account WHERE user_id = $1 LIMIT 1',
+      [userId],
+    );
+    if (rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const revoked = await revokeUserSessions(userId, { client });
+    await recordAudit(client, req, { action: 'revoke_sessions', resource: 'user', resourceId: userId, after: { revoked } });
+    await client.query('COMMIT');
+    invalidateUser(userId);
+    return res.json({ user_id: userId, revoked });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error revoking user sessions:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /user/:user_id/2fa
+ * Clears the user's authenticator secret and recovery codes (e.g. a lost
+ * phone). If their role requires 2FA they will re-enroll at next login.
+ */
+router.delete('/:user_id/2fa', async (req, res) => {
+  const userId = Number(req.params.user_id);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const reset = await resetTwoFactor(userId, client);
+    if (!reset) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await recordAudit(client, req, { action: 'reset_2fa', resource: 'user', resourceId: userId });
+    await client.query('COMMIT');
+    invalidateUser(userId);
+    return res.status(204).send();
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error resetting two-factor authentication:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /user/:user_id/unlock
+ * Clears the user's failed-login counter so they can sign in again before
+ * the lockout expires. Lockouts on the caller's IP are not affected.
+ */
+router.post('/:user_id/unlock', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const user = await fetchUserById(Number(req.params.user_id), client);
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const unlocked = await unlockAccount(user.user_id, {
+      actorUserId: req.user?.user_id ?? null,
+      username: user.username,
+    }, client);
+    await recordAudit(client, req, { action: 'unlock', resource: 'user', resourceId: user.user_id, after: { unlocked } });
+    await client.query('COMMIT');
+    return res.json({ user_id: user.user_id, unlocked });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error unlocking user:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /user/:user_id/login-events
+ * Recent failed, locked and unlocked sign-in events for the user, newest first.
+ */
+router.get('/:user_id/login-events', async (req, res) => {
+  try {
+    const events = await listLoginEvents(Number(req.params.user_id));
+    return res.json(events);
+  } catch (err) {
+    console.error('Error listing login events:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+/**
+ * GET /user/:user_id/roles
+ * Lists the user's additional role grants, including scheduled and expired
+ * ones, with their window, reason and status.
+ */
+router.get('/:user_id/roles', async (req, res) => {
+  try {
+    const userId = Number(req.params.user_id);
+    const user = await fetchUserById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const grants = await listUserRoleGrants(userId);
+    return res.json({ user_id: userId, role_id: user.role_id, grants });
+  } catch (err) {
+    console.error('Error listing user roles:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+/**
+ * POST /user/:user_id/roles
+ * Grants an additional role. The primary role stays on `role_id`. Optional
+ * `starts_at`/`expires_at` make the grant temporary and `reason` records why
+ * it was given. Granting the user's primary role is refused with 409.
+ */
+router.post('/:user_id/roles', async (req, res) => {
+  let client;
+  try {
+    const userId = Number(req.params.user_id);
+    let roleId;
+    let grant;
+    try {
+      grant = parseRoleGrant(req.body || {});
+      roleId = await ensureRoleExists(req.body?.role_id);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    if (roleId === null) {
+      return res.status(400).json({ error: 'role_id is required' });
+    }
+    const user = await fetchUserById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const denied = checkSelfChange(req, userId, { roleChange: true })
+      || await checkRolesAssignable(req, [roleId]);
+    if (denied) {
+      return sendViolation(res, denied);
+    }
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const added = await addUserRole(userId, roleId, { ...grant, grantedBy: req.user?.user_id ?? null }, client);
+    if (!added) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: "Role is already the user's primary role" });
+    }
+    await recordAudit(client, req, {
+      action: 'grant_role',
+      resource: 'user',
+      resourceId: userId,
+      after: { role_id: roleId, starts_at: grant.startsAt, expires_at: grant.expiresAt, reason: grant.reason },
+    });
+    const updated = await fetchUserById(userId, client);
+    await client.query('COMMIT');
+    invalidateUser(userId);
+    return res.status(added === 'inserted' ? 201 : 200).json(await applyFieldPolicy(req, 'user', updated));
+  } catch (err) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Error adding user role:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * DELETE /user/:user_id/roles/:role_id
+ * Removes an additional role. Change the primary role with PATCH instead.
+ */
+router.delete('/:user_id/roles/:role_id', async (req, res) => {
+  let client;
+  try {
+    const userId = Number(req.params.user_id);
+    const roleId = Number(req.params.role_id);
+    const user = await fetchUserById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.role_id === roleId) {
+      return res.status(409).json({ error: 'Cannot remove the primary role; set a different role_id first' });
+    }
+    const remaining = user.roles.map((role) => role.role_id).filter((id) => id !== roleId);
+    const denied = checkSelfChange(req, userId, { roleChange: true })
+      || await checkUserKeepsAdmin(userId, { roleIds: remaining });
+    if (denied) {
+      return sendViolation(res, denied);
+    }
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const removed = await removeUserRole(userId, roleId, client);
+    if (!removed) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User does not have that role' });
+    }
+    await recordAudit(client, req, { action: 'revoke_role', resource: 'user', resourceId: userId, before: { role_id: roleId } });
+    await client.query('COMMIT');
+    invalidateUser(userId);
+    return res.status(204).send();
+  } catch (err) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Error removing user role:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
+  }
+});
+
+async function fetchUserLocations(userId, client = pool) {
+  const { rows } = await client.query(
+    `
+      SELECT ul.location_id, l.name AS location_name, ul.role_id, r.role_name
+      FROM in_kind_tracker.user_location ul
+      JOIN in_kind_tracker.location l ON l.location_id = ul.location_id
+      LEFT JOIN in_kind_tracker.role r ON r.role_id = ul.role_id
+      WHERE ul.user_id = $1
+      ORDER BY l.name ASC, ul.location_id ASC
+    `,
+    [userId],
+  );
+  return rows;
+}
+
+/**
+ * GET /user/:user_id/locations
+ * Lists the locations a user is assigned to and any per-location role.
+ */
+router.get('/:user_id/locations', async (req, res) => {
+  try {
+    const locations = await fetchUserLocations(Number(req.params.user_id));
+    return res.json(locations);
+  } catch (err) {
+    console.error('Error listing user locations:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+/**
+ * PUT /user/:user_id/locations/:location_id
+ * Assigns the user to a location. An optional `role_id` grants that role's
+ * permissions at this location only.
+ */
+router.put('/:user_id/locations/:location_id', async (req, res) => {
+  const userId = Number(req.params.user_id);
+  const locationId = Number(req.params.location_id);
+  const { role_id } = req.body || {};
+  const roleId = role_id === undefined || role_id === null ? null : Number(role_id);
+  if (roleId !== null && (!Number.isInteger(roleId) || roleId <= 0)) {
+    return res.status(400).json({ error: 'role_id must be a positive integer or null.' });
+  }
+
+  // Location assignments widen the user's scope, so they count as role changes.
+  const selfChange = checkSelfChange(req, userId, { roleChange: true });
+  if (selfChange) {
+    return sendViolation(res, selfChange);
+  }
+
+  let client;
+  try {
+    if (roleId !== null) {
+      const escalation = await checkRolesAssignable(req, [roleId]);
+      if (escalation) {
+        return sendViolation(res, escalation);
+      }
+    }
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const findAssignment = (locations) => locations.find((location) => location.location_id === locationId) ?? null;
+    const before = findAssignment(await fetchUserLocations(userId, client));
+    await client.query(
+      `
+        INSERT INTO in_kind_tracker.user_location (user_id, location_id, role_id)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (user_id, location_id) DO UPDATE SET role_id = EXCLUDED.role_id
+      `,
+      [userId, locationId, roleId],
+    );
+    const after = findAssignment(await fetchUserLocations(userId, client));
+    await recordAudit(client, req, { action: 'assign_location', resource: 'user', resourceId: userId, before, after });
+    await client.query('COMMIT');
+    return res.json(after);
+  } catch (err) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    if (err?.code === '23503') {
+      return res.status(404).json({ error: 'User, location or role not found' });
+    }
+    console.error('Error assigning user location:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * DELETE /user/:user_id/locations/:location_id
+ * Removes a location assignment.
+ */
+router.delete('/:user_id/locations/:location_id', async (req, res) => {
+  const userId = Number(req.params.user_id);
+  const selfChange = checkSelfChange(req, userId, { roleChange: true });
+  if (selfChange) {
+    return sendViolation(res, selfChange);
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'DELETE FROM in_kind_tracker.user_location WHERE user_id = $1 AND location_id = $2 RETURNING *',
+      [userId, Number(req.params.location_id)],
+    );
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Location assignment not found' });
+    }
+    await recordAudit(client, req, { action: 'remove_location', resource: 'user', resourceId: userId, before: rows[0] });
+    await client.query('COMMIT');
+    return res.status(204).send();
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error removing user location:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /user/:user_id/tokens
+ * Lists a user's active API tokens (metadata only).
+ */
+router.get('/:user_id/tokens', async (req, res) => {
+  try {
+    const tokens = await listApiTokens(Number(req.params.user_id));
+    return res.json(tokens);
+  } catch (err) {
+    console.error('Error listing user API tokens:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  }
+});
+
+/**
+ * POST /user/:user_id/tokens
+ * Issues an API token for a service account. Personal tokens for people are
+ * created by the owner through POST /auth/tokens. The token's permissions
+ * must be ones the caller holds.
+ */
+router.post('/:user_id/tokens', async (req, res) => {
+  let client;
+  try {
+    const user = await fetchUserById(Number(req.params.user_id));
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.is_service_account) {
+      return res.status(409).json({ error: 'Admins can only issue tokens for service accounts' });
+    }
+    const ownerPermissions = await listUserPermissions(user.user_id);
+    let request;
+    try {
+      request = parseTokenRequest(req.body || {}, ownerPermissions);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+    // An unscoped token carries everything the account holds.
+    const denied = await checkGrantable(req, request.permissions ?? ownerPermissions);
+    if (denied) {
+      return sendViolation(res, denied);
+    }
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const created = await createApiToken(user.user_id, request, { createdBy: req.user?.user_id ?? null, client });
+    const { token: _token, ...tokenRow } = created;
+    await recordAudit(client, req, { action: 'create_token', resource: 'user', resourceId: user.user_id, after: tokenRow });
+    await client.query('COMMIT');
+    return res.status(201).json(created);
+  } catch (err) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Error creating service account token:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * DELETE /user/:user_id/tokens/:token_id
+ * Revokes any user's API token.
+ */
+router.delete('/:user_id/tokens/:token_id', async (req, res) => {
+  const userId = Number(req.params.user_id);
+  const tokenId = Number(req.params.token_id);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const revoked = await revokeApiToken(userId, tokenId, client);
+    if (!revoked) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'API token not found' });
+    }
+    await recordAudit(client, req, { action: 'revoke_token', resource: 'user', resourceId: userId, before: { api_token_id: tokenId } });
+    await client.query('COMMIT');
+    return res.status(204).send();
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error revoking user API token:', err);
+    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
+  } finally {
+    client.release();
   }
 });
 
@@ -5,113 +5,110 @@ import { router as locationRoute } from './routes/location.js';
 import { router as permissionRoute } from './routes/permission.js';
 import { router as roleRoute } from './routes/role.js';
 import { router as allowedPermissionsRoute } from './routes/allowedPermissions.js';
-import { router as authRoute, extractSessionId, fetchUserBySession, clearSessionCookie } from './routes/auth.js';
+import { router as authRoute } from './routes/auth.js';
+import { router as oidcRoute } from './routes/oidc.js';
+import { router as impersonationRoute } from './routes/impersonation.js';
+import { router as magicLinkRoute } from './routes/magicLink.js';
 import { router as userAccountRoute } from './routes/userAccount.js';
+import { router as auditRoute } from './routes/audit.js';
+import { router as searchRoute } from './routes/search.js';
 import { assertDbConnection, pool } from './db.js';
 import { requirePermissions } from './middleware/authorization.js';
+import { authenticateRequest } from './middleware/authentication.js';
+import { cors } from './middleware/cors.js';
+import { verifyCsrfToken } from './middleware/csrf.js';
+import { blockImpersonatedActions } from './middleware/impersonation.js';
+import { purgeExpiredSessions } from './lib/sessions.js';
+import { registerGuardedRoutes, syncRoutePermissions } from './lib/permissionCatalog.js';
+import { startAuthCache, stopAuthCache } from './lib/authCache.js';
+import { createRoleGrantSweeper } from './lib/userRoles.js';
+import { getMagicLinkConfig } from './lib/magicLinks.js';
+import { assertMailTransportConfigured } from './lib/mail.js';
 
 dotenv.config();
 
-const app = express();
-
-const AUTH_EXEMPT_PATHS = new Set(['/auth/login', '/auth/logout', '/auth/users', '/health']);
-
-function isAuthExemptPath(pathname) {
-  if (!pathname) return false;
-  const normalized = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
-  if (AUTH_EXEMPT_PATHS.has(normalized)) {
-    return true;
-  }
-  for (const exempt of AUTH_EXEMPT_PATHS) {
-    if (
-      normalized.length > exempt.length &&
-      normalized.endsWith(exempt) &&
-      normalized.charAt(normalized.length - exempt.length - 1) === '/'
-    ) {
-      return true;
-    }
-  }
-  return false;
+/**
+ * TRUST_PROXY is passed to Express `trust proxy`: `true`/`false`, the number
+ * of proxy hops in front of the API, or a comma-separated list of trusted
+ * addresses or subnets. Unset leaves it off, so `req.ip` is the socket peer.
+ */
+function parseTrustProxy(value) {
+  const trimmed = String(value ?? '').trim();
+  if (!trimmed) return null;
+  if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+  if (/^\d+$/.test(trimmed)) return Number(trimmed);
+  return trimmed.split(',').map((entry) => entry.trim()).filter(Boolean);
 }
 
-// Minimal CORS for dev with credential support
-app.use((req, res, next) => {
-  const origin = req.headers.origin;
-  if (origin) {
-    res.set('Access-Control-Allow-Origin', origin);
-    res.set('Vary', 'Origin');
-    res.set('Access-Control-Allow-Credentials', 'true');
-  } else {
-    res.set('Access-Control-Allow-Origin', '*');
-  }
-  res.set('Access-Control-Allow-Methods', 'GET,POST,PATCH,OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type');
-  if (req.method === 'OPTIONS') {
-    return res.sendStatus(204);
-  }
-  next();
-});
-
-const updateSessionActivity = async (sessionId) => {
-  try {
-    await pool.query('UPDATE in_kind_tracker.user_session SET last_seen_at = NOW() WHERE session_id = $1', [sessionId]);
-  } catch (err) {
-    console.error('Failed to update session activity:', err?.message || err);
-  }
-};
-
-app.use(async (req, res, next) => {
-  try {
-    if (req.method === 'OPTIONS' || isAuthExemptPath(req.path)) {
-      return next();
-    }
+const app = express();
 
-    const sessionId = extractSessionId(req);
-    if (!sessionId) {
-      clearSessionCookie(res);
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
+const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+if (trustProxy !== null) {
+  // Login throttling is keyed by req.ip; behind a proxy every client would
+  // otherwise share the proxy's address and one IP lockout would block all.
+  app.set('trust proxy', trustProxy);
+}
 
-    const user = await fetchUserBySession(sessionId);
-    if (!user) {
-      clearSessionCookie(res);
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
+app.use(cors);
 
-    req.sessionId = sessionId;
-    req.user = user;
-    updateSessionActivity(sessionId);
-    return next();
-  } catch (err) {
-    console.error('Error authenticating request:', err);
-    return res.status(500).json({ error: 'Internal server error, ' + (err?.message || err) });
-  }
-});
+app.use(authenticateRequest);
+app.use(verifyCsrfToken);
+app.use(blockImpersonatedActions);
 
 app.get('/health', (_, res) => res.json({ ok: true }));
 
 // Mount routes
+app.use('/auth/oidc', oidcRoute);
+app.use('/auth/impersonate', impersonationRoute);
+app.use('/auth/magic-link', magicLinkRoute);
 app.use('/auth', authRoute);
 
 const guardedRoutes = [
-  ['/location', locationRoute, { read: 'view locations', manage: 'manage locations' }],
+  [
+    '/location',
+    locationRoute,
+    {
+      read: 'view locations',
+      manage: 'manage locations',
+      scope: 'location',
+      actions: { 'DELETE /:location_id/purge': 'purge locations' },
+    },
+  ],
   ['/permission', permissionRoute, { read: 'manage users', manage: 'manage users' }],
-  ['/role', roleRoute, { read: 'manage users', manage: 'manage users' }],
+  ['/role', roleRoute, { read: 'manage users', manage: 'manage users', actions: { 'DELETE /:role_id/purge': 'purge roles' } }],
   ['/allowed-permissions', allowedPermissionsRoute, { read: 'manage users', manage: 'manage users' }],
   ['/user', userAccountRoute, { read: 'view users', manage: 'manage users' }],
+  ['/audit', auditRoute, { read: 'view audit log', manage: 'view audit log' }],
 ];
 
 guardedRoutes.forEach(([path, router, permissions]) => {
   app.use(path, requirePermissions(permissions), router);
 });
+registerGuardedRoutes(guardedRoutes);
+
+// Search checks each resource type against the guardedRoutes read permission itself.
+app.use('/search', searchRoute);
 
 // Start after confirming DB connectivity
 const port = process.env.PORT || 3001;
+const SESSION_PURGE_INTERVAL_MINUTES = Number(process.env.SESSION_PURGE_INTERVAL_MINUTES || 60);
+const ROLE_GRANT_SWEEP_SECONDS = Number(process.env.ROLE_GRANT_SWEEP_SECONDS || 60);
 console.log('[Server] Starting Practice Pulse API');
 console.log('[Server] PORT =', port);
 console.log('[Server] NODE_ENV =', process.env.NODE_ENV || 'development');
 
 assertDbConnection()
+  // Sign-in links must go through a configured transport, never the console default.
+  .then(() => {
+    if (getMagicLinkConfig().enabled) {
+      assertMailTransportConfigured('MAGIC_LINK_ENABLED=true');
+    }
+  })
+  // Every permission in guardedRoutes must exist in the permission table;
+  // PERMISSION_SYNC_MODE picks fail, warn or insert for missing ones.
+  .then(() => syncRoutePermissions(guardedRoutes))
+  // AUTH_CACHE_BACKEND=postgres shares cache invalidations between instances.
+  .then(() => startAuthCache())
   .then(() => {
     app
       .listen(port, () => {
@@ -122,14 +119,46 @@ assertDbConnection()
         process.exit(1);
       });
   })
+  .then(() => {
+    const purge = async () => {
+      try {
+        const purged = await purgeExpiredSessions();
+        if (purged > 0) {
+          console.log(`[Server] Purged ${purged} expired session(s)`);
+        }
+      } catch (err) {
+        console.error('[Server] Failed to purge expired sessions:', err?.message || err);
+      }
+    };
+    purge();
+    setInterval(purge, SESSION_PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+  })
+  .then(() => {
+    // Time-bound role grants start and lapse on their own; drop cached
+    // permissions for the users whose grants changed state.
+    const sweepRoleGrants = createRoleGrantSweeper();
+    const sweep = async () => {
+      try {
+        const userIds = await sweepRoleGrants();
+        if (userIds.length > 0) {
+          console.log(`[Server] Role grants started or lapsed for ${userIds.length} user(s)`);
+        }
+      } catch (err) {
+        console.error('[Server] Failed to sweep role grants:', err?.message || err);
+      }
+    };
+    sweep();
+    setInterval(sweep, ROLE_GRANT_SWEEP_SECONDS * 1000).unref();
+  })
   .catch((err) => {
-    console.error('Failed to start server due to DB error:', err?.message || err);
+    console.error('Failed to start server:', err?.message || err);
     process.exit(1);
   });
 
 // Graceful shutdown (Ctrl+C)
 process.on('SIGINT', async () => {
   try {
+    await stopAuthCache();
     await pool.end();
   } finally {
     process.exit(0);